@@ -0,0 +1,17 @@
+/**
+ * The most frequently used passwords, which the password policy rejects when `disallowCommon` is enabled.
+ * The list is deliberately small; the `commonPasswords` policy option adds to it. Compared case-insensitively; passwords shorter than the usual minimum length are included for policies that lower it.
+ */
+
+module.exports = new Set([
+  '000000', '111111', '112233', '121212', '123123', '123321', '1234', '12345', '123456', '1234567',
+  '12345678', '123456789', '1234567890', '123654', '147258369', '159753', '1q2w3e', '1q2w3e4r', '1q2w3e4r5t', '1qaz2wsx',
+  '555555', '654321', '666666', '696969', '7777777', '87654321', '888888', '987654321', '999999', 'aa123456',
+  'abc123', 'abcd1234', 'access', 'admin', 'admin123', 'adminadmin', 'administrator', 'alexander', 'asdf1234', 'asdfasdf',
+  'asdfgh', 'asdfghjkl', 'azerty', 'baseball', 'batman', 'charlie', 'changeme', 'cheese', 'chocolate', 'computer',
+  'dragon', 'flower', 'football', 'freedom', 'hello123', 'iloveyou', 'jennifer', 'jordan23', 'letmein', 'letmein123',
+  'liverpool', 'login', 'lovely', 'master', 'michael', 'monkey', 'mustang', 'nothing', 'p@ssw0rd', 'passw0rd',
+  'password', 'password1', 'password12', 'password123', 'password1234', 'password!', 'pokemon', 'princess', 'qazwsx', 'qwe123',
+  'qwerty', 'qwerty123', 'qwerty1234', 'qwertyuiop', 'secret', 'shadow', 'starwars', 'summer2023', 'summer2024', 'sunshine',
+  'superman', 'trustno1', 'welcome', 'welcome1', 'welcome123', 'whatever', 'zaq12wsx', 'zxcvbn', 'zxcvbnm', 'zxcvbnm123'
+]);
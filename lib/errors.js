@@ -0,0 +1,65 @@
+/**
+ * Errors thrown by ErrsoleSQLite. Each error has a stable `code` to check instead of the message,
+ * the name of the method that failed as `operation`, and the underlying error, e.g. from sqlite, as `cause`.
+ */
+
+class ErrsoleSQLiteError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} [options]
+   * @param {string} [options.code] - Defaults to the code of the error class.
+   * @param {string} [options.operation] - The method that failed.
+   * @param {Error} [options.cause] - The underlying error.
+   */
+  constructor (message, { code, operation, cause } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code || this.constructor.defaultCode;
+    this.operation = operation;
+    if (cause !== undefined) this.cause = cause;
+  }
+}
+ErrsoleSQLiteError.defaultCode = 'ERRSOLE_SQLITE_ERROR';
+
+/** A user, configuration entry, log entry or other record does not exist. */
+class NotFoundError extends ErrsoleSQLiteError {}
+NotFoundError.defaultCode = 'NOT_FOUND';
+
+/** The change conflicts with the stored data, e.g. an email that is already in use. */
+class ConflictError extends ErrsoleSQLiteError {}
+ConflictError.defaultCode = 'CONFLICT';
+
+/** An argument or option is invalid. */
+class ValidationError extends ErrsoleSQLiteError {}
+ValidationError.defaultCode = 'INVALID_INPUT';
+
+/** Credentials, tokens or codes are invalid, or the actor lacks a permission. */
+class AuthError extends ErrsoleSQLiteError {}
+AuthError.defaultCode = 'AUTH_FAILED';
+
+/** The database or the file system failed; `cause` holds the original error with its sqlite `code`. */
+class StorageError extends ErrsoleSQLiteError {}
+StorageError.defaultCode = 'STORAGE_ERROR';
+
+/**
+ * Wraps an error from sqlite or the file system in a StorageError. Errors that are already
+ * ErrsoleSQLiteErrors, e.g. from a nested method call, are returned unchanged.
+ *
+ * @param {Error} err
+ * @param {string} operation - The method that failed.
+ * @returns {ErrsoleSQLiteError}
+ */
+function toStorageError (err, operation) {
+  if (err instanceof ErrsoleSQLiteError) return err;
+  return new StorageError(err.message || err.toString(), { operation, cause: err });
+}
+
+module.exports = {
+  ErrsoleSQLiteError,
+  NotFoundError,
+  ConflictError,
+  ValidationError,
+  AuthError,
+  StorageError,
+  toStorageError
+};
@@ -13,6 +13,83 @@
  * @property {string} role
  */
 
+/**
+ * @typedef {Object} Role
+ * @property {string} name
+ * @property {string[]} permissions
+ */
+
+/**
+ * @typedef {Object} ActionContext
+ * @property {number} [actorId] - The ID of the user performing the action. When set, the method checks that the user has the required permission.
+ */
+
+/**
+ * @typedef {Object} ApiKey
+ * @property {number} id
+ * @property {string} name
+ * @property {string} prefix - The visible start of the key, to tell keys apart.
+ * @property {number|null} user_id - The user the key acts for, if it is tied to a user.
+ * @property {string|null} role - The role the key acts with, if it is tied to a role.
+ * @property {('logs:read'|'logs:write'|'admin')[]} scopes
+ * @property {Date|null} expires_at
+ * @property {Date|null} last_used_at
+ * @property {Date|null} revoked_at
+ * @property {Date} created_at
+ */
+
+/**
+ * @typedef {Object} AuditLog
+ * @property {number} id
+ * @property {number|null} actor_id - The user who performed the action, if known.
+ * @property {string} action - One of AUDIT_ACTIONS, e.g. `config.set`.
+ * @property {string|null} target - What the action changed, e.g. `user:3` or `config:logsTTL`.
+ * @property {*} old_value - The value before the action, if any.
+ * @property {*} new_value - The value after the action, if any.
+ * @property {Date} created_at
+ */
+
+/**
+ * @typedef {Object} AuditLogFilter
+ * @property {number} [actor_id]
+ * @property {string|string[]} [action]
+ * @property {string} [target]
+ * @property {number} [lt_id]
+ * @property {Date|number} [gte_timestamp]
+ * @property {Date|number} [lte_timestamp]
+ * @property {number} [limit=100]
+ */
+
+/**
+ * @typedef {Object} PasswordPolicy
+ * @property {number} [minLength=8]
+ * @property {number} [maxLength=72] - In bytes; bcrypt ignores everything after the first 72 bytes.
+ * @property {boolean} [requireUppercase=false]
+ * @property {boolean} [requireLowercase=false]
+ * @property {boolean} [requireDigit=false]
+ * @property {boolean} [requireSymbol=false]
+ * @property {boolean} [disallowEmail=true] - Reject passwords that contain the user's email address or the part before the @.
+ * @property {boolean} [disallowCommon=false] - Reject common passwords. The bundled list holds only about a hundred of the most
+ * frequent ones; add your own with commonPasswords.
+ * @property {string[]} [commonPasswords=[]] - More passwords that disallowCommon rejects, in addition to the bundled list. Compared case-insensitively.
+ */
+
+/**
+ * @typedef {Object} PasswordViolation
+ * @property {string} rule - The violated rule of the PasswordPolicy, or `required`.
+ * @property {string} message
+ */
+
+/**
+ * @typedef {Object} Session
+ * @property {number} id
+ * @property {number} user_id
+ * @property {Object} data - What the application stored with the session, e.g. the user agent.
+ * @property {Date} created_at
+ * @property {Date} last_active_at
+ * @property {Date} expires_at - When the session expires unless it is touched before; never after its maximum age.
+ */
+
 /**
  * @typedef {Object} Log
  * @property {number} [id]
@@ -35,9 +112,17 @@
  * @property {string[]} [hostnames]
  * @property {{source: string, level: string}[]} [level_json]
  * @property {number} [errsole_id]
+ * @property {MetaFilter[]} [meta_filters]
  * @property {number} [limit=100]
  */
 
+/**
+ * @typedef {Object} MetaFilter
+ * @property {string} path - A path inside the meta JSON, e.g. `requestId`, `meta.response.status` or `errors[0].code`.
+ * @property {'='|'!='|'>'|'>='|'<'|'<='} [operator='=']
+ * @property {string|number|boolean|null} value
+ */
+
 /**
  * @typedef {Object} Notification
  * @property {number} [id]
@@ -48,11 +133,501 @@
  * @property {Date} [updated_at]
  */
 
+/**
+ * @typedef {Object} RetentionRule
+ * @property {string} [source] - The source the rule applies to, e.g. `console`; all sources if omitted.
+ * @property {string} [level] - The level the rule applies to, e.g. `debug`; all levels if omitted.
+ * @property {number} ttl - Milliseconds for which matching logs are kept.
+ */
+
+/**
+ * @typedef {Object} RetentionPolicy
+ * @property {number} [default] - Milliseconds for which logs that match no rule are kept; the logsTTL config if omitted.
+ * @property {RetentionRule[]} [rules] - The first rule that matches the source and level of a log applies.
+ */
+
+/**
+ * @typedef {Object} Archive
+ * @property {string} date - The day of the archived logs, as YYYY-MM-DD in UTC.
+ * @property {string} file - The path of the archive.
+ * @property {number} size - The size of the archive in bytes.
+ */
+
+/**
+ * @typedef {Object} Options
+ * @property {string} [tablePrefix]
+ * @property {number} [batchSize=100] - Number of pending logs that triggers an immediate flush.
+ * @property {number} [flushInterval=1000] - Milliseconds between periodic flushes.
+ * @property {number} [maxPendingLogs=Infinity] - Maximum number of logs held in memory while waiting to be flushed.
+ * @property {'drop-oldest'|'drop-newest'|'block'} [overflowPolicy='drop-oldest'] - What postLogs does when maxPendingLogs is reached.
+ * @property {number} [flushRetries=3] - How many times a batch that failed with a transient error is retried.
+ * @property {number} [flushRetryDelay=1000] - Milliseconds before the first retry; the delay doubles with each retry.
+ * @property {string} [deadLetterFile] - Append logs that cannot be written to this NDJSON file instead of the dead-letter table.
+ * @property {string} [archiveDirectory] - Before expired logs are deleted, append them to a gzip-compressed NDJSON file per day in this directory.
+ * @property {string} [retentionSchedule='0 * * * *'] - Cron expression of the job that deletes expired logs, notifications and other records.
+ * @property {number} [retentionBatchSize=1000] - Number of rows that the retention deletes at a time.
+ * @property {number} [retentionBatchDelay=10000] - Milliseconds between the batches of the retention, so that writes are not blocked for long.
+ * @property {'DELETE'|'TRUNCATE'|'PERSIST'|'MEMORY'|'WAL'|'OFF'} [journalMode='WAL']
+ * @property {'OFF'|'NORMAL'|'FULL'|'EXTRA'} [synchronous='NORMAL']
+ * @property {number} [busyTimeout=5000] - Milliseconds to wait for a lock held by another connection before failing with SQLITE_BUSY.
+ * @property {number} [mmapSize] - Maximum number of bytes of the database file to memory-map.
+ * @property {'DEFAULT'|'FILE'|'MEMORY'} [tempStore] - Where temporary tables and indices are stored.
+ * @property {boolean} [fullTextSearch=false] - Index log messages in an FTS5 table and use it in searchLogs (falls back to LIKE when FTS5 is not available).
+ * @property {string[]} [metaIndexes] - Meta paths that are frequently used in meta_filters; each one gets an indexed generated column.
+ * @property {number} [maxFailedLogins=5] - Failed logins for an email that lock it out.
+ * @property {number} [maxFailedLoginsPerSource=20] - Failed logins from a source (e.g. an IP address) that lock it out.
+ * @property {number} [lockoutDuration=900000] - Milliseconds of the first lockout; each further failed login doubles it.
+ * @property {number} [maxLockoutDuration=86400000] - Upper limit of a lockout in milliseconds.
+ * @property {number} [failedLoginWindow=86400000] - Milliseconds after the last failed login at which the failed-login counter starts over.
+ * @property {number} [passwordResetTokenTTL=3600000] - Milliseconds for which a password reset token is valid.
+ * @property {PasswordPolicy} [passwordPolicy] - Rules that new passwords must follow.
+ * @property {number} [bcryptRounds=10] - bcrypt cost of password hashes; hashes with a lower cost are rehashed when the user logs in.
+ * @property {number} [sessionIdleTimeout=86400000] - Milliseconds after which a session that was not touched expires.
+ * @property {number} [sessionMaxAge=604800000] - Milliseconds after which a session expires even if it is in use.
+ * @property {Buffer|string} [encryptionKey] - 32-byte key (a Buffer, or a hex or base64 string) that encrypts TOTP secrets at rest; required for two-factor authentication.
+ * @property {string} [totpIssuer='Errsole'] - The name that authenticator apps show for the account.
+ * @property {number|{bytes?: number, rows?: number}} [maxDatabaseSize] - Upper limit of the database size in bytes, or of the database size and the number of logs; the oldest logs are deleted when it is exceeded.
+ * @property {boolean|string[]} [closeOnSignals=false] - Close the storage when the process receives these signals (SIGINT and SIGTERM if true).
+ */
+
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 const { EventEmitter } = require('events');
+const fs = require('fs');
 const cron = require('node-cron');
+const path = require('path');
+const readline = require('readline');
 const sqlite3 = require('sqlite3');
+const { pipeline } = require('stream');
 const { promisify } = require('util');
+const zlib = require('zlib');
+const { AuthError, ConflictError, ErrsoleSQLiteError, NotFoundError, StorageError, ValidationError, toStorageError } = require('./errors');
+const COMMON_PASSWORDS = require('./common-passwords');
+const { generateSecret, getOtpauthUrl, verifyTOTP } = require('./totp');
+
+const OVERFLOW_POLICIES = ['drop-oldest', 'drop-newest', 'block'];
+const LOG_INSERT_COLUMNS = ['timestamp', 'hostname', 'pid', 'source', 'level', 'message', 'meta', 'errsole_id'];
+// SQLite builds before 3.32.0 default SQLITE_MAX_VARIABLE_NUMBER to 999.
+const MAX_BOUND_PARAMETERS = 999;
+// The order matches the numeric values returned by the corresponding PRAGMA.
+const SYNCHRONOUS_MODES = ['OFF', 'NORMAL', 'FULL', 'EXTRA'];
+const TEMP_STORES = ['DEFAULT', 'FILE', 'MEMORY'];
+const AUTO_VACUUM_MODES = ['NONE', 'FULL', 'INCREMENTAL'];
+const JOURNAL_MODES = ['DELETE', 'TRUNCATE', 'PERSIST', 'MEMORY', 'WAL', 'OFF'];
+// How often flushes check the size of the database when maxDatabaseSize is set.
+const DATABASE_SIZE_CHECK_INTERVAL = 60 * 1000;
+const TRANSIENT_ERROR_CODES = ['SQLITE_BUSY', 'SQLITE_LOCKED', 'SQLITE_FULL', 'SQLITE_IOERR', 'SQLITE_CANTOPEN', 'SQLITE_PROTOCOL'];
+const META_FILTER_OPERATORS = ['=', '!=', '>', '>=', '<', '<='];
+// Bucket sizes of getLogCounts in milliseconds, the unit in which timestamps are stored.
+const LOG_COUNT_INTERVALS = { minute: 60 * 1000, hour: 60 * 60 * 1000, day: 24 * 60 * 60 * 1000 };
+const LOG_COUNT_GROUP_BY_COLUMNS = ['level', 'source', 'hostname'];
+const USER_UPDATABLE_FIELDS = ['name', 'email', 'role'];
+const PERMISSIONS = ['logs:read', 'logs:delete', 'users:manage', 'config:write'];
+// Seeded into the roles table once; the permissions of a role can be changed there afterwards.
+const BUILT_IN_ROLES = {
+  admin: ['logs:read', 'logs:delete', 'users:manage', 'config:write'],
+  user: ['logs:read'],
+  viewer: ['logs:read'],
+  responder: ['logs:read', 'config:write']
+};
+const USER_ROLES = Object.keys(BUILT_IN_ROLES);
+// The admin scope includes the other scopes.
+const API_KEY_SCOPES = ['logs:read', 'logs:write', 'admin'];
+const API_KEY_PREFIX = 'errsole_';
+const MAX_USER_NAME_LENGTH = 100;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const AUDIT_ACTIONS = [
+  'config.set', 'config.delete', 'logs.delete_all', 'logs.retention_run',
+  'user.create', 'user.update', 'user.delete', 'user.password_change', 'user.password_reset',
+  'user.sessions_revoke', 'user.lockout_clear', 'user.totp_enable', 'user.totp_disable',
+  'api_key.create', 'api_key.revoke'
+];
+const DEFAULT_LOGS_TTL = 7 * 24 * 60 * 60 * 1000;
+const DEFAULT_NOTIFICATIONS_TTL = 7 * 24 * 60 * 60 * 1000;
+const DEFAULT_AUDIT_LOGS_TTL = 365 * 24 * 60 * 60 * 1000;
+// Config entries that hold a number of milliseconds.
+const TTL_CONFIG_KEYS = ['logsTTL', 'notificationsTTL', 'auditLogsTTL'];
+const PASSWORD_POLICY_DEFAULTS = {
+  minLength: 8,
+  maxLength: 72,
+  requireUppercase: false,
+  requireLowercase: false,
+  requireDigit: false,
+  requireSymbol: false,
+  disallowEmail: true,
+  disallowCommon: false,
+  commonPasswords: []
+};
+// bcrypt hashes start with $2a$, $2b$ or $2y$ followed by the cost.
+const BCRYPT_HASH_PATTERN = /^\$2[aby]?\$(\d{2})\$/;
+const RECOVERY_CODE_COUNT = 10;
+const LOGIN_CHALLENGE_TTL = 5 * 60 * 1000;
+// Guesses of the second factor allowed per login challenge; the password has to be entered again afterwards.
+const MAX_LOGIN_CHALLENGE_ATTEMPTS = 5;
+const META_PATH_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z_][A-Za-z0-9_]*|\[\d+\])*$/;
+
+/**
+ * Converts a meta path such as `response.status`, `meta.response.status` or `$.response.status` into a JSON path.
+ * Only plain keys and array indexes are accepted, so the result is safe to embed in SQL.
+ *
+ * @param {string} path - The meta path.
+ * @returns {string|null} - The JSON path, or null if the path is not valid.
+ */
+function toMetaJsonPath (path) {
+  if (typeof path !== 'string') return null;
+  const relativePath = path.replace(/^(\$|meta)\./, '');
+  return META_PATH_PATTERN.test(relativePath) ? `$.${relativePath}` : null;
+}
+
+/**
+ * Hashes a secret token for storage, so that a leaked database does not reveal usable tokens.
+ *
+ * @param {string} token - The token.
+ * @returns {string} - The SHA-256 hash of the token in hex.
+ */
+function hashToken (token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Converts a row of the API keys table into an ApiKey.
+ *
+ * @param {Object} row
+ * @returns {ApiKey}
+ */
+function toApiKey (row) {
+  const toDate = value => (value === null || value === undefined ? null : new Date(value));
+  return {
+    id: row.id,
+    name: row.name,
+    prefix: row.prefix,
+    user_id: row.user_id,
+    role: row.role,
+    scopes: JSON.parse(row.scopes),
+    expires_at: toDate(row.expires_at),
+    last_used_at: toDate(row.last_used_at),
+    revoked_at: toDate(row.revoked_at),
+    created_at: new Date(row.created_at)
+  };
+}
+
+/**
+ * Validates the passwordPolicy option and fills in the defaults.
+ *
+ * @param {PasswordPolicy} passwordPolicy
+ * @returns {PasswordPolicy} - The policy, with commonPasswords merged with the bundled list into a Set.
+ * @throws {Error} - Throws an error if a rule is unknown or has an invalid value.
+ */
+function parsePasswordPolicy (passwordPolicy) {
+  if (passwordPolicy === null || typeof passwordPolicy !== 'object' || Array.isArray(passwordPolicy)) {
+    throw new ValidationError('passwordPolicy must be an object.', { code: 'INVALID_OPTION', operation: 'constructor' });
+  }
+  const unknownRules = Object.keys(passwordPolicy).filter(rule => !(rule in PASSWORD_POLICY_DEFAULTS));
+  if (unknownRules.length > 0) {
+    throw new ValidationError(`Unknown password policy rule(s): ${unknownRules.join(', ')}.`, { code: 'INVALID_OPTION', operation: 'constructor' });
+  }
+
+  const policy = { ...PASSWORD_POLICY_DEFAULTS, ...passwordPolicy };
+  for (const rule of ['minLength', 'maxLength']) {
+    if (!Number.isInteger(policy[rule]) || policy[rule] < 1 || policy[rule] > 72) {
+      throw new ValidationError(`passwordPolicy.${rule} must be an integer between 1 and 72.`, { code: 'INVALID_OPTION', operation: 'constructor' });
+    }
+  }
+  if (policy.minLength > policy.maxLength) {
+    throw new ValidationError('passwordPolicy.minLength must be less than or equal to passwordPolicy.maxLength.', { code: 'INVALID_OPTION', operation: 'constructor' });
+  }
+  for (const rule of Object.keys(policy).filter(rule => typeof PASSWORD_POLICY_DEFAULTS[rule] === 'boolean')) {
+    if (typeof policy[rule] !== 'boolean') {
+      throw new ValidationError(`passwordPolicy.${rule} must be a boolean.`, { code: 'INVALID_OPTION', operation: 'constructor' });
+    }
+  }
+  if (!Array.isArray(policy.commonPasswords) || !policy.commonPasswords.every(password => typeof password === 'string')) {
+    throw new ValidationError('passwordPolicy.commonPasswords must be an array of strings.', { code: 'INVALID_OPTION', operation: 'constructor' });
+  }
+  policy.commonPasswords = new Set([...COMMON_PASSWORDS, ...policy.commonPasswords.map(password => password.toLowerCase())]);
+  return policy;
+}
+
+/**
+ * Lists the rules of a password policy that a password violates.
+ *
+ * @param {PasswordPolicy} policy - A policy returned by parsePasswordPolicy.
+ * @param {string} password
+ * @param {string} [email] - The email address of the user.
+ * @returns {PasswordViolation[]}
+ */
+function getPasswordViolations (policy, password, email) {
+  if (typeof password !== 'string' || password.length === 0) {
+    return [{ rule: 'required', message: 'Password is required.' }];
+  }
+
+  const violations = [];
+  const check = (rule, isViolated, message) => {
+    if (isViolated) violations.push({ rule, message });
+  };
+  check('minLength', password.length < policy.minLength, `Password must be at least ${policy.minLength} characters long.`);
+  check('maxLength', Buffer.byteLength(password) > policy.maxLength, `Password must be at most ${policy.maxLength} bytes long.`);
+  check('requireUppercase', policy.requireUppercase && !/\p{Lu}/u.test(password), 'Password must contain an uppercase letter.');
+  check('requireLowercase', policy.requireLowercase && !/\p{Ll}/u.test(password), 'Password must contain a lowercase letter.');
+  check('requireDigit', policy.requireDigit && !/\d/.test(password), 'Password must contain a digit.');
+  check('requireSymbol', policy.requireSymbol && !/[^\p{L}\p{N}]/u.test(password), 'Password must contain a symbol.');
+
+  const lowerCasePassword = password.toLowerCase();
+  if (policy.disallowEmail && typeof email === 'string' && email.length > 0) {
+    const lowerCaseEmail = email.toLowerCase();
+    const localPart = lowerCaseEmail.split('@')[0];
+    // Very short local parts, e.g. "jo", would reject too many unrelated passwords.
+    const isViolated = lowerCasePassword.includes(lowerCaseEmail) || (localPart.length >= 3 && lowerCasePassword.includes(localPart));
+    check('disallowEmail', isViolated, 'Password must not contain the email address.');
+  }
+  check('disallowCommon', policy.disallowCommon && policy.commonPasswords.has(lowerCasePassword), 'Password is too common.');
+  return violations;
+}
+
+/**
+ * Converts a row of the sessions table into a Session.
+ *
+ * @param {Object} row
+ * @param {number} idleTimeout - The sessionIdleTimeout option.
+ * @returns {Session}
+ */
+function toSession (row, idleTimeout) {
+  return {
+    id: row.id,
+    user_id: row.user_id,
+    data: JSON.parse(row.data),
+    created_at: new Date(row.created_at),
+    last_active_at: new Date(row.last_active_at),
+    expires_at: new Date(Math.min(row.last_active_at + idleTimeout, row.expires_at))
+  };
+}
+
+/**
+ * Validates a retention policy, given as an object or as the JSON stored in the retentionPolicy config.
+ *
+ * @param {RetentionPolicy|string} retentionPolicy
+ * @param {string} operation - The method that validates the policy.
+ * @returns {{default: number|undefined, rules: RetentionRule[]}}
+ * @throws {ValidationError} - Throws an error if the policy is malformed.
+ */
+function parseRetentionPolicy (retentionPolicy, operation) {
+  const invalid = message => new ValidationError(message, { code: 'INVALID_RETENTION_POLICY', operation });
+  const isTTL = ttl => Number.isSafeInteger(ttl) && ttl > 0;
+
+  let policy = retentionPolicy;
+  if (typeof policy === 'string') {
+    try {
+      policy = JSON.parse(policy);
+    } catch (err) {
+      throw invalid('retentionPolicy must be valid JSON.');
+    }
+  }
+  if (policy === null || typeof policy !== 'object' || Array.isArray(policy)) {
+    throw invalid('retentionPolicy must be an object.');
+  }
+  const unknownKeys = Object.keys(policy).filter(key => key !== 'default' && key !== 'rules');
+  if (unknownKeys.length > 0) {
+    throw invalid(`Unknown retention policy key(s): ${unknownKeys.join(', ')}.`);
+  }
+  if (policy.default !== undefined && !isTTL(policy.default)) {
+    throw invalid('retentionPolicy.default must be a positive integer of milliseconds.');
+  }
+  const rules = policy.rules === undefined ? [] : policy.rules;
+  if (!Array.isArray(rules)) {
+    throw invalid('retentionPolicy.rules must be an array.');
+  }
+
+  return {
+    default: policy.default,
+    rules: rules.map((rule, index) => {
+      if (rule === null || typeof rule !== 'object' || Array.isArray(rule)) {
+        throw invalid(`retentionPolicy.rules[${index}] must be an object.`);
+      }
+      const unknownRuleKeys = Object.keys(rule).filter(key => !['source', 'level', 'ttl'].includes(key));
+      if (unknownRuleKeys.length > 0) {
+        throw invalid(`Unknown key(s) in retentionPolicy.rules[${index}]: ${unknownRuleKeys.join(', ')}.`);
+      }
+      for (const key of ['source', 'level']) {
+        if (rule[key] !== undefined && (typeof rule[key] !== 'string' || rule[key] === '')) {
+          throw invalid(`retentionPolicy.rules[${index}].${key} must be a non-empty string.`);
+        }
+      }
+      if (rule.source === undefined && rule.level === undefined) {
+        throw invalid(`retentionPolicy.rules[${index}] must have a source or a level; use retentionPolicy.default for all logs.`);
+      }
+      if (!isTTL(rule.ttl)) {
+        throw invalid(`retentionPolicy.rules[${index}].ttl must be a positive integer of milliseconds.`);
+      }
+      const { source, level, ttl } = rule;
+      return { ...(source !== undefined && { source }), ...(level !== undefined && { level }), ttl };
+    })
+  };
+}
+
+/**
+ * Parses the value of a TTL config entry, which is a number of milliseconds.
+ *
+ * @param {string} key - The config key.
+ * @param {string} value
+ * @param {string} operation - The method that validates the value.
+ * @returns {number}
+ * @throws {ValidationError} - Throws an error if the value is not a positive integer.
+ */
+function parseTTL (key, value, operation) {
+  const ttl = /^\d+$/.test(String(value)) ? Number(value) : NaN;
+  if (!Number.isSafeInteger(ttl) || ttl < 1) {
+    throw new ValidationError(`${key} must be a positive integer of milliseconds.`, { code: 'INVALID_TTL', operation });
+  }
+  return ttl;
+}
+
+/**
+ * Validates the maxDatabaseSize option.
+ *
+ * @param {number|{bytes?: number, rows?: number}} maxDatabaseSize - A number of bytes, or an object with bytes, rows or both.
+ * @returns {{bytes: number|null, rows: number|null}}
+ * @throws {ValidationError} - Throws an error if the limits are not positive integers.
+ */
+function parseMaxDatabaseSize (maxDatabaseSize) {
+  const limits = typeof maxDatabaseSize === 'number' ? { bytes: maxDatabaseSize } : maxDatabaseSize;
+  if (limits === null || typeof limits !== 'object' || Array.isArray(limits) || (limits.bytes === undefined && limits.rows === undefined)) {
+    throw new ValidationError('maxDatabaseSize must be a number of bytes or an object with bytes, rows or both.', { code: 'INVALID_OPTION', operation: 'constructor' });
+  }
+  for (const key of ['bytes', 'rows']) {
+    if (limits[key] !== undefined && (!Number.isSafeInteger(limits[key]) || limits[key] < 1)) {
+      throw new ValidationError(`maxDatabaseSize.${key} must be a positive integer.`, { code: 'INVALID_OPTION', operation: 'constructor' });
+    }
+  }
+  return { bytes: limits.bytes === undefined ? null : limits.bytes, rows: limits.rows === undefined ? null : limits.rows };
+}
+
+/**
+ * Finds the TTL of logs with a source and level: that of the first matching rule, or the default.
+ *
+ * @param {{default: number, rules: RetentionRule[]}} policy
+ * @param {string} source
+ * @param {string} level
+ * @returns {number}
+ */
+function getRetentionTTL (policy, source, level) {
+  const rule = policy.rules.find(rule =>
+    (rule.source === undefined || rule.source === source) &&
+    (rule.level === undefined || rule.level === level)
+  );
+  return rule ? rule.ttl : policy.default;
+}
+
+/**
+ * Parses the encryptionKey option into a 32-byte key.
+ *
+ * @param {Buffer|string} encryptionKey - The key as a Buffer, or as a hex or base64 string.
+ * @returns {Buffer}
+ * @throws {Error} - Throws an error if the key is not 32 bytes long.
+ */
+function parseEncryptionKey (encryptionKey) {
+  let key = encryptionKey;
+  if (typeof encryptionKey === 'string') {
+    key = /^[0-9a-f]{64}$/i.test(encryptionKey) ? Buffer.from(encryptionKey, 'hex') : Buffer.from(encryptionKey, 'base64');
+  }
+  if (!Buffer.isBuffer(key) || key.length !== 32) {
+    throw new ValidationError('encryptionKey must be 32 bytes, given as a Buffer or a hex or base64 string.', { code: 'INVALID_OPTION', operation: 'constructor' });
+  }
+  return key;
+}
+
+/**
+ * Encrypts a secret with AES-256-GCM.
+ *
+ * @param {Buffer} key - The 32-byte key.
+ * @param {string} plaintext - The secret.
+ * @returns {string} - The version, IV, authentication tag and ciphertext, separated by colons.
+ */
+function encryptSecret (key, plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  return ['v1', iv.toString('base64'), cipher.getAuthTag().toString('base64'), ciphertext.toString('base64')].join(':');
+}
+
+/**
+ * Decrypts a secret encrypted by encryptSecret.
+ *
+ * @param {Buffer} key - The 32-byte key.
+ * @param {string} encrypted - The output of encryptSecret.
+ * @returns {string} - The secret.
+ * @throws {Error} - Throws an error if the secret was encrypted with another key or has been tampered with.
+ */
+function decryptSecret (key, encrypted) {
+  const [version, iv, tag, ciphertext] = String(encrypted).split(':');
+  if (version !== 'v1') throw new StorageError('Unsupported secret encryption version.', { code: 'DECRYPTION_FAILED', operation: 'decryptSecret' });
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+  } catch (err) {
+    throw new StorageError('Unable to decrypt the secret; check the encryptionKey option.', { code: 'DECRYPTION_FAILED', operation: 'decryptSecret', cause: err });
+  }
+}
+
+/**
+ * Normalizes a recovery code as entered by a user, so that case and separators do not matter.
+ *
+ * @param {string} code - The recovery code.
+ * @returns {string}
+ */
+function normalizeRecoveryCode (code) {
+  return String(code).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Parses search terms into groups of alternatives that must all match, and terms that must not match.
+ * For example, `error "connection refused" -timeout db OR cache conn*` is parsed into
+ * the groups [error], ["connection refused"], [db, cache], [conn*] and the exclusion [timeout].
+ *
+ * @param {string[]} searchTerms - An array of search terms.
+ * @returns {{groups: {text: string, isPrefix: boolean}[][], exclusions: {text: string, isPrefix: boolean}[]}}
+ */
+function parseSearchTerms (searchTerms) {
+  const groups = [];
+  const exclusions = [];
+  let isOrPending = false;
+
+  const tokenPattern = /(-?)"([^"]*)"|(\S+)/g;
+  const input = searchTerms.join(' ');
+  let match;
+  while ((match = tokenPattern.exec(input)) !== null) {
+    let text;
+    let isExcluded;
+    let isPrefix = false;
+    if (match[2] !== undefined) {
+      text = match[2].trim();
+      isExcluded = match[1] === '-';
+    } else {
+      text = match[3];
+      if (text === 'OR') {
+        isOrPending = groups.length > 0;
+        continue;
+      }
+      isExcluded = text.length > 1 && text.startsWith('-');
+      if (isExcluded) text = text.slice(1);
+      isPrefix = text.length > 1 && text.endsWith('*');
+      if (isPrefix) text = text.slice(0, -1);
+    }
+    if (!text) continue;
+
+    const term = { text, isPrefix };
+    if (isExcluded) {
+      exclusions.push(term);
+    } else if (isOrPending) {
+      groups[groups.length - 1].push(term);
+    } else {
+      groups.push([term]);
+    }
+    isOrPending = false;
+  }
+
+  return { groups, exclusions };
+}
 
 class ErrsoleSQLite extends EventEmitter {
   constructor (filename, options = {}) {
@@ -67,40 +642,400 @@ class ErrsoleSQLite extends EventEmitter {
     this.usersTable = `${tablePrefix}_users`;
     this.logsTable = `${tablePrefix}_logs_v3`;
     this.notificationsTable = `${tablePrefix}_notifications_v2`;
+    this.deadLetterTable = `${tablePrefix}_logs_dead_letter`;
+    this.hostnamesTable = `${tablePrefix}_hostnames`;
+    this.logsFtsTable = `${this.logsTable}_fts`;
+    this.migrationsTable = `${tablePrefix}_schema_migrations`;
+    this.rolesTable = `${tablePrefix}_roles`;
+    this.loginAttemptsTable = `${tablePrefix}_login_attempts`;
+    this.passwordResetTokensTable = `${tablePrefix}_password_reset_tokens`;
+    this.userTotpTable = `${tablePrefix}_user_totp`;
+    this.recoveryCodesTable = `${tablePrefix}_user_recovery_codes`;
+    this.loginChallengesTable = `${tablePrefix}_login_challenges`;
+    this.apiKeysTable = `${tablePrefix}_api_keys`;
+    this.sessionsTable = `${tablePrefix}_sessions`;
+    this.auditLogsTable = `${tablePrefix}_audit_logs`;
+    // Tables left behind by older releases, whose data is imported by the migrations.
+    this.legacyLogsTable = `${tablePrefix}_logs_v2`;
+    this.legacyNotificationsTable = `${tablePrefix}_notifications`;
+
+    const {
+      batchSize = 100,
+      flushInterval = 1000,
+      maxPendingLogs = Infinity,
+      overflowPolicy = 'drop-oldest',
+      flushRetries = 3,
+      flushRetryDelay = 1000,
+      deadLetterFile = null,
+      archiveDirectory = null,
+      retentionSchedule = '0 * * * *',
+      retentionBatchSize = 1000,
+      retentionBatchDelay = 10000,
+      journalMode = 'WAL',
+      synchronous = 'NORMAL',
+      busyTimeout = 5000,
+      mmapSize,
+      tempStore,
+      fullTextSearch = false,
+      metaIndexes = [],
+      maxFailedLogins = 5,
+      maxFailedLoginsPerSource = 20,
+      lockoutDuration = 15 * 60 * 1000,
+      maxLockoutDuration = 24 * 60 * 60 * 1000,
+      failedLoginWindow = 24 * 60 * 60 * 1000,
+      passwordResetTokenTTL = 60 * 60 * 1000,
+      passwordPolicy = {},
+      bcryptRounds = 10,
+      sessionIdleTimeout = 24 * 60 * 60 * 1000,
+      sessionMaxAge = 7 * 24 * 60 * 60 * 1000,
+      encryptionKey,
+      totpIssuer = 'Errsole',
+      maxDatabaseSize
+    } = options;
+    if (!Number.isInteger(batchSize) || batchSize < 1) {
+      throw new ValidationError('batchSize must be a positive integer.', { code: 'INVALID_OPTION', operation: 'constructor' });
+    }
+    if (!Number.isInteger(flushInterval) || flushInterval < 1) {
+      throw new ValidationError('flushInterval must be a positive integer.', { code: 'INVALID_OPTION', operation: 'constructor' });
+    }
+    if (maxPendingLogs !== Infinity && (!Number.isInteger(maxPendingLogs) || maxPendingLogs < batchSize)) {
+      throw new ValidationError('maxPendingLogs must be an integer greater than or equal to batchSize.', { code: 'INVALID_OPTION', operation: 'constructor' });
+    }
+    if (!OVERFLOW_POLICIES.includes(overflowPolicy)) {
+      throw new ValidationError(`overflowPolicy must be one of: ${OVERFLOW_POLICIES.join(', ')}.`, { code: 'INVALID_OPTION', operation: 'constructor' });
+    }
+    if (!Number.isInteger(flushRetries) || flushRetries < 0) {
+      throw new ValidationError('flushRetries must be a non-negative integer.', { code: 'INVALID_OPTION', operation: 'constructor' });
+    }
+    if (!Number.isInteger(flushRetryDelay) || flushRetryDelay < 0) {
+      throw new ValidationError('flushRetryDelay must be a non-negative integer.', { code: 'INVALID_OPTION', operation: 'constructor' });
+    }
+    if (!JOURNAL_MODES.includes(String(journalMode).toUpperCase())) {
+      throw new ValidationError(`journalMode must be one of: ${JOURNAL_MODES.join(', ')}.`, { code: 'INVALID_OPTION', operation: 'constructor' });
+    }
+    if (!SYNCHRONOUS_MODES.includes(String(synchronous).toUpperCase())) {
+      throw new ValidationError(`synchronous must be one of: ${SYNCHRONOUS_MODES.join(', ')}.`, { code: 'INVALID_OPTION', operation: 'constructor' });
+    }
+    if (!Number.isInteger(busyTimeout) || busyTimeout < 0) {
+      throw new ValidationError('busyTimeout must be a non-negative integer.', { code: 'INVALID_OPTION', operation: 'constructor' });
+    }
+    if (mmapSize !== undefined && (!Number.isInteger(mmapSize) || mmapSize < 0)) {
+      throw new ValidationError('mmapSize must be a non-negative integer.', { code: 'INVALID_OPTION', operation: 'constructor' });
+    }
+    if (tempStore !== undefined && !TEMP_STORES.includes(String(tempStore).toUpperCase())) {
+      throw new ValidationError(`tempStore must be one of: ${TEMP_STORES.join(', ')}.`, { code: 'INVALID_OPTION', operation: 'constructor' });
+    }
+    const lockoutOptions = { maxFailedLogins, maxFailedLoginsPerSource, lockoutDuration, maxLockoutDuration, failedLoginWindow };
+    for (const [name, value] of Object.entries(lockoutOptions)) {
+      if (!Number.isInteger(value) || value < 1) {
+        throw new ValidationError(`${name} must be a positive integer.`, { code: 'INVALID_OPTION', operation: 'constructor' });
+      }
+    }
+    if (maxLockoutDuration < lockoutDuration) {
+      throw new ValidationError('maxLockoutDuration must be greater than or equal to lockoutDuration.', { code: 'INVALID_OPTION', operation: 'constructor' });
+    }
+    if (!Number.isInteger(passwordResetTokenTTL) || passwordResetTokenTTL < 1) {
+      throw new ValidationError('passwordResetTokenTTL must be a positive integer.', { code: 'INVALID_OPTION', operation: 'constructor' });
+    }
+    this.passwordPolicy = parsePasswordPolicy(passwordPolicy);
+    // bcryptjs supports costs from 4 to 31.
+    if (!Number.isInteger(bcryptRounds) || bcryptRounds < 4 || bcryptRounds > 31) {
+      throw new ValidationError('bcryptRounds must be an integer between 4 and 31.', { code: 'INVALID_OPTION', operation: 'constructor' });
+    }
+    this.bcryptRounds = bcryptRounds;
+    if (!Number.isInteger(sessionIdleTimeout) || sessionIdleTimeout < 1) {
+      throw new ValidationError('sessionIdleTimeout must be a positive integer.', { code: 'INVALID_OPTION', operation: 'constructor' });
+    }
+    if (!Number.isInteger(sessionMaxAge) || sessionMaxAge < 1) {
+      throw new ValidationError('sessionMaxAge must be a positive integer.', { code: 'INVALID_OPTION', operation: 'constructor' });
+    }
+    this.encryptionKey = encryptionKey === undefined ? null : parseEncryptionKey(encryptionKey);
+    if (typeof totpIssuer !== 'string' || totpIssuer.length === 0) {
+      throw new ValidationError('totpIssuer must be a non-empty string.', { code: 'INVALID_OPTION', operation: 'constructor' });
+    }
+    this.maxDatabaseSize = maxDatabaseSize === undefined ? null : parseMaxDatabaseSize(maxDatabaseSize);
+    if (archiveDirectory !== null && (typeof archiveDirectory !== 'string' || archiveDirectory.length === 0)) {
+      throw new ValidationError('archiveDirectory must be a non-empty string.', { code: 'INVALID_OPTION', operation: 'constructor' });
+    }
+    if (typeof retentionSchedule !== 'string' || !cron.validate(retentionSchedule)) {
+      throw new ValidationError('retentionSchedule must be a valid cron expression.', { code: 'INVALID_OPTION', operation: 'constructor' });
+    }
+    if (!Number.isInteger(retentionBatchSize) || retentionBatchSize < 1) {
+      throw new ValidationError('retentionBatchSize must be a positive integer.', { code: 'INVALID_OPTION', operation: 'constructor' });
+    }
+    if (!Number.isInteger(retentionBatchDelay) || retentionBatchDelay < 0) {
+      throw new ValidationError('retentionBatchDelay must be a non-negative integer.', { code: 'INVALID_OPTION', operation: 'constructor' });
+    }
+    if (!Array.isArray(metaIndexes)) {
+      throw new ValidationError('metaIndexes must be an array of meta paths.', { code: 'INVALID_OPTION', operation: 'constructor' });
+    }
+    // Maps the JSON path of each indexed meta path to its generated column.
+    this.metaColumns = {};
+    for (const path of metaIndexes) {
+      const jsonPath = toMetaJsonPath(path);
+      if (!jsonPath) {
+        throw new ValidationError(`Invalid meta path in metaIndexes: ${path}`, { code: 'INVALID_OPTION', operation: 'constructor' });
+      }
+      const column = `meta_${jsonPath.slice(2).replace(/[^A-Za-z0-9]+/g, '_').replace(/_$/, '').toLowerCase()}`;
+      if (Object.values(this.metaColumns).includes(column) && this.metaColumns[jsonPath] !== column) {
+        throw new ValidationError(`Meta paths in metaIndexes must map to distinct columns: ${path}`, { code: 'INVALID_OPTION', operation: 'constructor' });
+      }
+      this.metaColumns[jsonPath] = column;
+    }
 
     this.pendingLogs = [];
-    this.batchSize = 100;
-    this.flushInterval = 1000;
+    this.batchSize = batchSize;
+    this.flushInterval = flushInterval;
+    this.maxPendingLogs = maxPendingLogs;
+    this.overflowPolicy = overflowPolicy;
+    this.flushRetries = flushRetries;
+    this.flushRetryDelay = flushRetryDelay;
+    this.deadLetterFile = deadLetterFile;
+    this.archiveDirectory = archiveDirectory;
+    this.retention = { schedule: retentionSchedule, batchSize: retentionBatchSize, batchDelay: retentionBatchDelay };
+    this.pragmas = {
+      busy_timeout: busyTimeout,
+      journal_mode: journalMode.toUpperCase(),
+      synchronous: synchronous.toUpperCase(),
+      mmap_size: mmapSize,
+      temp_store: tempStore && tempStore.toUpperCase()
+    };
+    this.lockout = lockoutOptions;
+    this.passwordResetTokenTTL = passwordResetTokenTTL;
+    this.session = { idleTimeout: sessionIdleTimeout, maxAge: sessionMaxAge };
+    this.totpIssuer = totpIssuer;
+    this.lastDatabaseSizeCheck = 0;
+    this.fullTextSearch = !!fullTextSearch;
+    this.isFullTextSearchEnabled = false;
+    this.runningTasks = new Set();
+    this.logWriteQueue = Promise.resolve();
+
+    this.isClosing = false;
+    this.closePromise = null;
+    this.signalHandlers = {};
+    if (options.closeOnSignals) {
+      const signals = Array.isArray(options.closeOnSignals) ? options.closeOnSignals : ['SIGINT', 'SIGTERM'];
+      this.registerSignalHandlers(signals);
+    }
 
     this.isConnectionInProgress = true;
+    this.initError = null;
     this.db = new sqlite3.Database(filename, err => {
-      if (err) throw new Error(err.message || err.toString());
-      this.initialize();
+      if (err) throw toStorageError(err, 'constructor');
+      this.initialize().catch(err => this.emitError(err));
     });
   }
 
   async initialize () {
-    await this.setAutoVacuum();
-    await this.setCacheSize();
-    await this.createTables();
+    try {
+      await this.setAutoVacuum();
+      await this.setPragmas();
+      await this.setCacheSize();
+      await this.createTables();
+    } catch (err) {
+      // flushLogs and close wait for the tables to be created, so they must learn that this will not happen.
+      this.initError = err;
+      this.isConnectionInProgress = false;
+      throw err;
+    }
+    await this.ensureHostnames();
+    await this.ensureRoles();
     await this.ensureLogsTTL();
+    await this.ensureNotificationsTTL();
+    await this.ensureAuditLogsTTL();
     this.emit('ready');
-    setInterval(() => this.flushLogs(), this.flushInterval);
-    cron.schedule('0 * * * *', () => {
-      this.deleteExpiredLogs();
-      this.deleteExpiredNotificationItems();
+    if (this.isClosing) return;
+
+    clearInterval(this.flushIntervalId);
+    this.flushIntervalId = setInterval(() => this.flushLogs().catch(err => this.emitError(err)), this.flushInterval);
+    if (this.cronJob) this.cronJob.stop();
+    this.cronJob = cron.schedule(this.retention.schedule, () => {
+      this.trackTask(this.deleteExpiredLogs());
+      this.trackTask(this.deleteExpiredNotificationItems());
+      this.trackTask(this.deleteExpiredLoginAttempts().catch(err => this.emitError(err)));
+      this.trackTask(this.deleteExpiredPasswordResetTokens().catch(err => this.emitError(err)));
+      this.trackTask(this.deleteExpiredLoginChallenges().catch(err => this.emitError(err)));
+      this.trackTask(this.deleteExpiredSessions().catch(err => this.emitError(err)));
+      this.trackTask(this.deleteExpiredAuditLogs().catch(err => this.emitError(err)));
+      this.trackTask(this.enforceMaxDatabaseSize().catch(err => this.emitError(err)));
+    });
+  }
+
+  registerSignalHandlers (signals) {
+    signals.forEach(signal => {
+      const handler = () => {
+        this.removeSignalHandlers();
+        this.close()
+          .catch(err => this.emitError(err))
+          .finally(() => {
+            // Re-raise the signal so that the default behavior (or the application's own handlers) still applies.
+            if (process.listenerCount(signal) === 0) process.kill(process.pid, signal);
+          });
+      };
+      this.signalHandlers[signal] = handler;
+      process.once(signal, handler);
+    });
+  }
+
+  removeSignalHandlers () {
+    Object.keys(this.signalHandlers).forEach(signal => {
+      process.removeListener(signal, this.signalHandlers[signal]);
     });
+    this.signalHandlers = {};
+  }
+
+  /**
+   * Resolves after the given number of milliseconds, or as soon as the storage starts closing.
+   *
+   * @param {number} ms - The number of milliseconds to wait.
+   * @returns {Promise<void>}
+   */
+  sleep (ms) {
+    if (this.isClosing) return Promise.resolve();
+    return new Promise(resolve => {
+      const onClosing = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+      const timer = setTimeout(() => {
+        this.removeListener('closing', onClosing);
+        resolve();
+      }, ms);
+      this.once('closing', onClosing);
+    });
+  }
+
+  /**
+   * Keeps track of a background task until it settles, so that close() can wait for it.
+   *
+   * @param {Promise} task - The running task.
+   * @returns {Promise} - The same task.
+   */
+  trackTask (task) {
+    this.runningTasks.add(task);
+    const untrack = () => this.runningTasks.delete(task);
+    task.then(untrack, untrack);
+    return task;
+  }
+
+  /**
+   * Resolves once the tracked background tasks have settled, including tasks started while waiting.
+   *
+   * @returns {Promise<void>}
+   */
+  async waitForRunningTasks () {
+    while (this.runningTasks.size > 0) {
+      await Promise.all([...this.runningTasks].map(task => task.catch(() => {})));
+    }
+  }
+
+  /**
+   * Emits the 'error' event, falling back to console.error when nobody listens for it,
+   * since an unhandled 'error' event would crash the application.
+   *
+   * @param {Error} err - The error to report.
+   */
+  emitError (err) {
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', err);
+    } else {
+      console.error(err);
+    }
+  }
+
+  /**
+   * Gracefully shuts down the storage: stops accepting new logs, flushes the pending logs,
+   * stops the flush interval and the cron job, waits for any running cleanup to finish,
+   * and closes the database connection.
+   *
+   * @async
+   * @function close
+   * @returns {Promise<{}>} - A Promise that resolves with an empty object once the database connection is closed.
+   * @throws {Error} - Throws an error if the pending logs cannot be flushed or the database cannot be closed.
+   */
+  close () {
+    if (this.closePromise) return this.closePromise;
+
+    this.isClosing = true;
+    this.closePromise = (async () => {
+      clearInterval(this.flushIntervalId);
+      if (this.cronJob) this.cronJob.stop();
+      this.emit('closing');
+
+      // Running cleanups stop after their current batch once closing has started.
+      await this.waitForRunningTasks();
+      await this.flushLogs();
+      await this.waitForRunningTasks();
+
+      await new Promise((resolve, reject) => {
+        this.db.close(err => {
+          if (err) return reject(toStorageError(err, 'close'));
+          resolve();
+        });
+      });
+
+      this.removeSignalHandlers();
+      this.emit('close');
+      return {};
+    })();
+    return this.closePromise;
   }
 
   async setAutoVacuum () {
     return new Promise((resolve, reject) => {
       this.db.run('PRAGMA auto_vacuum = FULL', err => {
-        if (err) return reject(new Error(err.message || err.toString()));
+        if (err) return reject(toStorageError(err, 'setAutoVacuum'));
         resolve();
       });
     });
   }
 
+  async setPragmas () {
+    for (const [pragma, value] of Object.entries(this.pragmas)) {
+      if (value === undefined) continue;
+      // PRAGMA statements do not accept bound parameters; the values are validated in the constructor.
+      await new Promise((resolve, reject) => {
+        this.db.get(`PRAGMA ${pragma} = ${value}`, err => {
+          if (err) return reject(toStorageError(err, 'setPragmas'));
+          resolve();
+        });
+      });
+    }
+  }
+
+  /**
+   * Retrieves the SQLite settings in effect for the database connection, along with the size of the database.
+   *
+   * @async
+   * @function getDiagnostics
+   * @returns {Promise<{item: Object}>} - A Promise that resolves with an object containing the current PRAGMA values and the SQLite version.
+   * @throws {Error} - Throws an error if the operation fails.
+   */
+  async getDiagnostics () {
+    const pragmas = ['journal_mode', 'synchronous', 'busy_timeout', 'mmap_size', 'temp_store', 'auto_vacuum', 'cache_size', 'page_size', 'page_count', 'freelist_count'];
+    const item = {};
+    for (const pragma of pragmas) {
+      item[pragma] = await new Promise((resolve, reject) => {
+        this.db.get(`PRAGMA ${pragma}`, (err, row) => {
+          if (err) return reject(toStorageError(err, 'getDiagnostics'));
+          resolve(row ? Object.values(row)[0] : null);
+        });
+      });
+    }
+    item.journal_mode = String(item.journal_mode).toUpperCase();
+    item.synchronous = SYNCHRONOUS_MODES[item.synchronous];
+    item.temp_store = TEMP_STORES[item.temp_store];
+    item.auto_vacuum = AUTO_VACUUM_MODES[item.auto_vacuum];
+    item.full_text_search = this.isFullTextSearchEnabled;
+    item.sqlite_version = await new Promise((resolve, reject) => {
+      this.db.get('SELECT sqlite_version() AS version', (err, row) => {
+        if (err) return reject(toStorageError(err, 'getDiagnostics'));
+        resolve(row.version);
+      });
+    });
+    return { item };
+  }
+
   async setCacheSize () {
     const DESIRED_CACHE_SIZE = 8 * 1024;
     const currentSize = await this.getCacheSize();
@@ -112,7 +1047,7 @@ class ErrsoleSQLite extends EventEmitter {
     const query = `PRAGMA cache_size = ${DESIRED_CACHE_SIZE}`;
     return new Promise((resolve, reject) => {
       this.db.run(query, err => {
-        if (err) return reject(new Error(err.message || err.toString()));
+        if (err) return reject(toStorageError(err, 'setCacheSize'));
         resolve();
       });
     });
@@ -122,7 +1057,7 @@ class ErrsoleSQLite extends EventEmitter {
     const query = 'PRAGMA cache_size';
     return new Promise((resolve, reject) => {
       this.db.get(query, (err, row) => {
-        if (err) return reject(new Error(err.message || err.toString()));
+        if (err) return reject(toStorageError(err, 'getCacheSize'));
         resolve(row.cache_size);
       });
     });
@@ -144,7 +1079,17 @@ class ErrsoleSQLite extends EventEmitter {
       `CREATE INDEX IF NOT EXISTS idx_${this.logsTable}_source_level_id ON ${this.logsTable} (source, level, id)`,
       `CREATE INDEX IF NOT EXISTS idx_${this.logsTable}_source_level_timestamp_id ON ${this.logsTable} (source, level, timestamp, id)`,
       `CREATE INDEX IF NOT EXISTS idx_${this.logsTable}_timestamp_id ON ${this.logsTable} (timestamp, id)`,
-      `CREATE INDEX IF NOT EXISTS idx_${this.logsTable}_errsole_id ON ${this.logsTable} (errsole_id)`
+      `CREATE INDEX IF NOT EXISTS idx_${this.logsTable}_errsole_id ON ${this.logsTable} (errsole_id)`,
+      `CREATE INDEX IF NOT EXISTS idx_${this.logsTable}_hostname_timestamp_id ON ${this.logsTable} (hostname, timestamp, id)`,
+      `CREATE TABLE IF NOT EXISTS ${this.hostnamesTable} (
+        hostname TEXT PRIMARY KEY
+      )`,
+      // Keeps the hostname list up to date without scanning the logs table.
+      `CREATE TRIGGER IF NOT EXISTS ${this.logsTable}_insert_hostname AFTER INSERT ON ${this.logsTable}
+        WHEN NEW.hostname IS NOT NULL
+        BEGIN
+          INSERT OR IGNORE INTO ${this.hostnamesTable} (hostname) VALUES (NEW.hostname);
+        END`
     ];
     const otherTableQueries = [
       `CREATE TABLE IF NOT EXISTS ${this.configTable} (
@@ -168,30 +1113,397 @@ class ErrsoleSQLite extends EventEmitter {
         updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
       )`,
       `CREATE INDEX IF NOT EXISTS idx_${this.notificationsTable}_hashed_message_created_at ON ${this.notificationsTable} (hashed_message, created_at)`,
-      `CREATE INDEX IF NOT EXISTS idx_${this.notificationsTable}_created_at ON ${this.notificationsTable} (created_at)`
-    ];
-
-    const queries = [...this.logsTableQueries, ...otherTableQueries];
+      `CREATE INDEX IF NOT EXISTS idx_${this.notificationsTable}_created_at ON ${this.notificationsTable} (created_at)`,
+      `CREATE TABLE IF NOT EXISTS ${this.deadLetterTable} (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        log TEXT,
+        error TEXT,
+        error_code TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+      `CREATE TABLE IF NOT EXISTS ${this.rolesTable} (
+        name TEXT PRIMARY KEY,
+        permissions TEXT NOT NULL
+      )`,
+      `CREATE TABLE IF NOT EXISTS ${this.loginAttemptsTable} (
+        key TEXT PRIMARY KEY,
+        failed_count INTEGER NOT NULL,
+        last_failed_at INTEGER NOT NULL,
+        locked_until INTEGER
+      )`,
+      `CREATE TABLE IF NOT EXISTS ${this.passwordResetTokensTable} (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        token_hash TEXT UNIQUE NOT NULL,
+        expires_at INTEGER NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+      `CREATE INDEX IF NOT EXISTS idx_${this.passwordResetTokensTable}_user_id ON ${this.passwordResetTokensTable} (user_id)`,
+      `CREATE TABLE IF NOT EXISTS ${this.userTotpTable} (
+        user_id INTEGER PRIMARY KEY,
+        secret TEXT NOT NULL,
+        confirmed_at INTEGER,
+        last_used_step INTEGER
+      )`,
+      `CREATE TABLE IF NOT EXISTS ${this.recoveryCodesTable} (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        code_hash TEXT NOT NULL,
+        used_at INTEGER
+      )`,
+      `CREATE INDEX IF NOT EXISTS idx_${this.recoveryCodesTable}_user_id ON ${this.recoveryCodesTable} (user_id)`,
+      `CREATE TABLE IF NOT EXISTS ${this.loginChallengesTable} (
+        token_hash TEXT PRIMARY KEY,
+        user_id INTEGER NOT NULL,
+        source TEXT,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        expires_at INTEGER NOT NULL
+      )`,
+      `CREATE TABLE IF NOT EXISTS ${this.apiKeysTable} (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        prefix TEXT NOT NULL,
+        key_hash TEXT NOT NULL UNIQUE,
+        user_id INTEGER,
+        role TEXT,
+        scopes TEXT NOT NULL,
+        expires_at INTEGER,
+        last_used_at INTEGER,
+        revoked_at INTEGER,
+        created_at INTEGER NOT NULL
+      )`,
+      `CREATE INDEX IF NOT EXISTS idx_${this.apiKeysTable}_user_id ON ${this.apiKeysTable} (user_id)`,
+      `CREATE TABLE IF NOT EXISTS ${this.sessionsTable} (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        token_hash TEXT NOT NULL UNIQUE,
+        user_id INTEGER NOT NULL,
+        data TEXT NOT NULL,
+        created_at INTEGER NOT NULL,
+        last_active_at INTEGER NOT NULL,
+        expires_at INTEGER NOT NULL
+      )`,
+      `CREATE INDEX IF NOT EXISTS idx_${this.sessionsTable}_user_id ON ${this.sessionsTable} (user_id)`,
+      `CREATE TABLE IF NOT EXISTS ${this.auditLogsTable} (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        actor_id INTEGER,
+        action TEXT NOT NULL,
+        target TEXT,
+        old_value TEXT,
+        new_value TEXT,
+        created_at INTEGER NOT NULL
+      )`,
+      `CREATE INDEX IF NOT EXISTS idx_${this.auditLogsTable}_created_at ON ${this.auditLogsTable} (created_at)`,
+      `CREATE INDEX IF NOT EXISTS idx_${this.auditLogsTable}_actor_id ON ${this.auditLogsTable} (actor_id, created_at)`,
+      // Entries are only ever appended; the retention deletes whole entries.
+      `CREATE TRIGGER IF NOT EXISTS ${this.auditLogsTable}_no_update BEFORE UPDATE ON ${this.auditLogsTable}
+        BEGIN SELECT RAISE(ABORT, 'Audit log entries cannot be changed.'); END`,
+      `CREATE TABLE IF NOT EXISTS ${this.migrationsTable} (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`
+    ];
+
+    const queries = [...this.logsTableQueries, ...otherTableQueries];
     for (const query of queries) {
       await new Promise((resolve, reject) => {
         this.db.run(query, err => {
-          if (err) return reject(new Error(err.message || err.toString()));
+          if (err) return reject(toStorageError(err, 'createTables'));
           resolve();
         });
       });
     }
+    await this.migrate();
+    await this.createMetaIndexes();
+    if (this.fullTextSearch) {
+      await this.createFullTextSearchTable();
+    }
 
     this.isConnectionInProgress = false;
   }
 
+  /**
+   * Returns the schema migrations in the order in which they are applied.
+   * Each migration's `up` function returns a description of its changes and only applies them when `dryRun` is false.
+   *
+   * @returns {{version: number, name: string, up: function(boolean): Promise<string[]>}[]}
+   */
+  getMigrations () {
+    return [
+      {
+        version: 1,
+        name: 'import_legacy_logs',
+        up: dryRun => this.importLegacyTable(this.legacyLogsTable, this.logsTable, dryRun, ['timestamp'])
+      },
+      {
+        version: 2,
+        name: 'import_legacy_notifications',
+        up: dryRun => this.importLegacyTable(this.legacyNotificationsTable, this.notificationsTable, dryRun)
+      },
+      {
+        version: 3,
+        name: 'seed_notifications_ttl',
+        up: dryRun => this.seedNotificationsTTL(dryRun)
+      }
+    ];
+  }
+
+  /**
+   * Applies the schema migrations that have not been applied yet. Each migration runs in a transaction
+   * together with recording its version in the schema migrations table.
+   * The legacy tables that data is imported from are left in place, so they can be dropped once the import has been verified.
+   *
+   * @async
+   * @function migrate
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun=false] - Report the pending migrations and their changes without applying them.
+   * @returns {Promise<{items: {version: number, name: string, changes: string[]}[], version: number, dryRun: boolean}>} - A Promise that resolves with the pending (or applied) migrations and the resulting schema version.
+   * @throws {Error} - Throws an error if a migration fails; the failed migration is rolled back.
+   */
+  migrate ({ dryRun = false } = {}) {
+    // Migrations run in transactions, so they are queued with the other writes.
+    return this.queueWrite(() => this.runMigrations(dryRun));
+  }
+
+  async runMigrations (dryRun) {
+    const runAsync = promisify(this.db.run.bind(this.db));
+    const allAsync = promisify(this.db.all.bind(this.db));
+
+    let appliedVersions;
+    try {
+      appliedVersions = (await allAsync(`SELECT version FROM ${this.migrationsTable}`)).map(row => row.version);
+    } catch (err) {
+      throw toStorageError(err, 'migrate');
+    }
+
+    const items = [];
+    for (const migration of this.getMigrations()) {
+      if (appliedVersions.includes(migration.version)) continue;
+      if (dryRun) {
+        items.push({ version: migration.version, name: migration.name, changes: await migration.up(true) });
+        continue;
+      }
+
+      try {
+        await runAsync('BEGIN TRANSACTION;');
+        const changes = await migration.up(false);
+        await runAsync(`INSERT INTO ${this.migrationsTable} (version, name) VALUES (?, ?)`, [migration.version, migration.name]);
+        await runAsync('COMMIT;');
+        appliedVersions.push(migration.version);
+        items.push({ version: migration.version, name: migration.name, changes });
+      } catch (err) {
+        await runAsync('ROLLBACK;').catch(() => {});
+        throw new StorageError(`Migration ${migration.version} (${migration.name}) failed: ${err.message || err.toString()}`, { code: 'MIGRATION_FAILED', operation: 'migrate', cause: err });
+      }
+    }
+
+    return { items, version: Math.max(0, ...appliedVersions), dryRun };
+  }
+
+  /**
+   * Notifications used to expire with the logsTTL config. Existing installs get a notificationsTTL config
+   * with the same value, so that notifications keep expiring as before; new installs get the default.
+   *
+   * @param {boolean} dryRun - Only describe the changes.
+   * @returns {Promise<string[]>} - The changes.
+   */
+  async seedNotificationsTTL (dryRun) {
+    const runAsync = promisify(this.db.run.bind(this.db));
+    const allAsync = promisify(this.db.all.bind(this.db));
+
+    const rows = await allAsync(`SELECT \`key\`, \`value\` FROM ${this.configTable} WHERE \`key\` IN ('logsTTL', 'notificationsTTL')`);
+    const logsTTLConfig = rows.find(row => row.key === 'logsTTL');
+    if (!logsTTLConfig || rows.some(row => row.key === 'notificationsTTL')) return [];
+
+    if (!dryRun) {
+      await runAsync(`INSERT INTO ${this.configTable} (\`key\`, \`value\`) VALUES ('notificationsTTL', ?)`, [logsTTLConfig.value]);
+    }
+    return [`Set notificationsTTL to the value of logsTTL (${logsTTLConfig.value})`];
+  }
+
+  /**
+   * Copies the rows of a table left by an older release into its current table.
+   * Only the columns that exist in both tables are copied, and the rows get new IDs.
+   * Older releases could store timestamps as text, which never compares as older than a TTL cutoff in milliseconds,
+   * so the text in the given timestamp columns is converted to milliseconds. Text that is not a date is copied as is.
+   *
+   * @param {string} sourceTable - The legacy table.
+   * @param {string} targetTable - The current table.
+   * @param {boolean} dryRun - Only describe the changes.
+   * @param {string[]} [timestampColumns=[]] - The columns that hold timestamps in milliseconds in the current table.
+   * @returns {Promise<string[]>} - The changes.
+   */
+  async importLegacyTable (sourceTable, targetTable, dryRun, timestampColumns = []) {
+    const runAsync = promisify(this.db.run.bind(this.db));
+    const allAsync = promisify(this.db.all.bind(this.db));
+
+    const sourceColumns = (await allAsync(`PRAGMA table_info(${sourceTable})`)).map(column => column.name);
+    if (sourceColumns.length === 0) return [];
+    const targetColumns = (await allAsync(`PRAGMA table_info(${targetTable})`)).map(column => column.name);
+    const columns = sourceColumns.filter(column => column !== 'id' && targetColumns.includes(column));
+    const [{ count }] = await allAsync(`SELECT COUNT(*) AS count FROM ${sourceTable}`);
+    if (count === 0 || columns.length === 0) return [];
+
+    const changes = [`Copy ${count} row(s) from ${sourceTable} to ${targetTable} (${columns.join(', ')})`];
+    const convertedColumns = columns.filter(column => timestampColumns.includes(column));
+    for (const column of convertedColumns) {
+      const [{ textCount }] = await allAsync(`SELECT COUNT(*) AS textCount FROM ${sourceTable} WHERE typeof(${column}) = 'text' AND julianday(${column}) IS NOT NULL`);
+      if (textCount > 0) changes.push(`Convert ${textCount} text timestamp(s) in ${column} to milliseconds`);
+    }
+
+    if (!dryRun) {
+      // 2440587.5 is the Julian day of the Unix epoch.
+      const selections = columns.map(column => (convertedColumns.includes(column)
+        ? `CASE WHEN typeof(${column}) = 'text' AND julianday(${column}) IS NOT NULL THEN CAST(ROUND((julianday(${column}) - 2440587.5) * 86400000) AS INTEGER) ELSE ${column} END`
+        : column));
+      await runAsync(`INSERT INTO ${targetTable} (${columns.join(', ')}) SELECT ${selections.join(', ')} FROM ${sourceTable} ORDER BY rowid`);
+    }
+    return changes;
+  }
+
+  /**
+   * Creates the FTS5 table that indexes log messages, along with the triggers that keep it in sync with the logs table.
+   * If SQLite was built without FTS5, full-text search stays disabled and searchLogs uses LIKE instead.
+   */
+  async createFullTextSearchTable () {
+    const ftsTableQueries = [
+      `CREATE VIRTUAL TABLE IF NOT EXISTS ${this.logsFtsTable} USING fts5(message, content='${this.logsTable}', content_rowid='id')`,
+      `CREATE TRIGGER IF NOT EXISTS ${this.logsTable}_fts_insert AFTER INSERT ON ${this.logsTable} BEGIN
+        INSERT INTO ${this.logsFtsTable} (rowid, message) VALUES (NEW.id, NEW.message);
+      END`,
+      `CREATE TRIGGER IF NOT EXISTS ${this.logsTable}_fts_delete AFTER DELETE ON ${this.logsTable} BEGIN
+        INSERT INTO ${this.logsFtsTable} (${this.logsFtsTable}, rowid, message) VALUES ('delete', OLD.id, OLD.message);
+      END`,
+      `CREATE TRIGGER IF NOT EXISTS ${this.logsTable}_fts_update AFTER UPDATE OF message ON ${this.logsTable} BEGIN
+        INSERT INTO ${this.logsFtsTable} (${this.logsFtsTable}, rowid, message) VALUES ('delete', OLD.id, OLD.message);
+        INSERT INTO ${this.logsFtsTable} (rowid, message) VALUES (NEW.id, NEW.message);
+      END`
+    ];
+
+    const ftsTableExists = await new Promise((resolve, reject) => {
+      this.db.get('SELECT 1 FROM sqlite_master WHERE type = \'table\' AND name = ?', [this.logsFtsTable], (err, row) => {
+        if (err) return reject(toStorageError(err, 'createFullTextSearchTable'));
+        resolve(!!row);
+      });
+    });
+
+    const runAsync = promisify(this.db.run.bind(this.db));
+    try {
+      for (const query of ftsTableQueries) {
+        await runAsync(query);
+      }
+    } catch (err) {
+      if (/no such module: fts5/.test(err.message)) {
+        this.isFullTextSearchEnabled = false;
+        return;
+      }
+      throw toStorageError(err, 'createFullTextSearchTable');
+    }
+
+    // Index the logs that were written before the FTS table existed.
+    if (!ftsTableExists) {
+      await runAsync(`INSERT INTO ${this.logsFtsTable} (${this.logsFtsTable}) VALUES ('rebuild')`);
+    }
+    this.logsTableQueries.push(...ftsTableQueries.filter(query => !this.logsTableQueries.includes(query)));
+    this.isFullTextSearchEnabled = true;
+  }
+
+  /**
+   * Adds a generated column with an index to the logs table for each path in the metaIndexes option.
+   * Logs whose meta is not valid JSON get NULL in these columns.
+   */
+  async createMetaIndexes () {
+    const jsonPaths = Object.keys(this.metaColumns);
+    if (jsonPaths.length === 0) return;
+
+    const existingColumns = await new Promise((resolve, reject) => {
+      this.db.all(`PRAGMA table_xinfo(${this.logsTable})`, (err, rows) => {
+        if (err) return reject(toStorageError(err, 'createMetaIndexes'));
+        resolve(rows.map(row => row.name));
+      });
+    });
+
+    const metaColumnQueries = [];
+    const metaIndexQueries = [];
+    for (const jsonPath of jsonPaths) {
+      const column = this.metaColumns[jsonPath];
+      const addColumnQuery = `ALTER TABLE ${this.logsTable} ADD COLUMN ${column} GENERATED ALWAYS AS (CASE WHEN json_valid(meta) THEN json_extract(meta, '${jsonPath}') END) VIRTUAL`;
+      metaColumnQueries.push({ query: addColumnQuery, exists: existingColumns.includes(column) });
+      metaIndexQueries.push(`CREATE INDEX IF NOT EXISTS idx_${this.logsTable}_${column} ON ${this.logsTable} (${column})`);
+    }
+
+    const runAsync = promisify(this.db.run.bind(this.db));
+    try {
+      for (const { query, exists } of metaColumnQueries) {
+        if (!exists) await runAsync(query);
+      }
+      for (const query of metaIndexQueries) {
+        await runAsync(query);
+      }
+    } catch (err) {
+      throw toStorageError(err, 'createMetaIndexes');
+    }
+    // deleteAllLogs recreates the logs table, so the columns have to be added again.
+    const queries = [...metaColumnQueries.map(({ query }) => query), ...metaIndexQueries];
+    this.logsTableQueries.push(...queries.filter(query => !this.logsTableQueries.includes(query)));
+  }
+
+  /**
+   * Fills the hostnames table from the logs table when it is empty, e.g. for logs written before the table existed.
+   */
+  async ensureHostnames () {
+    const hasHostnames = await new Promise((resolve, reject) => {
+      this.db.get(`SELECT 1 FROM ${this.hostnamesTable} LIMIT 1`, (err, row) => {
+        if (err) return reject(toStorageError(err, 'ensureHostnames'));
+        resolve(!!row);
+      });
+    });
+    if (hasHostnames) return;
+
+    const query = `INSERT OR IGNORE INTO ${this.hostnamesTable} (hostname) SELECT DISTINCT hostname FROM ${this.logsTable} WHERE hostname IS NOT NULL`;
+    return this.queueWrite(() => new Promise((resolve, reject) => {
+      this.db.run(query, err => {
+        if (err) return reject(toStorageError(err, 'ensureHostnames'));
+        resolve();
+      });
+    }));
+  }
+
+  /**
+   * Adds the built-in roles that are missing from the roles table.
+   */
+  async ensureRoles () {
+    const query = `INSERT OR IGNORE INTO ${this.rolesTable} (name, permissions) VALUES ${USER_ROLES.map(() => '(?, ?)').join(', ')}`;
+    const values = USER_ROLES.flatMap(role => [role, JSON.stringify(BUILT_IN_ROLES[role])]);
+    return this.queueWrite(() => new Promise((resolve, reject) => {
+      this.db.run(query, values, err => {
+        if (err) return reject(toStorageError(err, 'ensureRoles'));
+        resolve();
+      });
+    }));
+  }
+
   async ensureLogsTTL () {
-    const DEFAULT_LOGS_TTL = 7 * 24 * 60 * 60 * 1000; // 7 days in milliseconds
     const configResult = await this.getConfig('logsTTL');
     if (!configResult.item) {
       await this.setConfig('logsTTL', DEFAULT_LOGS_TTL.toString());
     }
   }
 
+  async ensureNotificationsTTL () {
+    const configResult = await this.getConfig('notificationsTTL');
+    if (!configResult.item) {
+      await this.setConfig('notificationsTTL', DEFAULT_NOTIFICATIONS_TTL.toString());
+    }
+  }
+
+  async ensureAuditLogsTTL () {
+    const configResult = await this.getConfig('auditLogsTTL');
+    if (!configResult.item) {
+      await this.setConfig('auditLogsTTL', DEFAULT_AUDIT_LOGS_TTL.toString());
+    }
+  }
+
   /**
    * Retrieves a configuration entry from the database.
    *
@@ -206,7 +1518,7 @@ class ErrsoleSQLite extends EventEmitter {
 
     return new Promise((resolve, reject) => {
       this.db.get(query, [key], (err, row) => {
-        if (err) return reject(new Error(err.message || err.toString()));
+        if (err) return reject(toStorageError(err, 'getConfig'));
         resolve({ item: row });
       });
     });
@@ -219,18 +1531,25 @@ class ErrsoleSQLite extends EventEmitter {
    * @function setConfig
    * @param {string} key - The key of the configuration entry.
    * @param {string} value - The value to be stored for the configuration entry.
+   * @param {ActionContext} [context] - Requires the config:write permission when an actor is given.
    * @returns {Promise<{item: Config}>} - A promise that resolves with an object containing the updated or added configuration item.
-   * @throws {Error} - Throws an error if the operation fails.
+   * @throws {Error} - Throws an error if the actor lacks permission, the value of a TTL or of retentionPolicy is invalid, or the operation fails.
    */
-  async setConfig (key, value) {
+  async setConfig (key, value, context) {
+    if (TTL_CONFIG_KEYS.includes(key)) parseTTL(key, value, 'setConfig');
+    if (key === 'retentionPolicy') parseRetentionPolicy(value, 'setConfig');
+    await this.assertPermission(context, 'config:write');
+    const { item: oldConfig } = await this.getConfig(key);
     const query = `INSERT INTO ${this.configTable} (\`key\`, \`value\`) VALUES (?, ?) ON CONFLICT(\`key\`) DO UPDATE SET \`value\` = excluded.value`;
 
-    return new Promise((resolve, reject) => {
+    await this.queueWrite(() => new Promise((resolve, reject) => {
       this.db.run(query, [key, value], err => {
-        if (err) return reject(new Error(err.message || err.toString()));
-        this.getConfig(key).then(resolve).catch(reject);
+        if (err) return reject(toStorageError(err, 'setConfig'));
+        resolve();
       });
-    });
+    }));
+    await this.recordAudit(context, 'config.set', `config:${key}`, oldConfig ? oldConfig.value : null, value);
+    return this.getConfig(key);
   }
 
   /**
@@ -239,19 +1558,24 @@ class ErrsoleSQLite extends EventEmitter {
    * @async
    * @function deleteConfig
    * @param {string} key - The key of the configuration entry to be deleted.
+   * @param {ActionContext} [context] - Requires the config:write permission when an actor is given.
    * @returns {Promise<{}>} - A Promise that resolves with an empty object upon successful deletion of the configuration.
-   * @throws {Error} - Throws an error if the operation fails.
+   * @throws {Error} - Throws an error if the actor lacks permission or the operation fails.
    */
-  async deleteConfig (key) {
+  async deleteConfig (key, context) {
+    await this.assertPermission(context, 'config:write');
+    const { item: oldConfig } = await this.getConfig(key);
     const query = `DELETE FROM ${this.configTable} WHERE \`key\` = ?`;
 
-    return new Promise((resolve, reject) => {
+    await this.queueWrite(() => new Promise((resolve, reject) => {
       this.db.run(query, [key], function (err) { // You must use an old-school function () { ... } style callback rather than a lambda function, otherwise this.lastID and this.changes will be undefined.
-        if (err) return reject(new Error(err.message || err.toString()));
-        if (this.changes === 0) return reject(new Error('Configuration not found.'));
-        resolve({});
+        if (err) return reject(toStorageError(err, 'deleteConfig'));
+        if (this.changes === 0) return reject(new NotFoundError('Configuration not found.', { code: 'CONFIG_NOT_FOUND', operation: 'deleteConfig' }));
+        resolve();
       });
-    });
+    }));
+    await this.recordAudit(context, 'config.delete', `config:${key}`, oldConfig ? oldConfig.value : null, null);
+    return {};
   }
 
   /**
@@ -260,60 +1584,236 @@ class ErrsoleSQLite extends EventEmitter {
    * @async
    * @function createUser
    * @param {Object} user - The user data.
-   * @param {string} user.name - The name of the user.
+   * @param {string} [user.name] - The name of the user.
    * @param {string} user.email - The email address of the user.
    * @param {string} user.password - The password of the user.
-   * @param {string} user.role - The role of the user.
+   * @param {string} user.role - The role of the user, which must exist in the roles table.
+   * @param {ActionContext} [context] - Requires the users:manage permission when an actor is given.
    * @returns {Promise<{item: User}>} - A promise that resolves with an object containing the new user item.
-   * @throws {Error} - Throws an error if the user creation fails due to duplicate email or other database issues.
+   * @throws {Error} - Throws an error if the name, email or role is invalid, or if the user creation fails due to duplicate email or other database issues,
+   * or an error with `violations` if the password does not meet the password policy.
    */
-  async createUser (user) {
-    const SALT_ROUNDS = 10;
-    const hashedPassword = await bcrypt.hash(user.password, SALT_ROUNDS);
+  async createUser (user, context) {
+    const fields = user.name === undefined || user.name === null ? ['email', 'role'] : ['name', 'email', 'role'];
+    await this.validateUserFields(user, fields);
+    this.assertValidPassword(user.password, user.email);
+    await this.assertPermission(context, 'users:manage');
+    const hashedPassword = await bcrypt.hash(user.password, this.bcryptRounds);
     const query = `INSERT INTO ${this.usersTable} (name, email, hashed_password, role) VALUES (?, ?, ?, ?)`;
-    return new Promise((resolve, reject) => {
+    const result = await this.queueWrite(() => new Promise((resolve, reject) => {
       this.db.run(query, [user.name, user.email, hashedPassword, user.role], function (err) { // You must use an old-school function () { ... } style callback rather than a lambda function, otherwise this.lastID and this.changes will be undefined.
         if (err) {
           if (err.code === 'SQLITE_CONSTRAINT') {
-            return reject(new Error('A user with the provided email already exists.'));
+            return reject(new ConflictError('A user with the provided email already exists.', { code: 'EMAIL_IN_USE', operation: 'createUser', cause: err }));
           }
-          return reject(new Error(err.message || err.toString()));
+          return reject(toStorageError(err, 'createUser'));
         }
         resolve({ item: { id: this.lastID, name: user.name, email: user.email, role: user.role } });
       });
-    });
+    }));
+    await this.recordAudit(context, 'user.create', `user:${result.item.id}`, null, result.item);
+    return result;
   }
 
   /**
    * Verifies a user's credentials against stored records.
+   * Failed logins are counted per email and per source; after too many, further logins are locked out
+   * for a period that doubles with each failed login. Unknown emails and wrong passwords get the same error.
    *
    * @async
    * @function verifyUser
    * @param {string} email - The email address of the user.
    * @param {string} password - The password of the user
-   * @returns {Promise<{item: User}>} - A promise that resolves with an object containing the user item upon successful verification.
-   * @throws {Error} - Throws an error if the operation fails.
+   * @param {Object} [options]
+   * @param {string} [options.source] - Identifies where the login comes from, e.g. the client's IP address.
+   * @returns {Promise<{item: User}|{item: null, second_factor_required: true, challenge: string}>} - A promise that resolves with an object containing the user item upon successful verification.
+   * If the user has two-factor authentication enabled, it resolves without the user and with a challenge to pass to completeLogin instead.
+   * @throws {Error} - Throws 'Invalid email or password.', or an error with `lockedUntil` if the email or source is locked out.
    */
-  async verifyUser (email, password) {
+  async verifyUser (email, password, options = {}) {
     if (!email || !password) {
-      throw new Error('Both email and password are required for verification.');
+      throw new ValidationError('Both email and password are required for verification.', { code: 'INVALID_INPUT', operation: 'verifyUser' });
     }
 
+    const attemptKeys = this.getLoginAttemptKeys(email, options.source);
+    await this.assertNotLockedOut(attemptKeys);
+
     const query = `SELECT * FROM ${this.usersTable} WHERE email = ?`;
-    return new Promise((resolve, reject) => {
-      this.db.get(query, [email], async (err, row) => {
-        if (err) return reject(new Error(err.message || err.toString()));
-        if (!row) return reject(new Error('User not found.'));
+    const row = await new Promise((resolve, reject) => {
+      this.db.get(query, [email], (err, row) => {
+        if (err) return reject(toStorageError(err, 'verifyUser'));
+        resolve(row);
+      });
+    });
 
-        const isPasswordCorrect = await bcrypt.compare(password, row.hashed_password);
-        if (!isPasswordCorrect) return reject(new Error('Incorrect password.'));
+    const isPasswordCorrect = await bcrypt.compare(password, row ? row.hashed_password : await this.getDummyPasswordHash());
+    if (!row || !isPasswordCorrect) {
+      await this.recordFailedLogin(attemptKeys);
+      throw new AuthError('Invalid email or password.', { code: 'INVALID_CREDENTIALS', operation: 'verifyUser' });
+    }
+    await this.rehashPasswordIfNeeded(row, password);
 
-        delete row.hashed_password;
-        resolve({ item: row });
+    if (await this.isTotpEnabled(row.id)) {
+      const challenge = await this.createLoginChallenge(row.id, options.source);
+      return { item: null, second_factor_required: true, challenge };
+    }
+
+    await this.deleteLoginAttempts([attemptKeys.user.key]);
+    delete row.hashed_password;
+    return { item: row };
+  }
+
+  /**
+   * Returns a hash to compare against when the email is unknown, so that a login takes as long as for an existing user.
+   * It is created on first use, with the cost that createUser and updatePassword hash passwords with.
+   *
+   * @returns {Promise<string>}
+   */
+  getDummyPasswordHash () {
+    if (!this.dummyPasswordHash) {
+      this.dummyPasswordHash = bcrypt.hash('dummy password', this.bcryptRounds).catch(err => {
+        this.dummyPasswordHash = null;
+        throw err;
+      });
+    }
+    return this.dummyPasswordHash;
+  }
+
+  /**
+   * Returns the keys under which failed logins are counted, with the number of failed logins that locks each one out.
+   *
+   * @param {string} email - The email address used to log in.
+   * @param {string} [source] - Where the login comes from.
+   * @returns {{user: {key: string, maxFailedLogins: number}, source?: {key: string, maxFailedLogins: number}}}
+   */
+  getLoginAttemptKeys (email, source) {
+    const keys = { user: { key: `user:${String(email).trim().toLowerCase()}`, maxFailedLogins: this.lockout.maxFailedLogins } };
+    if (source) {
+      keys.source = { key: `source:${source}`, maxFailedLogins: this.lockout.maxFailedLoginsPerSource };
+    }
+    return keys;
+  }
+
+  async assertNotLockedOut (attemptKeys) {
+    const keys = Object.values(attemptKeys).map(({ key }) => key);
+    const lockedUntil = await new Promise((resolve, reject) => {
+      this.db.all(`SELECT MAX(locked_until) AS locked_until FROM ${this.loginAttemptsTable} WHERE key IN (${keys.map(() => '?').join(', ')})`, keys, (err, rows) => {
+        if (err) return reject(toStorageError(err, 'assertNotLockedOut'));
+        resolve(rows[0] ? rows[0].locked_until : null);
+      });
+    });
+    if (lockedUntil && lockedUntil > Date.now()) {
+      const error = new AuthError('Too many failed login attempts. Try again later.', { code: 'LOCKED_OUT', operation: 'assertNotLockedOut' });
+      error.lockedUntil = new Date(lockedUntil);
+      throw error;
+    }
+  }
+
+  async recordFailedLogin (attemptKeys) {
+    const now = Date.now();
+    const upsertQuery = `INSERT INTO ${this.loginAttemptsTable} (key, failed_count, last_failed_at) VALUES (?, 1, ?)
+      ON CONFLICT(key) DO UPDATE SET
+        failed_count = CASE WHEN last_failed_at < ? THEN 1 ELSE failed_count + 1 END,
+        last_failed_at = excluded.last_failed_at
+      RETURNING failed_count`;
+    return this.queueWrite(async () => {
+      for (const { key, maxFailedLogins } of Object.values(attemptKeys)) {
+        const failedCount = await new Promise((resolve, reject) => {
+          this.db.all(upsertQuery, [key, now, now - this.lockout.failedLoginWindow], (err, rows) => {
+            if (err) return reject(toStorageError(err, 'recordFailedLogin'));
+            resolve(rows[0].failed_count);
+          });
+        });
+        if (failedCount < maxFailedLogins) continue;
+
+        const lockoutDuration = Math.min(this.lockout.lockoutDuration * 2 ** (failedCount - maxFailedLogins), this.lockout.maxLockoutDuration);
+        await new Promise((resolve, reject) => {
+          this.db.run(`UPDATE ${this.loginAttemptsTable} SET locked_until = ? WHERE key = ?`, [now + lockoutDuration, key], err => {
+            if (err) return reject(toStorageError(err, 'recordFailedLogin'));
+            resolve();
+          });
+        });
+      }
+    });
+  }
+
+  async deleteLoginAttempts (keys) {
+    const query = `DELETE FROM ${this.loginAttemptsTable} WHERE key IN (${keys.map(() => '?').join(', ')})`;
+    return this.queueWrite(() => new Promise((resolve, reject) => {
+      this.db.run(query, keys, err => {
+        if (err) return reject(toStorageError(err, 'deleteLoginAttempts'));
+        resolve();
+      });
+    }));
+  }
+
+  /**
+   * Retrieves the failed-login counter and lockout of an email or a source.
+   *
+   * @async
+   * @function getLockout
+   * @param {{email?: string, source?: string}} target - The email or the source to look up.
+   * @returns {Promise<{item: {key: string, failed_count: number, last_failed_at: Date, locked_until: Date|null, is_locked: boolean}|null}>} - A Promise that resolves with the counter, or null if there are no recent failed logins.
+   * @throws {Error} - Throws an error if neither an email nor a source is given, or the operation fails.
+   */
+  async getLockout (target = {}) {
+    const key = this.getLockoutKey(target);
+    const query = `SELECT key, failed_count, last_failed_at, locked_until FROM ${this.loginAttemptsTable} WHERE key = ?`;
+    return new Promise((resolve, reject) => {
+      this.db.get(query, [key], (err, row) => {
+        if (err) return reject(toStorageError(err, 'getLockout'));
+        if (!row) return resolve({ item: null });
+        resolve({
+          item: {
+            key: row.key,
+            failed_count: row.failed_count,
+            last_failed_at: new Date(row.last_failed_at),
+            locked_until: row.locked_until ? new Date(row.locked_until) : null,
+            is_locked: !!row.locked_until && row.locked_until > Date.now()
+          }
+        });
       });
     });
   }
 
+  /**
+   * Clears the failed-login counter and lockout of an email or a source.
+   *
+   * @async
+   * @function clearLockout
+   * @param {{email?: string, source?: string}} target - The email or the source to clear.
+   * @param {ActionContext} [context] - Requires the users:manage permission when an actor is given.
+   * @returns {Promise<{}>} - A Promise that resolves with an empty object.
+   * @throws {Error} - Throws an error if neither an email nor a source is given, the actor lacks permission, or the operation fails.
+   */
+  async clearLockout (target = {}, context) {
+    const key = this.getLockoutKey(target);
+    await this.assertPermission(context, 'users:manage');
+    await this.deleteLoginAttempts([key]);
+    await this.recordAudit(context, 'user.lockout_clear', `lockout:${key}`, null, null);
+    return {};
+  }
+
+  getLockoutKey ({ email, source }) {
+    if (email) return this.getLoginAttemptKeys(email).user.key;
+    if (source) return this.getLoginAttemptKeys('', source).source.key;
+    throw new ValidationError('Either an email or a source is required.', { code: 'INVALID_INPUT', operation: 'getLockoutKey' });
+  }
+
+  /**
+   * Deletes failed-login counters that are neither locked out nor within the failed-login window.
+   */
+  async deleteExpiredLoginAttempts () {
+    const now = Date.now();
+    const query = `DELETE FROM ${this.loginAttemptsTable} WHERE last_failed_at < ? AND (locked_until IS NULL OR locked_until < ?)`;
+    return this.queueWrite(() => new Promise((resolve, reject) => {
+      this.db.run(query, [now - this.lockout.failedLoginWindow, now], err => {
+        if (err) return reject(toStorageError(err, 'deleteExpiredLoginAttempts'));
+        resolve();
+      });
+    }));
+  }
+
   /**
    * Retrieves the total count of users from the database.
    *
@@ -325,161 +1825,1170 @@ class ErrsoleSQLite extends EventEmitter {
   async getUserCount () {
     const query = `SELECT COUNT(*) as count FROM ${this.usersTable}`;
     return new Promise((resolve, reject) => {
-      this.db.get(query, (err, row) => {
-        if (err) return reject(new Error(err.message || err.toString()));
-        resolve({ count: row.count });
+      this.db.get(query, (err, row) => {
+        if (err) return reject(toStorageError(err, 'getUserCount'));
+        resolve({ count: row.count });
+      });
+    });
+  }
+
+  /**
+   * Retrieves all user records from the database.
+   *
+   * @async
+   * @function getAllUsers
+   * @returns {Promise<{items: User[]}>} - A promise that resolves with an object containing an array of user items.
+   * @throws {Error} - Throws an error if the operation fails.
+   */
+  async getAllUsers () {
+    const query = `SELECT id, name, email, role FROM ${this.usersTable}`;
+    return new Promise((resolve, reject) => {
+      this.db.all(query, (err, rows) => {
+        if (err) return reject(toStorageError(err, 'getAllUsers'));
+        resolve({ items: rows });
+      });
+    });
+  }
+
+  /**
+   * Retrieves a user record from the database based on the provided email.
+   *
+   * @async
+   * @function getUserByEmail
+   * @param {string} email - The email address of the user.
+   * @returns {Promise<{item: User}>} - A Promise that resolves with an object containing the user item.
+   * @throws {Error} - Throws an error if no user matches the email address.
+   */
+  async getUserByEmail (email) {
+    if (!email) throw new ValidationError('Email is required.', { code: 'INVALID_INPUT', operation: 'getUserByEmail' });
+
+    const query = `SELECT id, name, email, role FROM ${this.usersTable} WHERE email = ?`;
+    return new Promise((resolve, reject) => {
+      this.db.get(query, [email], (err, row) => {
+        if (err) return reject(toStorageError(err, 'getUserByEmail'));
+        if (!row) return reject(new NotFoundError('User not found.', { code: 'USER_NOT_FOUND', operation: 'getUserByEmail' }));
+        resolve({ item: row });
+      });
+    });
+  }
+
+  /**
+   * Updates a user's record in the database based on the provided email.
+   *
+   * @async
+   * @function updateUserByEmail
+   * @param {string} email - The email address of the user to be updated.
+   * @param {{name?: string, email?: string, role?: string}} updates - The updates to be applied to the user record. `id` and `hashed_password` are ignored.
+   * @param {ActionContext} [context] - Requires the users:manage permission when an actor is given.
+   * @returns {Promise<{item: User}>} - A Promise that resolves with an object containing the updated user item.
+   * @throws {Error} - Throws an error if no updates could be applied, a field is unknown or invalid, the new email is already in use,
+   * the update would demote the last admin, the actor lacks permission, or the user is not found.
+   */
+  async updateUserByEmail (email, updates, context) {
+    if (!email) throw new ValidationError('Email is required.', { code: 'INVALID_INPUT', operation: 'updateUserByEmail' });
+    if (!updates || Object.keys(updates).length === 0) throw new ValidationError('No updates provided.', { code: 'INVALID_INPUT', operation: 'updateUserByEmail' });
+
+    const restrictedFields = ['id', 'hashed_password'];
+    const fields = Object.keys(updates).filter(key => !restrictedFields.includes(key));
+    if (fields.length === 0) throw new ValidationError('No updates provided.', { code: 'INVALID_INPUT', operation: 'updateUserByEmail' });
+    const unknownFields = fields.filter(key => !USER_UPDATABLE_FIELDS.includes(key));
+    if (unknownFields.length > 0) {
+      throw new ValidationError(`Unknown user field(s): ${unknownFields.join(', ')}. Updatable fields are: ${USER_UPDATABLE_FIELDS.join(', ')}.`, { code: 'INVALID_INPUT', operation: 'updateUserByEmail' });
+    }
+    await this.validateUserFields(updates, fields);
+    await this.assertPermission(context, 'users:manage');
+    const { item: oldUser } = await this.getUserByEmail(email);
+
+    // The email is changed in the same statement, so the UNIQUE constraint rejects it if another user already has it.
+    const setClause = fields.map(key => `${key} = ?`).join(', ');
+    const values = [...fields.map(key => updates[key]), email];
+    let query = `UPDATE ${this.usersTable} SET ${setClause} WHERE email = ?`;
+    const isRoleChange = fields.includes('role') && updates.role !== 'admin';
+    if (isRoleChange) {
+      query += ` AND ${this.getLastAdminCondition()}`;
+    }
+
+    const changes = await this.queueWrite(() => new Promise((resolve, reject) => {
+      this.db.run(query, values, function (err) { // You must use an old-school function () { ... } style callback rather than a lambda function, otherwise this.lastID and this.changes will be undefined.
+        if (err) {
+          if (err.code === 'SQLITE_CONSTRAINT') {
+            return reject(new ConflictError('A user with the provided email already exists.', { code: 'EMAIL_IN_USE', operation: 'updateUserByEmail', cause: err }));
+          }
+          return reject(toStorageError(err, 'updateUserByEmail'));
+        }
+        resolve(this.changes);
+      });
+    }));
+    if (changes === 0 && isRoleChange) {
+      throw new ConflictError('Cannot demote the last admin.', { code: 'LAST_ADMIN', operation: 'updateUserByEmail' });
+    }
+    const result = await this.getUserByEmail(fields.includes('email') ? updates.email : email);
+    await this.recordAudit(context, 'user.update', `user:${oldUser.id}`, oldUser, result.item);
+    return result;
+  }
+
+  /**
+   * Returns a WHERE condition that excludes the user row if it is the only admin, so that
+   * the last admin cannot be deleted or demoted even by concurrent requests.
+   *
+   * @returns {string}
+   */
+  getLastAdminCondition () {
+    return `NOT (role = 'admin' AND (SELECT COUNT(*) FROM ${this.usersTable} WHERE role = 'admin') = 1)`;
+  }
+
+  /**
+   * Validates the values of user fields. A role is valid if it exists in the roles table.
+   *
+   * @param {Object} user - The object holding the values.
+   * @param {string[]} fields - The fields to validate.
+   * @throws {Error} - Throws an error describing the first invalid value.
+   */
+  async validateUserFields (user, fields) {
+    if (fields.includes('name') && (typeof user.name !== 'string' || user.name.trim().length === 0 || user.name.length > MAX_USER_NAME_LENGTH)) {
+      throw new ValidationError(`Name must be a non-empty string of at most ${MAX_USER_NAME_LENGTH} characters.`, { code: 'INVALID_INPUT', operation: 'validateUserFields' });
+    }
+    if (fields.includes('email') && (typeof user.email !== 'string' || !EMAIL_PATTERN.test(user.email))) {
+      throw new ValidationError('Email must be a valid email address.', { code: 'INVALID_INPUT', operation: 'validateUserFields' });
+    }
+    if (fields.includes('role')) {
+      const roles = (await this.getRoles()).items.map(role => role.name);
+      if (!roles.includes(user.role)) {
+        throw new ValidationError(`Role must be one of: ${roles.join(', ')}.`, { code: 'INVALID_INPUT', operation: 'validateUserFields' });
+      }
+    }
+  }
+
+  /**
+   * Updates a user's password in the database.
+   *
+   * @async
+   * @function updatePassword
+   * @param {string} email - The email address of the user whose password is to be updated.
+   * @param {string} currentPassword - The current password of the user for verification.
+   * @param {string} newPassword - The new password to replace the current one.
+   * @returns {Promise<{item: User}>} - A Promise that resolves with an object containing the updated user item (excluding sensitive information).
+   * The user's sessions and password reset tokens are revoked.
+   * @throws {Error} - If the user is not found, if the current password is incorrect, or if the password update fails.
+   * Throws an error with `violations` if the new password does not meet the password policy.
+   */
+  async updatePassword (email, currentPassword, newPassword) {
+    if (!email || !currentPassword || !newPassword) {
+      throw new ValidationError('Email, current password, and new password are required.', { code: 'INVALID_INPUT', operation: 'updatePassword' });
+    }
+    this.assertValidPassword(newPassword, email);
+
+    const query = `SELECT * FROM ${this.usersTable} WHERE email = ?`;
+    return new Promise((resolve, reject) => {
+      this.db.get(query, [email], async (err, row) => {
+        if (err) return reject(toStorageError(err, 'updatePassword'));
+        if (!row) return reject(new NotFoundError('User not found.', { code: 'USER_NOT_FOUND', operation: 'updatePassword' }));
+
+        const isPasswordCorrect = await bcrypt.compare(currentPassword, row.hashed_password);
+        if (!isPasswordCorrect) return reject(new AuthError('Current password is incorrect.', { code: 'INVALID_CREDENTIALS', operation: 'updatePassword' }));
+
+        const hashedPassword = await bcrypt.hash(newPassword, this.bcryptRounds);
+        const updateQuery = `UPDATE ${this.usersTable} SET hashed_password = ? WHERE email = ?`;
+        const runAsync = promisify(this.db.run.bind(this.db));
+        this.queueWrite(() => runAsync(updateQuery, [hashedPassword, email])).then(() => {
+          delete row.hashed_password;
+          return this.revokePasswordResetTokens(row.id);
+        }).then(() => this.deleteUserSessions(row.id))
+          .then(() => this.recordAudit({ actorId: row.id }, 'user.password_change', `user:${row.id}`, null, null))
+          .then(() => resolve({ item: row }), err => reject(toStorageError(err, 'updatePassword')));
+      });
+    });
+  }
+
+  /**
+   * Checks a password against the password policy without storing it, e.g. to give feedback while the user types.
+   *
+   * @function validatePassword
+   * @param {string} password - The password to check.
+   * @param {string} [email] - The email address of the user, for the disallowEmail rule.
+   * @returns {{valid: boolean, violations: PasswordViolation[]}}
+   */
+  validatePassword (password, email) {
+    const violations = getPasswordViolations(this.passwordPolicy, password, email);
+    return { valid: violations.length === 0, violations };
+  }
+
+  assertValidPassword (password, email) {
+    const { violations } = this.validatePassword(password, email);
+    if (violations.length > 0) {
+      const error = new ValidationError(`Password does not meet the password policy: ${violations.map(violation => violation.message).join(' ')}`, { code: 'PASSWORD_POLICY_VIOLATION', operation: 'assertValidPassword' });
+      error.violations = violations;
+      throw error;
+    }
+  }
+
+  /**
+   * Rehashes a password whose hash has a lower bcrypt cost than the bcryptRounds option. Called after the password
+   * was verified, as it is the only time the plain password is available.
+   */
+  async rehashPasswordIfNeeded (row, password) {
+    const match = BCRYPT_HASH_PATTERN.exec(row.hashed_password);
+    if (!match || Number(match[1]) >= this.bcryptRounds) return;
+
+    try {
+      const hashedPassword = await bcrypt.hash(password, this.bcryptRounds);
+      // The hash condition skips the update if the password was changed in the meantime.
+      const query = `UPDATE ${this.usersTable} SET hashed_password = ? WHERE id = ? AND hashed_password = ?`;
+      const runAsync = promisify(this.db.run.bind(this.db));
+      await this.queueWrite(() => runAsync(query, [hashedPassword, row.id, row.hashed_password]));
+    } catch (err) {
+      // The login still succeeds; the password is rehashed at the next login.
+      this.emitError(toStorageError(err, 'rehashPasswordIfNeeded'));
+    }
+  }
+
+  /**
+   * Creates a single-use token with which the user's password can be reset, e.g. to send in a reset link.
+   * Only a hash of the token is stored, and any earlier token of the user is revoked.
+   *
+   * @async
+   * @function createPasswordResetToken
+   * @param {string} email - The email address of the user.
+   * @returns {Promise<{item: {token: string, expires_at: Date}|null}>} - A Promise that resolves with the token and its expiry,
+   * or with null if there is no user with the email. Callers should respond the same way in both cases, so that the response
+   * does not reveal which emails have an account.
+   * @throws {Error} - Throws an error if the operation fails.
+   */
+  async createPasswordResetToken (email) {
+    if (!email) throw new ValidationError('Email is required.', { code: 'INVALID_INPUT', operation: 'createPasswordResetToken' });
+
+    const user = await new Promise((resolve, reject) => {
+      this.db.get(`SELECT id FROM ${this.usersTable} WHERE email = ?`, [email], (err, row) => {
+        if (err) return reject(toStorageError(err, 'createPasswordResetToken'));
+        resolve(row);
+      });
+    });
+    if (!user) return { item: null };
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = Date.now() + this.passwordResetTokenTTL;
+
+    await this.revokePasswordResetTokens(user.id);
+    const query = `INSERT INTO ${this.passwordResetTokensTable} (user_id, token_hash, expires_at) VALUES (?, ?, ?)`;
+    return this.queueWrite(() => new Promise((resolve, reject) => {
+      this.db.run(query, [user.id, hashToken(token), expiresAt], err => {
+        if (err) return reject(toStorageError(err, 'createPasswordResetToken'));
+        resolve({ item: { token, expires_at: new Date(expiresAt) } });
+      });
+    }));
+  }
+
+  /**
+   * Sets a new password with a password reset token. The token is consumed even if it has expired,
+   * and the user's other tokens and failed-login lockout are cleared.
+   *
+   * @async
+   * @function resetPasswordWithToken
+   * @param {string} token - The token returned by createPasswordResetToken.
+   * @param {string} newPassword - The new password.
+   * @returns {Promise<{item: User}>} - A Promise that resolves with an object containing the user item.
+   * @throws {Error} - Throws an error if the token is invalid, used or expired, or the operation fails.
+   * Throws an error with `violations` if the new password does not meet the password policy; the token stays valid then.
+   */
+  async resetPasswordWithToken (token, newPassword) {
+    if (!token || !newPassword) {
+      throw new ValidationError('Token and new password are required.', { code: 'INVALID_INPUT', operation: 'resetPasswordWithToken' });
+    }
+    // Checked before the token is consumed, so that the user can retry with a better password.
+    const tokenUser = await new Promise((resolve, reject) => {
+      const query = `SELECT u.email FROM ${this.passwordResetTokensTable} t JOIN ${this.usersTable} u ON u.id = t.user_id WHERE t.token_hash = ?`;
+      this.db.get(query, [hashToken(token)], (err, row) => {
+        if (err) return reject(toStorageError(err, 'resetPasswordWithToken'));
+        resolve(row);
+      });
+    });
+    this.assertValidPassword(newPassword, tokenUser && tokenUser.email);
+
+    // Deleting the token in the same statement that reads it makes it single-use, even for concurrent requests.
+    const query = `DELETE FROM ${this.passwordResetTokensTable} WHERE token_hash = ? RETURNING user_id, expires_at`;
+    const resetToken = await this.queueWrite(() => new Promise((resolve, reject) => {
+      this.db.all(query, [hashToken(token)], (err, rows) => {
+        if (err) return reject(toStorageError(err, 'resetPasswordWithToken'));
+        resolve(rows[0]);
+      });
+    }));
+    if (!resetToken || resetToken.expires_at <= Date.now()) {
+      throw new AuthError('Invalid or expired password reset token.', { code: 'INVALID_TOKEN', operation: 'resetPasswordWithToken' });
+    }
+
+    const user = await new Promise((resolve, reject) => {
+      this.db.get(`SELECT id, name, email, role FROM ${this.usersTable} WHERE id = ?`, [resetToken.user_id], (err, row) => {
+        if (err) return reject(toStorageError(err, 'resetPasswordWithToken'));
+        resolve(row);
+      });
+    });
+    if (!user) throw new AuthError('Invalid or expired password reset token.', { code: 'INVALID_TOKEN', operation: 'resetPasswordWithToken' });
+
+    const hashedPassword = await bcrypt.hash(newPassword, this.bcryptRounds);
+    await this.queueWrite(() => new Promise((resolve, reject) => {
+      this.db.run(`UPDATE ${this.usersTable} SET hashed_password = ? WHERE id = ?`, [hashedPassword, user.id], err => {
+        if (err) return reject(toStorageError(err, 'resetPasswordWithToken'));
+        resolve();
+      });
+    }));
+    await this.revokePasswordResetTokens(user.id);
+    await this.deleteUserSessions(user.id);
+    await this.deleteLoginAttempts([this.getLoginAttemptKeys(user.email).user.key]);
+    await this.recordAudit({ actorId: user.id }, 'user.password_reset', `user:${user.id}`, null, null);
+    return { item: user };
+  }
+
+  async revokePasswordResetTokens (userId) {
+    const query = `DELETE FROM ${this.passwordResetTokensTable} WHERE user_id = ?`;
+    return this.queueWrite(() => new Promise((resolve, reject) => {
+      this.db.run(query, [userId], err => {
+        if (err) return reject(toStorageError(err, 'revokePasswordResetTokens'));
+        resolve();
+      });
+    }));
+  }
+
+  /**
+   * Deletes the password reset tokens that have expired.
+   */
+  async deleteExpiredPasswordResetTokens () {
+    const query = `DELETE FROM ${this.passwordResetTokensTable} WHERE expires_at <= ?`;
+    return this.queueWrite(() => new Promise((resolve, reject) => {
+      this.db.run(query, [Date.now()], err => {
+        if (err) return reject(toStorageError(err, 'deleteExpiredPasswordResetTokens'));
+        resolve();
+      });
+    }));
+  }
+
+  getEncryptionKey () {
+    if (!this.encryptionKey) {
+      throw new ValidationError('The encryptionKey option is required for two-factor authentication.', { code: 'ENCRYPTION_KEY_REQUIRED', operation: 'getEncryptionKey' });
+    }
+    return this.encryptionKey;
+  }
+
+  /**
+   * Starts enrolling a user in TOTP two-factor authentication. The secret is stored encrypted and only
+   * takes effect once confirmTotp receives a valid code for it; enrolling again replaces an unconfirmed secret.
+   *
+   * @async
+   * @function enrollTotp
+   * @param {number} userId - The unique ID of the user.
+   * @returns {Promise<{item: {secret: string, otpauth_url: string}}>} - A Promise that resolves with the base32 secret and the URL to show as a QR code.
+   * @throws {Error} - Throws an error if the encryptionKey option is not set, the user is not found, two-factor authentication is already enabled, or the operation fails.
+   */
+  async enrollTotp (userId) {
+    const key = this.getEncryptionKey();
+    const user = await this.getUserById(userId);
+    if (await this.isTotpEnabled(userId)) {
+      throw new ConflictError('Two-factor authentication is already enabled.', { code: 'TOTP_ALREADY_ENABLED', operation: 'enrollTotp' });
+    }
+
+    const secret = generateSecret();
+    const query = `INSERT INTO ${this.userTotpTable} (user_id, secret) VALUES (?, ?) ON CONFLICT(user_id) DO UPDATE SET secret = excluded.secret, last_used_step = NULL`;
+    return this.queueWrite(() => new Promise((resolve, reject) => {
+      this.db.run(query, [userId, encryptSecret(key, secret)], err => {
+        if (err) return reject(toStorageError(err, 'enrollTotp'));
+        resolve({ item: { secret, otpauth_url: getOtpauthUrl(secret, user.email, this.totpIssuer) } });
+      });
+    }));
+  }
+
+  /**
+   * Enables two-factor authentication with a code from the authenticator app that was set up with enrollTotp.
+   *
+   * @async
+   * @function confirmTotp
+   * @param {number} userId - The unique ID of the user.
+   * @param {string} code - The current code from the authenticator app.
+   * @returns {Promise<{item: {recovery_codes: string[]}}>} - A Promise that resolves with one-time recovery codes, which are only stored as hashes.
+   * @throws {Error} - Throws an error if there is no pending enrollment, the code is invalid, or the operation fails.
+   */
+  async confirmTotp (userId, code) {
+    const key = this.getEncryptionKey();
+    const totp = await this.getUserTotp(userId);
+    if (!totp || totp.confirmed_at) {
+      throw new NotFoundError('No pending two-factor authentication enrollment.', { code: 'TOTP_ENROLLMENT_NOT_FOUND', operation: 'confirmTotp' });
+    }
+    const step = verifyTOTP(decryptSecret(key, totp.secret), code);
+    if (step === null) {
+      throw new AuthError('Invalid two-factor authentication code.', { code: 'INVALID_SECOND_FACTOR', operation: 'confirmTotp' });
+    }
+
+    await this.queueWrite(() => new Promise((resolve, reject) => {
+      this.db.run(`UPDATE ${this.userTotpTable} SET confirmed_at = ?, last_used_step = ? WHERE user_id = ?`, [Date.now(), step, userId], err => {
+        if (err) return reject(toStorageError(err, 'confirmTotp'));
+        resolve();
+      });
+    }));
+    const result = await this.regenerateRecoveryCodes(userId);
+    await this.recordAudit({ actorId: userId }, 'user.totp_enable', `user:${userId}`, null, null);
+    return result;
+  }
+
+  /**
+   * Replaces a user's recovery codes with new ones.
+   *
+   * @async
+   * @function regenerateRecoveryCodes
+   * @param {number} userId - The unique ID of the user.
+   * @returns {Promise<{item: {recovery_codes: string[]}}>} - A Promise that resolves with the new recovery codes.
+   * @throws {Error} - Throws an error if the operation fails.
+   */
+  async regenerateRecoveryCodes (userId) {
+    const recoveryCodes = [];
+    for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+      const code = crypto.randomBytes(8).readBigUInt64BE().toString(36).padStart(10, '0').slice(-10);
+      recoveryCodes.push(`${code.slice(0, 5)}-${code.slice(5)}`);
+    }
+    const codeHashes = await Promise.all(recoveryCodes.map(code => bcrypt.hash(normalizeRecoveryCode(code), this.bcryptRounds)));
+
+    const runAsync = promisify(this.db.run.bind(this.db));
+    await this.queueWrite(async () => {
+      try {
+        await runAsync(`DELETE FROM ${this.recoveryCodesTable} WHERE user_id = ?`, [userId]);
+        await runAsync(
+          `INSERT INTO ${this.recoveryCodesTable} (user_id, code_hash) VALUES ${codeHashes.map(() => '(?, ?)').join(', ')}`,
+          codeHashes.flatMap(codeHash => [userId, codeHash])
+        );
+      } catch (err) {
+        throw toStorageError(err, 'regenerateRecoveryCodes');
+      }
+    });
+    return { item: { recovery_codes: recoveryCodes } };
+  }
+
+  /**
+   * Disables two-factor authentication for a user and deletes their secret and recovery codes.
+   *
+   * @async
+   * @function disableTotp
+   * @param {number} userId - The unique ID of the user.
+   * @param {ActionContext} [context] - The user performing the action; requires the users:manage permission unless it is the same user.
+   * @returns {Promise<{}>} - A Promise that resolves with an empty object.
+   * @throws {Error} - Throws an error if the permission is missing or the operation fails.
+   */
+  async disableTotp (userId, context) {
+    if (!context || context.actorId !== userId) {
+      await this.assertPermission(context, 'users:manage');
+    }
+    await this.deleteTotp(userId);
+    await this.recordAudit(context, 'user.totp_disable', `user:${userId}`, null, null);
+    return {};
+  }
+
+  async deleteTotp (userId) {
+    const runAsync = promisify(this.db.run.bind(this.db));
+    await this.queueWrite(async () => {
+      try {
+        await runAsync(`DELETE FROM ${this.userTotpTable} WHERE user_id = ?`, [userId]);
+        await runAsync(`DELETE FROM ${this.recoveryCodesTable} WHERE user_id = ?`, [userId]);
+        await runAsync(`DELETE FROM ${this.loginChallengesTable} WHERE user_id = ?`, [userId]);
+      } catch (err) {
+        throw toStorageError(err, 'deleteTotp');
+      }
+    });
+  }
+
+  /**
+   * Checks whether a user has confirmed two-factor authentication.
+   *
+   * @async
+   * @function isTotpEnabled
+   * @param {number} userId - The unique ID of the user.
+   * @returns {Promise<boolean>}
+   */
+  async isTotpEnabled (userId) {
+    const totp = await this.getUserTotp(userId);
+    return !!(totp && totp.confirmed_at);
+  }
+
+  async getUserTotp (userId) {
+    const query = `SELECT secret, confirmed_at, last_used_step FROM ${this.userTotpTable} WHERE user_id = ?`;
+    return new Promise((resolve, reject) => {
+      this.db.all(query, [userId], (err, rows) => {
+        if (err) return reject(toStorageError(err, 'getUserTotp'));
+        resolve(rows[0]);
+      });
+    });
+  }
+
+  async getUserById (id) {
+    const query = `SELECT id, name, email, role FROM ${this.usersTable} WHERE id = ?`;
+    return new Promise((resolve, reject) => {
+      this.db.all(query, [id], (err, rows) => {
+        if (err) return reject(toStorageError(err, 'getUserById'));
+        if (!rows[0]) return reject(new NotFoundError('User not found.', { code: 'USER_NOT_FOUND', operation: 'getUserById' }));
+        resolve(rows[0]);
+      });
+    });
+  }
+
+  async createLoginChallenge (userId, source) {
+    const challenge = crypto.randomBytes(32).toString('base64url');
+    const query = `INSERT INTO ${this.loginChallengesTable} (token_hash, user_id, source, expires_at) VALUES (?, ?, ?, ?)`;
+    return this.queueWrite(() => new Promise((resolve, reject) => {
+      this.db.run(query, [hashToken(challenge), userId, source || null, Date.now() + LOGIN_CHALLENGE_TTL], err => {
+        if (err) return reject(toStorageError(err, 'createLoginChallenge'));
+        resolve(challenge);
+      });
+    }));
+  }
+
+  /**
+   * Completes a login that verifyUser answered with a challenge, using a code from the authenticator app or a recovery code.
+   * Each authenticator code and recovery code can only be used once. Failed codes count towards the lockout of verifyUser.
+   *
+   * @async
+   * @function completeLogin
+   * @param {string} challenge - The challenge returned by verifyUser.
+   * @param {string} code - A code from the authenticator app, or a recovery code.
+   * @returns {Promise<{item: User}>} - A Promise that resolves with an object containing the user item.
+   * @throws {Error} - Throws an error if the challenge is invalid or expired, the code is invalid, the user is locked out, or the operation fails.
+   */
+  async completeLogin (challenge, code) {
+    if (!challenge || !code) {
+      throw new ValidationError('Challenge and code are required.', { code: 'INVALID_INPUT', operation: 'completeLogin' });
+    }
+
+    const challengeHash = hashToken(challenge);
+    const loginChallenge = await new Promise((resolve, reject) => {
+      this.db.all(`SELECT user_id, source, expires_at FROM ${this.loginChallengesTable} WHERE token_hash = ?`, [challengeHash], (err, rows) => {
+        if (err) return reject(toStorageError(err, 'completeLogin'));
+        resolve(rows[0]);
+      });
+    });
+    if (!loginChallenge || loginChallenge.expires_at <= Date.now()) {
+      throw new AuthError('Invalid or expired login challenge.', { code: 'INVALID_TOKEN', operation: 'completeLogin' });
+    }
+    const user = await this.getUserById(loginChallenge.user_id).catch(() => null);
+    if (!user) throw new AuthError('Invalid or expired login challenge.', { code: 'INVALID_TOKEN', operation: 'completeLogin' });
+
+    const attemptKeys = this.getLoginAttemptKeys(user.email, loginChallenge.source);
+    await this.assertNotLockedOut(attemptKeys);
+
+    const runAsync = promisify(this.db.run.bind(this.db));
+    if (!(await this.verifySecondFactor(user.id, code))) {
+      await this.recordFailedLogin(attemptKeys);
+      await this.queueWrite(async () => {
+        try {
+          await runAsync(`UPDATE ${this.loginChallengesTable} SET attempts = attempts + 1 WHERE token_hash = ?`, [challengeHash]);
+          await runAsync(`DELETE FROM ${this.loginChallengesTable} WHERE token_hash = ? AND attempts >= ?`, [challengeHash, MAX_LOGIN_CHALLENGE_ATTEMPTS]);
+        } catch (err) {
+          throw toStorageError(err, 'completeLogin');
+        }
+      });
+      throw new AuthError('Invalid two-factor authentication code.', { code: 'INVALID_SECOND_FACTOR', operation: 'completeLogin' });
+    }
+
+    try {
+      await this.queueWrite(() => runAsync(`DELETE FROM ${this.loginChallengesTable} WHERE token_hash = ?`, [challengeHash]));
+    } catch (err) {
+      throw toStorageError(err, 'completeLogin');
+    }
+    await this.deleteLoginAttempts([attemptKeys.user.key]);
+    return { item: user };
+  }
+
+  async verifySecondFactor (userId, code) {
+    const totp = await this.getUserTotp(userId);
+    if (!totp || !totp.confirmed_at) return false;
+
+    const step = verifyTOTP(decryptSecret(this.getEncryptionKey(), totp.secret), code);
+    if (step !== null) {
+      // Rejects a code that was already used, e.g. one observed by someone else.
+      const query = `UPDATE ${this.userTotpTable} SET last_used_step = ? WHERE user_id = ? AND (last_used_step IS NULL OR last_used_step < ?)`;
+      return this.queueWrite(() => new Promise((resolve, reject) => {
+        this.db.run(query, [step, userId, step], function (err) { // You must use an old-school function () { ... } style callback rather than a lambda function, otherwise this.lastID and this.changes will be undefined.
+          if (err) return reject(toStorageError(err, 'verifySecondFactor'));
+          resolve(this.changes === 1);
+        });
+      }));
+    }
+
+    const normalizedCode = normalizeRecoveryCode(code);
+    const recoveryCodes = await new Promise((resolve, reject) => {
+      this.db.all(`SELECT id, code_hash FROM ${this.recoveryCodesTable} WHERE user_id = ? AND used_at IS NULL`, [userId], (err, rows) => {
+        if (err) return reject(toStorageError(err, 'verifySecondFactor'));
+        resolve(rows);
+      });
+    });
+    for (const recoveryCode of recoveryCodes) {
+      if (!(await bcrypt.compare(normalizedCode, recoveryCode.code_hash))) continue;
+      const query = `UPDATE ${this.recoveryCodesTable} SET used_at = ? WHERE id = ? AND used_at IS NULL`;
+      return this.queueWrite(() => new Promise((resolve, reject) => {
+        this.db.run(query, [Date.now(), recoveryCode.id], function (err) { // You must use an old-school function () { ... } style callback rather than a lambda function, otherwise this.lastID and this.changes will be undefined.
+          if (err) return reject(toStorageError(err, 'verifySecondFactor'));
+          resolve(this.changes === 1);
+        });
+      }));
+    }
+    return false;
+  }
+
+  /**
+   * Deletes the login challenges that have expired.
+   */
+  async deleteExpiredLoginChallenges () {
+    const query = `DELETE FROM ${this.loginChallengesTable} WHERE expires_at <= ?`;
+    return this.queueWrite(() => new Promise((resolve, reject) => {
+      this.db.run(query, [Date.now()], err => {
+        if (err) return reject(toStorageError(err, 'deleteExpiredLoginChallenges'));
+        resolve();
+      });
+    }));
+  }
+
+  /**
+   * Creates an API key for scripts and other machine access. The key acts either for a user or with a role,
+   * and is only returned here; the storage keeps its hash and its prefix.
+   *
+   * @async
+   * @function createApiKey
+   * @param {Object} apiKey
+   * @param {string} apiKey.name - A description of what the key is used for.
+   * @param {number} [apiKey.userId] - The user the key acts for.
+   * @param {string} [apiKey.role] - The role the key acts with, for keys that are not tied to a user.
+   * @param {('logs:read'|'logs:write'|'admin')[]} apiKey.scopes - What the key may be used for.
+   * @param {Date|number} [apiKey.expiresAt] - When the key expires; keys without it do not expire.
+   * @param {ActionContext} [context] - The user performing the action; requires the users:manage permission.
+   * @returns {Promise<{item: ApiKey & {key: string}}>} - A Promise that resolves with the API key, including the key itself.
+   * @throws {Error} - Throws an error if the API key is invalid, the user is not found, the permission is missing, or the operation fails.
+   */
+  async createApiKey (apiKey = {}, context) {
+    const { name, userId, role, scopes, expiresAt } = apiKey;
+    await this.assertPermission(context, 'users:manage');
+
+    if (typeof name !== 'string' || name.trim().length === 0 || name.length > MAX_USER_NAME_LENGTH) {
+      throw new ValidationError(`API key name must be a non-empty string of at most ${MAX_USER_NAME_LENGTH} characters.`, { code: 'INVALID_INPUT', operation: 'createApiKey' });
+    }
+    if ((userId === undefined) === (role === undefined)) {
+      throw new ValidationError('An API key must be tied to either a user or a role.', { code: 'INVALID_INPUT', operation: 'createApiKey' });
+    }
+    if (role !== undefined) await this.validateUserFields({ role }, ['role']);
+    if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !API_KEY_SCOPES.includes(scope))) {
+      throw new ValidationError(`API key scopes must be a non-empty array of: ${API_KEY_SCOPES.join(', ')}.`, { code: 'INVALID_INPUT', operation: 'createApiKey' });
+    }
+    const expiresAtMs = expiresAt === undefined || expiresAt === null ? null : new Date(expiresAt).getTime();
+    if (expiresAtMs !== null && !(expiresAtMs > Date.now())) {
+      throw new ValidationError('API key expiry must be a date in the future.', { code: 'INVALID_INPUT', operation: 'createApiKey' });
+    }
+    if (userId !== undefined) await this.getUserById(userId);
+
+    const prefix = crypto.randomBytes(4).toString('hex');
+    const key = `${API_KEY_PREFIX}${prefix}_${crypto.randomBytes(32).toString('base64url')}`;
+    const query = `INSERT INTO ${this.apiKeysTable} (name, prefix, key_hash, user_id, role, scopes, expires_at, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?) RETURNING *`;
+    const values = [name, prefix, hashToken(key), userId === undefined ? null : userId, role === undefined ? null : role, JSON.stringify([...new Set(scopes)]), expiresAtMs, Date.now()];
+    const created = await this.queueWrite(() => new Promise((resolve, reject) => {
+      this.db.all(query, values, (err, rows) => {
+        if (err) return reject(toStorageError(err, 'createApiKey'));
+        resolve(toApiKey(rows[0]));
+      });
+    }));
+    await this.recordAudit(context, 'api_key.create', `api_key:${created.id}`, null, created);
+    return { item: { ...created, key } };
+  }
+
+  /**
+   * Retrieves the API keys, without the keys themselves.
+   *
+   * @async
+   * @function getApiKeys
+   * @param {{userId?: number}} [filters] - Only return the keys of this user.
+   * @returns {Promise<{items: ApiKey[]}>} - A Promise that resolves with an object containing the API keys.
+   * @throws {Error} - Throws an error if the operation fails.
+   */
+  async getApiKeys (filters = {}) {
+    const whereClause = filters.userId === undefined ? '' : 'WHERE user_id = ?';
+    const values = filters.userId === undefined ? [] : [filters.userId];
+    const query = `SELECT * FROM ${this.apiKeysTable} ${whereClause} ORDER BY id`;
+    return new Promise((resolve, reject) => {
+      this.db.all(query, values, (err, rows) => {
+        if (err) return reject(toStorageError(err, 'getApiKeys'));
+        resolve({ items: rows.map(toApiKey) });
+      });
+    });
+  }
+
+  /**
+   * Revokes an API key. Revoked keys are kept so that they can still be listed.
+   *
+   * @async
+   * @function revokeApiKey
+   * @param {number} id - The ID of the API key.
+   * @param {ActionContext} [context] - The user performing the action; requires the users:manage permission.
+   * @returns {Promise<{item: ApiKey}>} - A Promise that resolves with the revoked API key.
+   * @throws {Error} - Throws an error if the API key is not found, the permission is missing, or the operation fails.
+   */
+  async revokeApiKey (id, context) {
+    await this.assertPermission(context, 'users:manage');
+    const query = `UPDATE ${this.apiKeysTable} SET revoked_at = COALESCE(revoked_at, ?) WHERE id = ? RETURNING *`;
+    const revoked = await this.queueWrite(() => new Promise((resolve, reject) => {
+      this.db.all(query, [Date.now(), id], (err, rows) => {
+        if (err) return reject(toStorageError(err, 'revokeApiKey'));
+        if (rows.length === 0) return reject(new NotFoundError('API key not found.', { code: 'API_KEY_NOT_FOUND', operation: 'revokeApiKey' }));
+        resolve(toApiKey(rows[0]));
+      });
+    }));
+    await this.recordAudit(context, 'api_key.revoke', `api_key:${id}`, null, revoked);
+    return { item: revoked };
+  }
+
+  /**
+   * Verifies an API key and records that it was used.
+   *
+   * @async
+   * @function verifyApiKey
+   * @param {string} key - The API key.
+   * @param {'logs:read'|'logs:write'|'admin'} [scope] - A scope the key must have.
+   * @returns {Promise<{item: ApiKey & {user: User|null}}>} - A Promise that resolves with the API key and the user it acts for.
+   * @throws {Error} - Throws 'Invalid API key.' if the key is unknown, revoked, expired or its user was deleted, or an error if it lacks the scope.
+   */
+  async verifyApiKey (key, scope) {
+    if (scope !== undefined && !API_KEY_SCOPES.includes(scope)) {
+      throw new ValidationError(`Unknown API key scope: ${scope}. Scopes are: ${API_KEY_SCOPES.join(', ')}.`, { code: 'INVALID_INPUT', operation: 'verifyApiKey' });
+    }
+    if (typeof key !== 'string' || !key.startsWith(API_KEY_PREFIX)) {
+      throw new AuthError('Invalid API key.', { code: 'INVALID_API_KEY', operation: 'verifyApiKey' });
+    }
+
+    const now = Date.now();
+    const query = `UPDATE ${this.apiKeysTable} SET last_used_at = ?
+      WHERE key_hash = ? AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > ?) RETURNING *`;
+    const row = await this.queueWrite(() => new Promise((resolve, reject) => {
+      this.db.all(query, [now, hashToken(key), now], (err, rows) => {
+        if (err) return reject(toStorageError(err, 'verifyApiKey'));
+        resolve(rows[0]);
+      });
+    }));
+    if (!row) throw new AuthError('Invalid API key.', { code: 'INVALID_API_KEY', operation: 'verifyApiKey' });
+
+    const user = row.user_id === null ? null : await this.getUserById(row.user_id).catch(() => null);
+    if (row.user_id !== null && !user) throw new AuthError('Invalid API key.', { code: 'INVALID_API_KEY', operation: 'verifyApiKey' });
+
+    const apiKey = toApiKey(row);
+    if (scope && !apiKey.scopes.includes(scope) && !apiKey.scopes.includes('admin')) {
+      throw new AuthError(`API key is missing the ${scope} scope.`, { code: 'PERMISSION_DENIED', operation: 'verifyApiKey' });
+    }
+    return { item: { ...apiKey, user } };
+  }
+
+  /**
+   * Creates a session for a user who has logged in.
+   *
+   * @async
+   * @function createSession
+   * @param {number} userId - The unique ID of the user.
+   * @param {Object} [data={}] - JSON-serializable data to store with the session, e.g. the user agent.
+   * @returns {Promise<{item: Session & {token: string}}>} - A Promise that resolves with the session, including the token that identifies it.
+   * @throws {Error} - Throws an error if the user is not found or the operation fails.
+   */
+  async createSession (userId, data = {}) {
+    if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+      throw new ValidationError('Session data must be an object.', { code: 'INVALID_INPUT', operation: 'createSession' });
+    }
+    await this.getUserById(userId);
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const now = Date.now();
+    const query = `INSERT INTO ${this.sessionsTable} (token_hash, user_id, data, created_at, last_active_at, expires_at)
+      VALUES (?, ?, ?, ?, ?, ?) RETURNING *`;
+    return this.queueWrite(() => new Promise((resolve, reject) => {
+      this.db.all(query, [hashToken(token), userId, JSON.stringify(data), now, now, now + this.session.maxAge], (err, rows) => {
+        if (err) return reject(toStorageError(err, 'createSession'));
+        resolve({ item: { ...toSession(rows[0], this.session.idleTimeout), token } });
+      });
+    }));
+  }
+
+  /**
+   * Looks up an active session and its user, without extending it.
+   *
+   * @async
+   * @function getSession
+   * @param {string} token - The token returned by createSession.
+   * @returns {Promise<{item: (Session & {user: User})|null}>} - A Promise that resolves with the session, or null if it is unknown, revoked or expired.
+   * @throws {Error} - Throws an error if the operation fails.
+   */
+  async getSession (token) {
+    const query = `SELECT s.*, u.name, u.email, u.role FROM ${this.sessionsTable} s
+      JOIN ${this.usersTable} u ON u.id = s.user_id
+      WHERE s.token_hash = ? AND s.last_active_at > ? AND s.expires_at > ?`;
+    const now = Date.now();
+    return new Promise((resolve, reject) => {
+      this.db.all(query, [hashToken(String(token)), now - this.session.idleTimeout, now], (err, rows) => {
+        if (err) return reject(toStorageError(err, 'getSession'));
+        if (rows.length === 0) return resolve({ item: null });
+        const { name, email, role } = rows[0];
+        resolve({ item: { ...toSession(rows[0], this.session.idleTimeout), user: { id: rows[0].user_id, name, email, role } } });
+      });
+    });
+  }
+
+  /**
+   * Marks an active session as used, which postpones its idle expiry.
+   *
+   * @async
+   * @function touchSession
+   * @param {string} token - The token returned by createSession.
+   * @returns {Promise<{item: Session|null}>} - A Promise that resolves with the session, or null if it is unknown, revoked or expired.
+   * @throws {Error} - Throws an error if the operation fails.
+   */
+  async touchSession (token) {
+    const query = `UPDATE ${this.sessionsTable} SET last_active_at = ?
+      WHERE token_hash = ? AND last_active_at > ? AND expires_at > ? RETURNING *`;
+    const now = Date.now();
+    return this.queueWrite(() => new Promise((resolve, reject) => {
+      this.db.all(query, [now, hashToken(String(token)), now - this.session.idleTimeout, now], (err, rows) => {
+        if (err) return reject(toStorageError(err, 'touchSession'));
+        resolve({ item: rows.length === 0 ? null : toSession(rows[0], this.session.idleTimeout) });
+      });
+    }));
+  }
+
+  /**
+   * Revokes a session, e.g. when the user logs out.
+   *
+   * @async
+   * @function revokeSession
+   * @param {string} token - The token returned by createSession.
+   * @returns {Promise<{}>} - A Promise that resolves with an empty object.
+   * @throws {Error} - Throws an error if the operation fails.
+   */
+  async revokeSession (token) {
+    const query = `DELETE FROM ${this.sessionsTable} WHERE token_hash = ?`;
+    return this.queueWrite(() => new Promise((resolve, reject) => {
+      this.db.run(query, [hashToken(String(token))], err => {
+        if (err) return reject(toStorageError(err, 'revokeSession'));
+        resolve({});
+      });
+    }));
+  }
+
+  /**
+   * Retrieves the active sessions of a user, most recently used first.
+   *
+   * @async
+   * @function getUserSessions
+   * @param {number} userId - The unique ID of the user.
+   * @returns {Promise<{items: Session[]}>} - A Promise that resolves with an object containing the sessions.
+   * @throws {Error} - Throws an error if the operation fails.
+   */
+  async getUserSessions (userId) {
+    const query = `SELECT * FROM ${this.sessionsTable}
+      WHERE user_id = ? AND last_active_at > ? AND expires_at > ? ORDER BY last_active_at DESC, id DESC`;
+    const now = Date.now();
+    return new Promise((resolve, reject) => {
+      this.db.all(query, [userId, now - this.session.idleTimeout, now], (err, rows) => {
+        if (err) return reject(toStorageError(err, 'getUserSessions'));
+        resolve({ items: rows.map(row => toSession(row, this.session.idleTimeout)) });
+      });
+    });
+  }
+
+  /**
+   * Revokes all sessions of a user, which logs the user out everywhere.
+   *
+   * @async
+   * @function revokeUserSessions
+   * @param {number} userId - The unique ID of the user.
+   * @param {ActionContext} [context] - The user performing the action; requires the users:manage permission unless it is the same user.
+   * @returns {Promise<{}>} - A Promise that resolves with an empty object.
+   * @throws {Error} - Throws an error if the permission is missing or the operation fails.
+   */
+  async revokeUserSessions (userId, context) {
+    if (!context || context.actorId !== userId) {
+      await this.assertPermission(context, 'users:manage');
+    }
+    await this.deleteUserSessions(userId);
+    await this.recordAudit(context, 'user.sessions_revoke', `user:${userId}`, null, null);
+    return {};
+  }
+
+  async deleteUserSessions (userId) {
+    const query = `DELETE FROM ${this.sessionsTable} WHERE user_id = ?`;
+    return this.queueWrite(() => new Promise((resolve, reject) => {
+      this.db.run(query, [userId], err => {
+        if (err) return reject(toStorageError(err, 'deleteUserSessions'));
+        resolve();
+      });
+    }));
+  }
+
+  /**
+   * Deletes the sessions that have expired because they were idle or reached their maximum age.
+   */
+  async deleteExpiredSessions () {
+    const query = `DELETE FROM ${this.sessionsTable} WHERE last_active_at <= ? OR expires_at <= ?`;
+    const now = Date.now();
+    return this.queueWrite(() => new Promise((resolve, reject) => {
+      this.db.run(query, [now - this.session.idleTimeout, now], err => {
+        if (err) return reject(toStorageError(err, 'deleteExpiredSessions'));
+        resolve();
+      });
+    }));
+  }
+
+  /**
+   * Appends an entry to the audit log. Entries cannot be changed afterwards, and are only deleted by the auditLogsTTL retention.
+   *
+   * @param {ActionContext} [context] - The user performing the action.
+   * @param {string} action - One of AUDIT_ACTIONS.
+   * @param {string|null} target
+   * @param {*} oldValue
+   * @param {*} newValue
+   */
+  async recordAudit (context, action, target, oldValue, newValue) {
+    const actorId = context && context.actorId !== undefined ? context.actorId : null;
+    const toJson = value => (value === null || value === undefined ? null : JSON.stringify(value));
+    const query = `INSERT INTO ${this.auditLogsTable} (actor_id, action, target, old_value, new_value, created_at) VALUES (?, ?, ?, ?, ?, ?)`;
+    return this.queueWrite(() => new Promise((resolve, reject) => {
+      this.db.run(query, [actorId, action, target, toJson(oldValue), toJson(newValue), Date.now()], err => {
+        if (err) return reject(toStorageError(err, 'recordAudit'));
+        resolve();
+      });
+    }));
+  }
+
+  /**
+   * Retrieves audit log entries, newest first.
+   *
+   * @async
+   * @function getAuditLogs
+   * @param {AuditLogFilter} [filters] - Filters by actor, action, target and time range; `lt_id` fetches the next page.
+   * @returns {Promise<{items: AuditLog[]}>} - A Promise that resolves with an object containing the audit log entries.
+   * @throws {Error} - Throws an error if an action is unknown or the operation fails.
+   */
+  async getAuditLogs (filters = {}) {
+    const whereClauses = [];
+    const values = [];
+    if (filters.actor_id !== undefined) {
+      whereClauses.push('actor_id = ?');
+      values.push(filters.actor_id);
+    }
+    if (filters.action !== undefined) {
+      const actions = Array.isArray(filters.action) ? filters.action : [filters.action];
+      const unknownActions = actions.filter(action => !AUDIT_ACTIONS.includes(action));
+      if (unknownActions.length > 0) {
+        throw new ValidationError(`Unknown audit action(s): ${unknownActions.join(', ')}. Actions are: ${AUDIT_ACTIONS.join(', ')}.`, { code: 'INVALID_INPUT', operation: 'getAuditLogs' });
+      }
+      whereClauses.push(`action IN (${actions.map(() => '?').join(', ')})`);
+      values.push(...actions);
+    }
+    if (filters.target !== undefined) {
+      whereClauses.push('target = ?');
+      values.push(filters.target);
+    }
+    if (filters.lt_id) {
+      whereClauses.push('id < ?');
+      values.push(filters.lt_id);
+    }
+    if (filters.lte_timestamp) {
+      whereClauses.push('created_at <= ?');
+      values.push(new Date(filters.lte_timestamp).getTime());
+    }
+    if (filters.gte_timestamp) {
+      whereClauses.push('created_at >= ?');
+      values.push(new Date(filters.gte_timestamp).getTime());
+    }
+    const whereClause = whereClauses.length ? `WHERE ${whereClauses.join(' AND ')}` : '';
+    const query = `SELECT * FROM ${this.auditLogsTable} ${whereClause} ORDER BY id DESC LIMIT ?`;
+    values.push(filters.limit || 100);
+
+    return new Promise((resolve, reject) => {
+      this.db.all(query, values, (err, rows) => {
+        if (err) return reject(toStorageError(err, 'getAuditLogs'));
+        resolve({
+          items: rows.map(row => ({
+            id: row.id,
+            actor_id: row.actor_id,
+            action: row.action,
+            target: row.target,
+            old_value: row.old_value === null ? null : JSON.parse(row.old_value),
+            new_value: row.new_value === null ? null : JSON.parse(row.new_value),
+            created_at: new Date(row.created_at)
+          }))
+        });
       });
     });
   }
 
   /**
-   * Retrieves all user records from the database.
-   *
-   * @async
-   * @function getAllUsers
-   * @returns {Promise<{items: User[]}>} - A promise that resolves with an object containing an array of user items.
-   * @throws {Error} - Throws an error if the operation fails.
+   * Deletes the audit log entries that are older than the auditLogsTTL configuration.
    */
-  async getAllUsers () {
-    const query = `SELECT id, name, email, role FROM ${this.usersTable}`;
-    return new Promise((resolve, reject) => {
-      this.db.all(query, (err, rows) => {
-        if (err) return reject(new Error(err.message || err.toString()));
-        resolve({ items: rows });
+  async deleteExpiredAuditLogs () {
+    const configResult = await this.getConfig('auditLogsTTL');
+    const parsedTTL = configResult.item ? parseInt(configResult.item.value, 10) : NaN;
+    const auditLogsTTL = isNaN(parsedTTL) ? DEFAULT_AUDIT_LOGS_TTL : parsedTTL;
+    const query = `DELETE FROM ${this.auditLogsTable} WHERE created_at < ?`;
+    return this.queueWrite(() => new Promise((resolve, reject) => {
+      this.db.run(query, [Date.now() - auditLogsTTL], err => {
+        if (err) return reject(toStorageError(err, 'deleteExpiredAuditLogs'));
+        resolve();
       });
-    });
+    }));
   }
 
   /**
-   * Retrieves a user record from the database based on the provided email.
+   * Deletes a user record from the database.
    *
    * @async
-   * @function getUserByEmail
-   * @param {string} email - The email address of the user.
-   * @returns {Promise<{item: User}>} - A Promise that resolves with an object containing the user item.
-   * @throws {Error} - Throws an error if no user matches the email address.
+   * @function deleteUser
+   * @param {number} id - The unique ID of the user to be deleted.
+   * @param {ActionContext} [context] - Requires the users:manage permission when an actor is given.
+   * @returns {Promise<{}>} - A Promise that resolves with an empty object upon successful deletion of the user.
+   * @throws {Error} - Throws an error if no user is found with the given ID, the user is the last admin, the actor lacks permission, or the database operation fails.
    */
-  async getUserByEmail (email) {
-    if (!email) throw new Error('Email is required.');
+  async deleteUser (id, context) {
+    if (!id) throw new ValidationError('User ID is required.', { code: 'INVALID_INPUT', operation: 'deleteUser' });
+    await this.assertPermission(context, 'users:manage');
 
-    const query = `SELECT id, name, email, role FROM ${this.usersTable} WHERE email = ?`;
-    return new Promise((resolve, reject) => {
-      this.db.get(query, [email], (err, row) => {
-        if (err) return reject(new Error(err.message || err.toString()));
-        if (!row) return reject(new Error('User not found.'));
-        resolve({ item: row });
+    const oldUser = await new Promise((resolve, reject) => {
+      this.db.get(`SELECT id, name, email, role FROM ${this.usersTable} WHERE id = ?`, [id], (err, row) => {
+        if (err) return reject(toStorageError(err, 'deleteUser'));
+        resolve(row);
       });
     });
+    const query = `DELETE FROM ${this.usersTable} WHERE id = ? AND ${this.getLastAdminCondition()}`;
+    const changes = await this.queueWrite(() => new Promise((resolve, reject) => {
+      this.db.run(query, [id], function (err) { // You must use an old-school function () { ... } style callback rather than a lambda function, otherwise this.lastID and this.changes will be undefined.
+        if (err) return reject(toStorageError(err, 'deleteUser'));
+        resolve(this.changes);
+      });
+    }));
+    if (changes === 0) {
+      throw oldUser
+        ? new ConflictError('Cannot delete the last admin.', { code: 'LAST_ADMIN', operation: 'deleteUser' })
+        : new NotFoundError('User not found.', { code: 'USER_NOT_FOUND', operation: 'deleteUser' });
+    }
+    await this.deleteTotp(id);
+    await this.deleteUserSessions(id);
+    await this.queueWrite(() => new Promise((resolve, reject) => {
+      this.db.run(`DELETE FROM ${this.apiKeysTable} WHERE user_id = ?`, [id], err => {
+        if (err) return reject(toStorageError(err, 'deleteUser'));
+        resolve();
+      });
+    }));
+    await this.recordAudit(context, 'user.delete', `user:${id}`, oldUser || null, null);
+    return {};
   }
 
   /**
-   * Updates a user's record in the database based on the provided email.
+   * Retrieves the roles and their permissions.
    *
    * @async
-   * @function updateUserByEmail
-   * @param {string} email - The email address of the user to be updated.
-   * @param {Object} updates - The updates to be applied to the user record.
-   * @returns {Promise<{item: User}>} - A Promise that resolves with an object containing the updated user item.
-   * @throws {Error} - Throws an error if no updates could be applied or the user is not found.
+   * @function getRoles
+   * @returns {Promise<{items: Role[]}>} - A Promise that resolves with an object containing the roles.
+   * @throws {Error} - Throws an error if the operation fails.
    */
-  async updateUserByEmail (email, updates) {
-    if (!email) throw new Error('Email is required.');
-    if (!updates || Object.keys(updates).length === 0) throw new Error('No updates provided.');
-
-    const restrictedFields = ['id', 'hashed_password'];
-    restrictedFields.forEach(field => delete updates[field]);
-
-    const setClause = Object.keys(updates).map(key => `${key} = ?`).join(', ');
-    const values = [...Object.values(updates), email];
-
-    const query = `UPDATE ${this.usersTable} SET ${setClause} WHERE email = ?`;
+  async getRoles () {
+    const query = `SELECT name, permissions FROM ${this.rolesTable} ORDER BY name`;
     return new Promise((resolve, reject) => {
-      this.db.run(query, values, err => {
-        if (err) return reject(new Error(err.message || err.toString()));
-        this.getUserByEmail(email).then(resolve).catch(reject);
+      this.db.all(query, (err, rows) => {
+        if (err) return reject(toStorageError(err, 'getRoles'));
+        resolve({ items: rows.map(row => ({ name: row.name, permissions: JSON.parse(row.permissions) })) });
       });
     });
   }
 
   /**
-   * Updates a user's password in the database.
+   * Checks whether a user's role grants a permission.
    *
    * @async
-   * @function updatePassword
-   * @param {string} email - The email address of the user whose password is to be updated.
-   * @param {string} currentPassword - The current password of the user for verification.
-   * @param {string} newPassword - The new password to replace the current one.
-   * @returns {Promise<{item: User}>} - A Promise that resolves with an object containing the updated user item (excluding sensitive information).
-   * @throws {Error} - If the user is not found, if the current password is incorrect, or if the password update fails.
+   * @function hasPermission
+   * @param {number} userId - The unique ID of the user.
+   * @param {'logs:read'|'logs:delete'|'users:manage'|'config:write'} action - The permission to check.
+   * @returns {Promise<boolean>} - A Promise that resolves with true if the user exists and their role grants the permission.
+   * @throws {Error} - Throws an error if the permission is unknown or the operation fails.
    */
-  async updatePassword (email, currentPassword, newPassword) {
-    if (!email || !currentPassword || !newPassword) {
-      throw new Error('Email, current password, and new password are required.');
+  async hasPermission (userId, action) {
+    if (!PERMISSIONS.includes(action)) {
+      throw new ValidationError(`Unknown permission: ${action}. Permissions are: ${PERMISSIONS.join(', ')}.`, { code: 'INVALID_INPUT', operation: 'hasPermission' });
     }
 
-    const query = `SELECT * FROM ${this.usersTable} WHERE email = ?`;
+    const query = `SELECT r.permissions FROM ${this.usersTable} u JOIN ${this.rolesTable} r ON r.name = u.role WHERE u.id = ?`;
     return new Promise((resolve, reject) => {
-      this.db.get(query, [email], async (err, row) => {
-        if (err) return reject(new Error(err.message || err.toString()));
-        if (!row) return reject(new Error('User not found.'));
-
-        const isPasswordCorrect = await bcrypt.compare(currentPassword, row.hashed_password);
-        if (!isPasswordCorrect) return reject(new Error('Current password is incorrect.'));
-
-        const hashedPassword = await bcrypt.hash(newPassword, 10);
-        const updateQuery = `UPDATE ${this.usersTable} SET hashed_password = ? WHERE email = ?`;
-        this.db.run(updateQuery, [hashedPassword, email], err => {
-          if (err) return reject(new Error(err.message || err.toString()));
-          delete row.hashed_password;
-          resolve({ item: row });
-        });
+      this.db.get(query, [userId], (err, row) => {
+        if (err) return reject(toStorageError(err, 'hasPermission'));
+        if (!row) return resolve(false);
+        try {
+          const permissions = JSON.parse(row.permissions);
+          resolve(Array.isArray(permissions) && permissions.includes(action));
+        } catch (err) {
+          resolve(false);
+        }
       });
     });
   }
 
   /**
-   * Deletes a user record from the database.
+   * Throws an error if the actor in the context does not have a permission. Without an actor, nothing is checked,
+   * so callers that do their own authorization keep working.
    *
-   * @async
-   * @function deleteUser
-   * @param {number} id - The unique ID of the user to be deleted.
-   * @returns {Promise<{}>} - A Promise that resolves with an empty object upon successful deletion of the user.
-   * @throws {Error} - Throws an error if no user is found with the given ID or if the database operation fails.
+   * @param {ActionContext} [context] - The context of the action.
+   * @param {string} action - The required permission.
+   * @throws {Error} - Throws an error if the actor lacks the permission.
    */
-  async deleteUser (id) {
-    if (!id) throw new Error('User ID is required.');
-
-    const query = `DELETE FROM ${this.usersTable} WHERE id = ?`;
-    return new Promise((resolve, reject) => {
-      this.db.run(query, [id], function (err) { // You must use an old-school function () { ... } style callback rather than a lambda function, otherwise this.lastID and this.changes will be undefined.
-        if (err) return reject(new Error(err.message || err.toString()));
-        if (this.changes === 0) return reject(new Error('User not found.'));
-        resolve({});
-      });
-    });
+  async assertPermission (context, action) {
+    if (!context || context.actorId === undefined || context.actorId === null) return;
+    if (!(await this.hasPermission(context.actorId, action))) {
+      throw new AuthError(`Permission denied: ${action} is required.`, { code: 'PERMISSION_DENIED', operation: 'assertPermission' });
+    }
   }
 
   /**
    * Adds log entries to the pending logs and flushes them if the batch size is reached.
+   * When maxPendingLogs is reached, the overflow policy decides whether the oldest pending logs
+   * or the new log entries are dropped, or whether the caller waits for a flush to make room.
    *
    * @param {Log[]} logEntries - An array of log entries to be added to the pending logs.
-   * @returns {Object} - An empty object.
+   * @returns {Object|Promise<Object>} - An empty object, or a Promise that resolves with an empty object when the overflow policy is 'block'.
    */
   postLogs (logEntries) {
+    if (this.isClosing) return {};
+
+    if (this.pendingLogs.length + logEntries.length > this.maxPendingLogs) {
+      if (this.overflowPolicy === 'block') {
+        return this.waitForPendingSpace(logEntries.length).then(() => this.addPendingLogs(logEntries));
+      }
+      if (this.overflowPolicy === 'drop-newest') {
+        logEntries = logEntries.slice(0, Math.max(this.maxPendingLogs - this.pendingLogs.length, 0));
+      }
+    }
+    return this.addPendingLogs(logEntries);
+  }
+
+  addPendingLogs (logEntries) {
+    if (this.isClosing) return {};
+
     this.pendingLogs.push(...logEntries);
+    if (this.overflowPolicy === 'drop-oldest' && this.pendingLogs.length > this.maxPendingLogs) {
+      this.pendingLogs.splice(0, this.pendingLogs.length - this.maxPendingLogs);
+    }
     if (this.pendingLogs.length >= this.batchSize) {
-      this.flushLogs();
+      this.flushLogs().catch(err => this.emitError(err));
     }
     return {};
   }
 
+  async waitForPendingSpace (count) {
+    while (!this.isClosing && this.pendingLogs.length > 0 && this.pendingLogs.length + count > this.maxPendingLogs) {
+      await this.flushLogs();
+    }
+  }
+
   /**
    * Flushes pending logs to the database.
+   * Batches that fail with a transient error (e.g. SQLITE_BUSY or a full disk) are retried with exponential backoff.
+   * Batches that fail for any other reason are split in half until the failing rows are isolated.
+   * Rows that still cannot be written are stored in the dead-letter table (or file) and reported through the 'error' event.
+   * If the tables could not be created, the logs are dead-lettered without trying to write them.
    *
    * @async
    * @function flushLogs
    * @returns {Promise<{}>} - A Promise that resolves with an empty object.
-   * @throws {Error} - Throws an error if the operation fails.
    */
   async flushLogs () {
     while (this.isConnectionInProgress) {
@@ -490,29 +2999,168 @@ class ErrsoleSQLite extends EventEmitter {
     if (logsToPost.length === 0) {
       return {}; // No logs to post
     }
+    if (this.initError) {
+      // The logs table may not exist, so the logs go straight to the dead-letter file (or table).
+      await this.deadLetterLogs(logsToPost, this.initError);
+      return {};
+    }
+
+    await this.trackTask(this.writeLogsWithRetry(logsToPost));
+    if (this.maxDatabaseSize && !this.isClosing && Date.now() - this.lastDatabaseSizeCheck >= DATABASE_SIZE_CHECK_INTERVAL) {
+      this.trackTask(this.enforceMaxDatabaseSize().catch(err => this.emitError(err)));
+    }
+    return {};
+  }
 
-    const values = logsToPost.map(logEntry => [
-      new Date(logEntry.timestamp),
-      logEntry.hostname,
-      logEntry.pid,
-      logEntry.source,
-      logEntry.level,
-      logEntry.message,
-      logEntry.meta,
-      logEntry.errsole_id
-    ]);
+  async writeLogsWithRetry (logs) {
+    let lastError;
+    for (let attempt = 0; attempt <= this.flushRetries; attempt++) {
+      if (attempt > 0) {
+        await this.sleep(this.flushRetryDelay * 2 ** (attempt - 1));
+      }
+      try {
+        await this.writeLogs(logs);
+        return;
+      } catch (err) {
+        lastError = err;
+        if (!TRANSIENT_ERROR_CODES.includes(err.code)) break;
+      }
+    }
 
-    const placeholders = values.map(() => '(?, ?, ?, ?, ?, ?, ?, ?)').join(', ');
-    const query = `INSERT OR IGNORE INTO ${this.logsTable} (timestamp, hostname, pid, source, level, message, meta, errsole_id) VALUES ${placeholders}`;
+    // Splitting the batch does not help when the database itself is unavailable.
+    if (logs.length > 1 && !TRANSIENT_ERROR_CODES.includes(lastError.code)) {
+      const middle = Math.ceil(logs.length / 2);
+      await this.writeLogsWithRetry(logs.slice(0, middle));
+      await this.writeLogsWithRetry(logs.slice(middle));
+      return;
+    }
+    await this.deadLetterLogs(logs, lastError);
+  }
 
-    const flatValues = values.reduce((accumulator, Logvalues) => accumulator.concat(Logvalues), []);
+  /**
+   * Runs a write after the writes queued before it. All statements share one connection, so a statement
+   * that runs while another caller's transaction is open becomes part of it, and is lost if that transaction
+   * is rolled back. Every write therefore goes through this queue; only the statements that set up the database
+   * do not, since they run before anything is written. A queued task must not queue another task and wait for it.
+   *
+   * @param {function(): Promise<*>} task
+   * @returns {Promise<*>} - A Promise that settles with the result of the task.
+   */
+  queueWrite (task) {
+    const write = this.logWriteQueue.then(task);
+    this.logWriteQueue = write.catch(() => {});
+    return write;
+  }
 
-    return new Promise((resolve, reject) => {
-      this.db.run(query, flatValues, function (err) {
-        if (err) return reject(new Error(err.message || err.toString()));
-        resolve({});
+  /**
+   * Writes logs to the database, one write at a time, since a multi-chunk write runs in a transaction.
+   *
+   * @param {Log[]} logs - The logs to write.
+   * @returns {Promise<void>}
+   */
+  writeLogs (logs) {
+    return this.queueWrite(() => this.insertLogs(logs));
+  }
+
+  /**
+   * Inserts logs in chunks that stay under SQLite's bound-parameter limit.
+   * A single chunk is inserted on its own; multiple chunks are inserted in one transaction using a prepared statement.
+   *
+   * @param {Log[]} logs - The logs to insert.
+   * @returns {Promise<void>}
+   */
+  async insertLogs (logs) {
+    const chunkSize = Math.floor(MAX_BOUND_PARAMETERS / LOG_INSERT_COLUMNS.length);
+    const runAsync = promisify(this.db.run.bind(this.db));
+
+    if (logs.length <= chunkSize) {
+      return runAsync(this.getInsertLogsQuery(logs.length), this.getInsertLogsValues(logs));
+    }
+
+    let statement;
+    await runAsync('BEGIN TRANSACTION;');
+    try {
+      statement = await new Promise((resolve, reject) => {
+        const preparedStatement = this.db.prepare(this.getInsertLogsQuery(chunkSize), err => {
+          if (err) return reject(err);
+          resolve(preparedStatement);
+        });
+      });
+      for (let start = 0; start < logs.length; start += chunkSize) {
+        const chunk = logs.slice(start, start + chunkSize);
+        if (chunk.length === chunkSize) {
+          await new Promise((resolve, reject) => {
+            statement.run(this.getInsertLogsValues(chunk), err => {
+              if (err) return reject(err);
+              resolve();
+            });
+          });
+        } else {
+          await runAsync(this.getInsertLogsQuery(chunk.length), this.getInsertLogsValues(chunk));
+        }
+      }
+      await new Promise(resolve => statement.finalize(() => resolve()));
+      statement = null;
+      await runAsync('COMMIT;');
+    } catch (err) {
+      if (statement) await new Promise(resolve => statement.finalize(() => resolve()));
+      await new Promise(resolve => {
+        this.db.run('ROLLBACK;', () => resolve());
       });
+      throw err;
+    }
+  }
+
+  getInsertLogsQuery (rowCount) {
+    const placeholders = new Array(rowCount).fill(`(${LOG_INSERT_COLUMNS.map(() => '?').join(', ')})`).join(', ');
+    return `INSERT OR IGNORE INTO ${this.logsTable} (${LOG_INSERT_COLUMNS.join(', ')}) VALUES ${placeholders}`;
+  }
+
+  getInsertLogsValues (logs) {
+    const values = [];
+    logs.forEach(logEntry => {
+      values.push(
+        // Milliseconds, which is how sqlite3 stores a Date; it stores Dates from another realm (e.g. a vm context) as text.
+        new Date(logEntry.timestamp).getTime(),
+        logEntry.hostname,
+        logEntry.pid,
+        logEntry.source,
+        logEntry.level,
+        logEntry.message,
+        logEntry.meta,
+        logEntry.errsole_id
+      );
     });
+    return values;
+  }
+
+  async deadLetterLogs (logs, error) {
+    let isDeadLettered = true;
+    try {
+      if (this.deadLetterFile) {
+        const lines = logs.map(log => JSON.stringify({ log, error: error.message, error_code: error.code, created_at: new Date() }) + '\n');
+        await fs.promises.appendFile(this.deadLetterFile, lines.join(''));
+      } else {
+        const query = `INSERT INTO ${this.deadLetterTable} (log, error, error_code) VALUES (?, ?, ?)`;
+        await this.queueWrite(async () => {
+          for (const log of logs) {
+            await new Promise((resolve, reject) => {
+              this.db.run(query, [JSON.stringify(log), error.message, error.code], err => {
+                if (err) return reject(err);
+                resolve();
+              });
+            });
+          }
+        });
+      }
+    } catch (err) {
+      isDeadLettered = false;
+    }
+
+    const flushError = new StorageError(`Failed to write ${logs.length} log(s): ${error.message || error.toString()}`, { code: 'LOG_WRITE_FAILED', operation: 'flushLogs', cause: error });
+    flushError.logs = logs;
+    flushError.isDeadLettered = isDeadLettered;
+    this.emitError(flushError);
   }
 
   /**
@@ -534,23 +3182,9 @@ class ErrsoleSQLite extends EventEmitter {
     let shouldReverse = true;
 
     // Apply filters
-    if (filters.level_json || filters.errsole_id) {
-      const orConditions = [];
-      if (filters.level_json && filters.level_json.length > 0) {
-        const levelConditions = filters.level_json.map(levelObj => '(source = ? AND level = ?)');
-        orConditions.push(`(${levelConditions.join(' OR ')})`);
-        filters.level_json.forEach(levelObj => {
-          values.push(levelObj.source, levelObj.level);
-        });
-      }
-      if (filters.errsole_id) {
-        orConditions.push('errsole_id = ?');
-        values.push(filters.errsole_id);
-      }
-      if (orConditions.length > 0) {
-        whereClauses.push(`(${orConditions.join(' OR ')})`);
-      }
-    }
+    const filterClauses = this.buildFilterClauses(filters);
+    whereClauses.push(...filterClauses.whereClauses);
+    values.push(...filterClauses.values);
     if (filters.lt_id) {
       whereClauses.push('id < ?');
       values.push(filters.lt_id);
@@ -582,7 +3216,7 @@ class ErrsoleSQLite extends EventEmitter {
 
     return new Promise((resolve, reject) => {
       this.db.all(query, values, (err, rows) => {
-        if (err) return reject(new Error(err.message || err.toString()));
+        if (err) return reject(toStorageError(err, 'getLogs'));
         if (shouldReverse) rows.reverse();
         resolve({ items: rows });
       });
@@ -603,12 +3237,143 @@ class ErrsoleSQLite extends EventEmitter {
     const DEFAULT_LOGS_LIMIT = 100;
     filters.limit = filters.limit || DEFAULT_LOGS_LIMIT;
 
-    const whereClauses = searchTerms.map(() => 'message LIKE ?');
-    const values = searchTerms.map(term => `%${term}%`);
+    const { whereClauses, values } = this.buildSearchClauses(searchTerms);
     let orderBy = 'id DESC';
     let shouldReverse = true;
 
     // Apply filters
+    const filterClauses = this.buildFilterClauses(filters);
+    whereClauses.push(...filterClauses.whereClauses);
+    values.push(...filterClauses.values);
+    if (filters.lt_id) {
+      whereClauses.push('id < ?');
+      values.push(filters.lt_id);
+      orderBy = 'id DESC';
+      shouldReverse = true;
+    }
+    if (filters.gt_id) {
+      whereClauses.push('id > ?');
+      values.push(filters.gt_id);
+      orderBy = 'id ASC';
+      shouldReverse = false;
+    }
+    if (filters.lte_timestamp || filters.gte_timestamp) {
+      if (filters.lte_timestamp) {
+        whereClauses.push('timestamp <= ?');
+        values.push(new Date(filters.lte_timestamp));
+        orderBy = 'timestamp DESC, id DESC';
+        shouldReverse = true;
+      }
+      if (filters.gte_timestamp) {
+        whereClauses.push('timestamp >= ?');
+        values.push(new Date(filters.gte_timestamp));
+        orderBy = 'timestamp ASC, id ASC';
+        shouldReverse = false;
+      }
+      if (filters.lte_timestamp && !filters.gte_timestamp) {
+        filters.lte_timestamp = new Date(filters.lte_timestamp);
+        const gteTimestamp = new Date(filters.lte_timestamp.getTime() - 24 * 60 * 60 * 1000);
+        whereClauses.push('timestamp >= ?');
+        values.push(gteTimestamp);
+        filters.gte_timestamp = gteTimestamp;
+      }
+      if (filters.gte_timestamp && !filters.lte_timestamp) {
+        filters.gte_timestamp = new Date(filters.gte_timestamp);
+        const lteTimestamp = new Date(filters.gte_timestamp.getTime() + 24 * 60 * 60 * 1000);
+        whereClauses.push('timestamp <= ?');
+        values.push(lteTimestamp);
+        filters.lte_timestamp = lteTimestamp;
+      }
+    }
+
+    const whereClause = whereClauses.length ? `WHERE ${whereClauses.join(' AND ')}` : '';
+    const limitClause = `LIMIT ${filters.limit}`;
+    const query = `SELECT id, hostname, pid, source, timestamp, level, message, errsole_id FROM ${this.logsTable} ${whereClause} ORDER BY ${orderBy} ${limitClause}`;
+
+    return new Promise((resolve, reject) => {
+      this.db.all(query, values, (err, rows) => {
+        if (err) return reject(toStorageError(err, 'searchLogs'));
+        if (shouldReverse) rows.reverse();
+        resolve({ items: rows, filters });
+      });
+    });
+  }
+
+  /**
+   * Counts log entries in time buckets, optionally grouped by level, source or hostname, e.g. for a histogram of errors per hour.
+   * Timestamps are bucketed in UTC.
+   *
+   * @async
+   * @function getLogCounts
+   * @param {LogFilter} [filters] - Filters to apply before counting; lt_id, gt_id, lte_timestamp and gte_timestamp are all applied, and limit is ignored.
+   * @param {Object} [options] - Aggregation options.
+   * @param {'minute'|'hour'|'day'} [options.interval='hour'] - The size of the time buckets.
+   * @param {'level'|'source'|'hostname'|('level'|'source'|'hostname')[]} [options.groupBy] - Columns to group the counts by within each bucket.
+   * @param {string[]} [options.searchTerms] - Search terms, with the same syntax as in searchLogs.
+   * @returns {Promise<{items: {timestamp: Date, count: number, level?: string, source?: string, hostname?: string}[], total: number}>} - A Promise that resolves with the counts per bucket, ordered by time, and their total.
+   * @throws {Error} - Throws an error if the options are invalid or the operation fails.
+   */
+  async getLogCounts (filters = {}, options = {}) {
+    const { interval = 'hour', searchTerms = [] } = options;
+    const bucketSize = LOG_COUNT_INTERVALS[interval];
+    if (!bucketSize) {
+      throw new ValidationError(`interval must be one of: ${Object.keys(LOG_COUNT_INTERVALS).join(', ')}.`, { code: 'INVALID_INPUT', operation: 'getLogCounts' });
+    }
+    const groupBy = options.groupBy ? [].concat(options.groupBy) : [];
+    const invalidGroupBy = groupBy.find(column => !LOG_COUNT_GROUP_BY_COLUMNS.includes(column));
+    if (invalidGroupBy) {
+      throw new ValidationError(`groupBy must be one or more of: ${LOG_COUNT_GROUP_BY_COLUMNS.join(', ')}.`, { code: 'INVALID_INPUT', operation: 'getLogCounts' });
+    }
+
+    const { whereClauses, values } = this.buildSearchClauses(searchTerms);
+    const filterClauses = this.buildFilterClauses(filters);
+    whereClauses.push(...filterClauses.whereClauses);
+    values.push(...filterClauses.values);
+    if (filters.lt_id) {
+      whereClauses.push('id < ?');
+      values.push(filters.lt_id);
+    }
+    if (filters.gt_id) {
+      whereClauses.push('id > ?');
+      values.push(filters.gt_id);
+    }
+    if (filters.lte_timestamp) {
+      whereClauses.push('timestamp <= ?');
+      values.push(new Date(filters.lte_timestamp));
+    }
+    if (filters.gte_timestamp) {
+      whereClauses.push('timestamp >= ?');
+      values.push(new Date(filters.gte_timestamp));
+    }
+
+    const whereClause = whereClauses.length ? `WHERE ${whereClauses.join(' AND ')}` : '';
+    const groupColumns = ['bucket', ...groupBy].join(', ');
+    const selectColumns = ['CAST(timestamp / ? AS INTEGER) * ? AS bucket', ...groupBy, 'COUNT(*) AS count'].join(', ');
+    const query = `SELECT ${selectColumns} FROM ${this.logsTable} ${whereClause} GROUP BY ${groupColumns} ORDER BY ${groupColumns}`;
+
+    return new Promise((resolve, reject) => {
+      this.db.all(query, [bucketSize, bucketSize, ...values], (err, rows) => {
+        if (err) return reject(toStorageError(err, 'getLogCounts'));
+        let total = 0;
+        const items = rows.map(({ bucket, count, ...groups }) => {
+          total += count;
+          return { timestamp: new Date(bucket), ...groups, count };
+        });
+        resolve({ items, total });
+      });
+    });
+  }
+
+  /**
+   * Builds the WHERE clauses for the level_json, errsole_id, hostnames and meta_filters filters shared by getLogs, searchLogs and getLogCounts.
+   *
+   * @param {LogFilter} filters - The filters.
+   * @returns {{whereClauses: string[], values: (string|number)[]}}
+   * @throws {Error} - Throws an error if a meta filter is invalid.
+   */
+  buildFilterClauses (filters) {
+    const whereClauses = [];
+    const values = [];
     if (filters.level_json || filters.errsole_id) {
       const orConditions = [];
       if (filters.level_json && filters.level_json.length > 0) {
@@ -622,62 +3387,100 @@ class ErrsoleSQLite extends EventEmitter {
         orConditions.push('errsole_id = ?');
         values.push(filters.errsole_id);
       }
-      if (orConditions.length > 0) {
-        whereClauses.push(`(${orConditions.join(' OR ')})`);
-      }
-    }
-    if (filters.lt_id) {
-      whereClauses.push('id < ?');
-      values.push(filters.lt_id);
-      orderBy = 'id DESC';
-      shouldReverse = true;
+      if (orConditions.length > 0) {
+        whereClauses.push(`(${orConditions.join(' OR ')})`);
+      }
     }
-    if (filters.gt_id) {
-      whereClauses.push('id > ?');
-      values.push(filters.gt_id);
-      orderBy = 'id ASC';
-      shouldReverse = false;
+    if (filters.hostnames && filters.hostnames.length > 0) {
+      whereClauses.push(`hostname IN (${filters.hostnames.map(() => '?').join(', ')})`);
+      values.push(...filters.hostnames);
     }
-    if (filters.lte_timestamp || filters.gte_timestamp) {
-      if (filters.lte_timestamp) {
-        whereClauses.push('timestamp <= ?');
-        values.push(new Date(filters.lte_timestamp));
-        orderBy = 'timestamp DESC, id DESC';
-        shouldReverse = true;
+    if (filters.meta_filters && filters.meta_filters.length > 0) {
+      const metaFilterClauses = this.buildMetaFilterClauses(filters.meta_filters);
+      whereClauses.push(...metaFilterClauses.whereClauses);
+      values.push(...metaFilterClauses.values);
+    }
+    return { whereClauses, values };
+  }
+
+  /**
+   * Builds the WHERE clauses for the meta_filters of getLogs and searchLogs.
+   * Paths listed in the metaIndexes option are compared through their indexed generated columns.
+   *
+   * @param {MetaFilter[]} metaFilters - The meta filters.
+   * @returns {{whereClauses: string[], values: (string|number)[]}}
+   * @throws {Error} - Throws an error if a filter has an invalid path, operator or value.
+   */
+  buildMetaFilterClauses (metaFilters) {
+    const whereClauses = [];
+    const values = [];
+    for (const { path, operator = '=', value } of metaFilters) {
+      const jsonPath = toMetaJsonPath(path);
+      if (!jsonPath) {
+        throw new ValidationError(`Invalid meta filter path: ${path}`, { code: 'INVALID_INPUT', operation: 'buildMetaFilterClauses' });
       }
-      if (filters.gte_timestamp) {
-        whereClauses.push('timestamp >= ?');
-        values.push(new Date(filters.gte_timestamp));
-        orderBy = 'timestamp ASC, id ASC';
-        shouldReverse = false;
+      if (!META_FILTER_OPERATORS.includes(operator)) {
+        throw new ValidationError(`Meta filter operator must be one of: ${META_FILTER_OPERATORS.join(', ')}.`, { code: 'INVALID_INPUT', operation: 'buildMetaFilterClauses' });
       }
-      if (filters.lte_timestamp && !filters.gte_timestamp) {
-        filters.lte_timestamp = new Date(filters.lte_timestamp);
-        const gteTimestamp = new Date(filters.lte_timestamp.getTime() - 24 * 60 * 60 * 1000);
-        whereClauses.push('timestamp >= ?');
-        values.push(gteTimestamp);
-        filters.gte_timestamp = gteTimestamp;
+      if (value !== null && !['string', 'number', 'boolean'].includes(typeof value)) {
+        throw new ValidationError('Meta filter value must be a string, number, boolean or null.', { code: 'INVALID_INPUT', operation: 'buildMetaFilterClauses' });
       }
-      if (filters.gte_timestamp && !filters.lte_timestamp) {
-        filters.gte_timestamp = new Date(filters.gte_timestamp);
-        const lteTimestamp = new Date(filters.gte_timestamp.getTime() + 24 * 60 * 60 * 1000);
-        whereClauses.push('timestamp <= ?');
-        values.push(lteTimestamp);
-        filters.lte_timestamp = lteTimestamp;
+
+      let expression = this.metaColumns[jsonPath];
+      if (!expression) {
+        expression = `CASE WHEN json_valid(meta) THEN json_extract(meta, '${jsonPath}') END`;
+      }
+      if (value === null) {
+        if (operator !== '=' && operator !== '!=') {
+          throw new ValidationError('Meta filter value null can only be used with = and !=.', { code: 'INVALID_INPUT', operation: 'buildMetaFilterClauses' });
+        }
+        whereClauses.push(`${expression} ${operator === '=' ? 'IS NULL' : 'IS NOT NULL'}`);
+      } else {
+        // json_extract returns JSON booleans as 1 and 0.
+        whereClauses.push(`${expression} ${operator} ?`);
+        values.push(typeof value === 'boolean' ? Number(value) : value);
       }
     }
+    return { whereClauses, values };
+  }
 
-    const whereClause = whereClauses.length ? `WHERE ${whereClauses.join(' AND ')}` : '';
-    const limitClause = `LIMIT ${filters.limit}`;
-    const query = `SELECT id, hostname, pid, source, timestamp, level, message, errsole_id FROM ${this.logsTable} ${whereClause} ORDER BY ${orderBy} ${limitClause}`;
+  /**
+   * Builds the WHERE clauses for the search terms of searchLogs.
+   * The terms support quoted phrases ("connection refused"), exclusions (-timeout), OR between two terms, and prefixes (conn*).
+   * The FTS5 table is used when it is enabled; otherwise, each term is matched with LIKE.
+   *
+   * @param {string[]} searchTerms - An array of search terms.
+   * @returns {{whereClauses: string[], values: string[]}}
+   */
+  buildSearchClauses (searchTerms) {
+    const { groups, exclusions } = parseSearchTerms(searchTerms);
+    const whereClauses = [];
+    const values = [];
 
-    return new Promise((resolve, reject) => {
-      this.db.all(query, values, (err, rows) => {
-        if (err) return reject(new Error(err.message || err.toString()));
-        if (shouldReverse) rows.reverse();
-        resolve({ items: rows, filters });
-      });
+    const canUseFullTextSearch = this.isFullTextSearchEnabled &&
+      [...groups.flat(), ...exclusions].every(term => /[\p{L}\p{N}]/u.test(term.text));
+    if (canUseFullTextSearch) {
+      const toMatchExpression = term => `"${term.text.replace(/"/g, '""')}"${term.isPrefix ? ' *' : ''}`;
+      if (groups.length > 0) {
+        whereClauses.push(`id IN (SELECT rowid FROM ${this.logsFtsTable} WHERE ${this.logsFtsTable} MATCH ?)`);
+        values.push(groups.map(group => `(${group.map(toMatchExpression).join(' OR ')})`).join(' AND '));
+      }
+      if (exclusions.length > 0) {
+        whereClauses.push(`id NOT IN (SELECT rowid FROM ${this.logsFtsTable} WHERE ${this.logsFtsTable} MATCH ?)`);
+        values.push(exclusions.map(toMatchExpression).join(' OR '));
+      }
+      return { whereClauses, values };
+    }
+
+    groups.forEach(group => {
+      whereClauses.push(group.length > 1 ? `(${group.map(() => 'message LIKE ?').join(' OR ')})` : 'message LIKE ?');
+      values.push(...group.map(term => `%${term.text}%`));
+    });
+    exclusions.forEach(term => {
+      whereClauses.push('message NOT LIKE ?');
+      values.push(`%${term.text}%`);
     });
+    return { whereClauses, values };
   }
 
   /**
@@ -685,23 +3488,34 @@ class ErrsoleSQLite extends EventEmitter {
    *
    * @async
    * @function deleteAllLogs
+   * @param {ActionContext} [context] - Requires the logs:delete permission when an actor is given.
    * @returns {Promise<{}>} - A Promise that resolves with an empty object upon successful deletion of the logs.
-   * @throws {Error} - Throws an error if the operation fails.
+   * @throws {Error} - Throws an error if the actor lacks permission or the operation fails.
    */
-  async deleteAllLogs () {
+  async deleteAllLogs (context) {
+    await this.assertPermission(context, 'logs:delete');
     const runAsync = promisify(this.db.run.bind(this.db));
-    try {
-      await runAsync('BEGIN TRANSACTION;');
-      await runAsync(`DROP TABLE IF EXISTS ${this.logsTable};`);
-      for (const query of this.logsTableQueries) {
-        await runAsync(query);
+    await this.queueWrite(async () => {
+      let isInTransaction = false;
+      try {
+        await runAsync('BEGIN TRANSACTION;');
+        isInTransaction = true;
+        await runAsync(`DROP TABLE IF EXISTS ${this.logsTable};`);
+        if (this.isFullTextSearchEnabled) {
+          await runAsync(`DROP TABLE IF EXISTS ${this.logsFtsTable};`);
+        }
+        for (const query of this.logsTableQueries) {
+          await runAsync(query);
+        }
+        await runAsync(`DELETE FROM ${this.hostnamesTable};`);
+        await runAsync('COMMIT;');
+      } catch (err) {
+        if (isInTransaction) await runAsync('ROLLBACK;').catch(() => {});
+        throw toStorageError(err, 'deleteAllLogs');
       }
-      await runAsync('COMMIT;');
-      return {};
-    } catch (err) {
-      await runAsync('ROLLBACK;');
-      throw new Error(err.message || err.toString());
-    }
+    });
+    await this.recordAudit(context, 'logs.delete_all', null, null, null);
+    return {};
   }
 
   /**
@@ -717,8 +3531,8 @@ class ErrsoleSQLite extends EventEmitter {
     const query = `SELECT id, meta FROM ${this.logsTable} WHERE id = ?`;
     return new Promise((resolve, reject) => {
       this.db.get(query, [id], (err, row) => {
-        if (err) return reject(new Error(err.message || err.toString()));
-        if (!row) return reject(new Error('Log entry not found.'));
+        if (err) return reject(toStorageError(err, 'getMeta'));
+        if (!row) return reject(new NotFoundError('Log entry not found.', { code: 'LOG_NOT_FOUND', operation: 'getMeta' }));
         resolve({ item: row });
       });
     });
@@ -729,18 +3543,29 @@ class ErrsoleSQLite extends EventEmitter {
    * @param {Notification} notification - The notification to be inserted.
    * @returns {Promise<Object>} - Returns today's notification count and the previous notification.
    */
-  async insertNotificationItem (notification = {}) {
+  insertNotificationItem (notification = {}) {
+    return this.queueWrite(() => this.writeNotificationItem(notification));
+  }
+
+  /**
+   * Inserts a notification in a transaction. Use insertNotificationItem, which queues it with the other writes.
+   * @param {Notification} notification - The notification to be inserted.
+   * @returns {Promise<Object>} - Returns today's notification count and the previous notification.
+   */
+  async writeNotificationItem (notification) {
     const errsoleId = notification.errsole_id;
     const hostname = notification.hostname;
     const hashedMessage = notification.hashed_message;
 
+    let isInTransaction = false;
     try {
       await new Promise((resolve, reject) => {
         this.db.run('BEGIN TRANSACTION;', err => {
-          if (err) return reject(new Error(err.message || err.toString()));
+          if (err) return reject(toStorageError(err, 'insertNotificationItem'));
           resolve();
         });
       });
+      isInTransaction = true;
 
       const fetchPreviousNotificationQuery = `
         SELECT * FROM ${this.notificationsTable}
@@ -750,7 +3575,7 @@ class ErrsoleSQLite extends EventEmitter {
       `;
       const previousNotificationItem = await new Promise((resolve, reject) => {
         this.db.get(fetchPreviousNotificationQuery, [hashedMessage], (err, row) => {
-          if (err) return reject(new Error(err.message || err.toString()));
+          if (err) return reject(toStorageError(err, 'insertNotificationItem'));
           resolve(row);
         });
       });
@@ -761,7 +3586,7 @@ class ErrsoleSQLite extends EventEmitter {
       `;
       await new Promise((resolve, reject) => {
         this.db.run(insertNotificationQuery, [errsoleId, hostname, hashedMessage], err => {
-          if (err) return reject(new Error(err.message || err.toString()));
+          if (err) return reject(toStorageError(err, 'insertNotificationItem'));
           resolve();
         });
       });
@@ -774,14 +3599,14 @@ class ErrsoleSQLite extends EventEmitter {
       `;
       const todayNotificationCount = await new Promise((resolve, reject) => {
         this.db.get(countTodayNotificationsQuery, [hashedMessage], (err, result) => {
-          if (err) return reject(new Error(err.message || err.toString()));
+          if (err) return reject(toStorageError(err, 'insertNotificationItem'));
           resolve(result.notificationCount || 0);
         });
       });
 
       await new Promise((resolve, reject) => {
         this.db.run('COMMIT;', err => {
-          if (err) return reject(new Error(err.message || err.toString()));
+          if (err) return reject(toStorageError(err, 'insertNotificationItem'));
           resolve();
         });
       });
@@ -791,10 +3616,12 @@ class ErrsoleSQLite extends EventEmitter {
         todayNotificationCount
       };
     } catch (err) {
-      await new Promise(resolve => {
-        this.db.run('ROLLBACK;', () => resolve());
-      });
-      throw new Error(err.message || err.toString());
+      if (isInTransaction) {
+        await new Promise(resolve => {
+          this.db.run('ROLLBACK;', () => resolve());
+        });
+      }
+      throw toStorageError(err, 'insertNotificationItem');
     }
   }
 
@@ -807,95 +3634,540 @@ class ErrsoleSQLite extends EventEmitter {
    * @throws {Error} - Throws an error if the operation fails.
    */
   async getHostnames () {
-    return { items: [] };
+    const query = `SELECT hostname FROM ${this.hostnamesTable} ORDER BY hostname`;
+    return new Promise((resolve, reject) => {
+      this.db.all(query, (err, rows) => {
+        if (err) return reject(toStorageError(err, 'getHostnames'));
+        resolve({ items: rows.map(row => row.hostname) });
+      });
+    });
   }
 
-  async deleteExpiredLogs () {
-    if (this.deleteExpiredLogsRunning) return;
+  /**
+   * Removes hostnames that no longer have any logs, e.g. after their logs expired.
+   */
+  async deleteStaleHostnames () {
+    const query = `DELETE FROM ${this.hostnamesTable} WHERE NOT EXISTS (SELECT 1 FROM ${this.logsTable} WHERE ${this.logsTable}.hostname = ${this.hostnamesTable}.hostname)`;
+    return this.queueWrite(() => new Promise((resolve, reject) => {
+      this.db.run(query, err => {
+        if (err) return reject(toStorageError(err, 'deleteStaleHostnames'));
+        resolve();
+      });
+    }));
+  }
 
-    this.deleteExpiredLogsRunning = true;
+  /**
+   * Validates a retention policy without storing it. Store it with `setConfig('retentionPolicy', JSON.stringify(policy))`.
+   *
+   * @function validateRetentionPolicy
+   * @param {RetentionPolicy|string} policy - The policy, or its JSON.
+   * @returns {{default: number|undefined, rules: RetentionRule[]}} - The policy without unset fields.
+   * @throws {ValidationError} - Throws an error with the code INVALID_RETENTION_POLICY if the policy is malformed.
+   */
+  validateRetentionPolicy (policy) {
+    return parseRetentionPolicy(policy, 'validateRetentionPolicy');
+  }
 
-    const DEFAULT_LOGS_TTL = 7 * 24 * 60 * 60 * 1000; // 7 days in milliseconds
+  /**
+   * Retrieves the retention policy that deleteExpiredLogs enforces. Without a retentionPolicy config,
+   * or if it has no default, logs are kept for the logsTTL config.
+   *
+   * @async
+   * @function getRetentionPolicy
+   * @returns {Promise<{item: {default: number, rules: RetentionRule[]}}>} - A Promise that resolves with the effective policy.
+   * @throws {Error} - Throws an error if the stored policy is malformed or the operation fails.
+   */
+  async getRetentionPolicy () {
+    const { item: policyConfig } = await this.getConfig('retentionPolicy');
+    const policy = policyConfig ? parseRetentionPolicy(policyConfig.value, 'getRetentionPolicy') : { rules: [] };
+    if (policy.default === undefined) {
+      const { item: logsTTLConfig } = await this.getConfig('logsTTL');
+      const parsedTTL = logsTTLConfig ? parseInt(logsTTLConfig.value, 10) : NaN;
+      policy.default = isNaN(parsedTTL) ? DEFAULT_LOGS_TTL : parsedTTL;
+    }
+    return { item: policy };
+  }
 
-    try {
-      let logsTTL = DEFAULT_LOGS_TTL;
-      const configResult = await this.getConfig('logsTTL');
-      if (configResult.item) {
-        const parsedTTL = parseInt(configResult.item.value, 10);
-        logsTTL = isNaN(parsedTTL) ? DEFAULT_LOGS_TTL : parsedTTL;
-      }
-      let expirationTime = new Date(Date.now() - logsTTL);
-      expirationTime = new Date(expirationTime);
-      let deletedRowCount;
-      do {
-        deletedRowCount = await new Promise((resolve, reject) => {
+  /**
+   * Deletes logs that match a condition in batches, pausing between batches so that writes are not blocked for long.
+   * Emits a `retentionProgress` event after each batch.
+   *
+   * @param {string} condition - The WHERE clause.
+   * @param {Array} values - The values of the condition.
+   * @param {{table: string, deleted_count: number}} progress - The progress of the run, which is updated.
+   * @returns {Promise<number>} - The number of deleted logs.
+   */
+  async deleteLogsInBatches (condition, values, progress) {
+    let totalCount = 0;
+    let deletedRowCount;
+    do {
+      if (this.archiveDirectory) {
+        deletedRowCount = await this.archiveAndDeleteLogs(condition, values);
+      } else {
+        deletedRowCount = await this.queueWrite(() => new Promise((resolve, reject) => {
           this.db.run(
-            `DELETE FROM ${this.logsTable} WHERE id IN (SELECT id FROM ${this.logsTable} WHERE timestamp < ? LIMIT 1000)`,
-            [expirationTime],
+            `DELETE FROM ${this.logsTable} WHERE id IN (SELECT id FROM ${this.logsTable} WHERE ${condition} LIMIT ?)`,
+            [...values, this.retention.batchSize],
             function (err) { // You must use an old-school function () { ... } style callback rather than a lambda function, otherwise this.lastID and this.changes will be undefined.
-              if (err) return reject(new Error(err.message || err.toString()));
+              if (err) return reject(toStorageError(err, 'deleteExpiredLogs'));
               resolve(this.changes);
             }
           );
+        }));
+      }
+      if (deletedRowCount > 0) {
+        totalCount += deletedRowCount;
+        progress.deleted_count += deletedRowCount;
+        this.emit('retentionProgress', { ...progress });
+        if (this.retention.batchDelay > 0) await this.sleep(this.retention.batchDelay);
+      }
+    } while (deletedRowCount > 0 && !this.isClosing);
+    return totalCount;
+  }
+
+  /**
+   * Appends a batch of logs that match a condition to the archives and then deletes them.
+   * The logs are only deleted once they have been archived; if the process stops in between,
+   * the next run archives them again.
+   *
+   * @param {string} condition - The WHERE clause.
+   * @param {Array} values - The values of the condition.
+   * @returns {Promise<number>} - The number of deleted logs.
+   */
+  async archiveAndDeleteLogs (condition, values) {
+    const rows = await new Promise((resolve, reject) => {
+      this.db.all(
+        `SELECT id, hostname, pid, source, timestamp, level, message, meta, errsole_id FROM ${this.logsTable} WHERE ${condition} LIMIT ?`,
+        [...values, this.retention.batchSize],
+        (err, rows) => {
+          if (err) return reject(toStorageError(err, 'deleteExpiredLogs'));
+          resolve(rows);
+        }
+      );
+    });
+    if (rows.length === 0) return 0;
+
+    await this.writeArchives(rows);
+    const ids = rows.map(row => row.id);
+    return this.queueWrite(() => new Promise((resolve, reject) => {
+      this.db.run(`DELETE FROM ${this.logsTable} WHERE id IN (${ids.map(() => '?').join(', ')})`, ids, function (err) { // You must use an old-school function () { ... } style callback rather than a lambda function, otherwise this.lastID and this.changes will be undefined.
+        if (err) return reject(toStorageError(err, 'deleteExpiredLogs'));
+        resolve(this.changes);
+      });
+    }));
+  }
+
+  /**
+   * Appends logs to the archives of their days. Each call appends a gzip member to the file,
+   * and gzip readers decompress concatenated members as one stream.
+   *
+   * @param {Object[]} rows - Rows of the logs table.
+   */
+  async writeArchives (rows) {
+    const linesByDate = {};
+    for (const row of rows) {
+      // Logs whose timestamp cannot be parsed are archived with the current time.
+      const parsedTimestamp = new Date(row.timestamp);
+      const timestamp = isNaN(parsedTimestamp) ? new Date() : parsedTimestamp;
+      const date = timestamp.toISOString().slice(0, 10);
+      (linesByDate[date] = linesByDate[date] || []).push(JSON.stringify({ ...row, timestamp: timestamp.toISOString() }) + '\n');
+    }
+
+    try {
+      await fs.promises.mkdir(this.archiveDirectory, { recursive: true });
+      for (const [date, lines] of Object.entries(linesByDate)) {
+        const compressed = await promisify(zlib.gzip)(lines.join(''));
+        await fs.promises.appendFile(this.getArchivePath(date), compressed);
+      }
+    } catch (err) {
+      throw toStorageError(err, 'deleteExpiredLogs');
+    }
+  }
+
+  getArchivePath (date) {
+    return path.join(this.archiveDirectory, `${this.logsTable}-${date}.ndjson.gz`);
+  }
+
+  /**
+   * Lists the archives of expired logs, oldest first.
+   *
+   * @async
+   * @function getArchives
+   * @returns {Promise<{items: Archive[]}>} - A Promise that resolves with the archives; empty if the archiveDirectory option is not set.
+   * @throws {Error} - Throws an error if the directory cannot be read.
+   */
+  async getArchives () {
+    if (!this.archiveDirectory) return { items: [] };
+
+    const pattern = new RegExp(`^${this.logsTable}-(\\d{4}-\\d{2}-\\d{2})\\.ndjson\\.gz$`);
+    let files;
+    try {
+      files = await fs.promises.readdir(this.archiveDirectory);
+    } catch (err) {
+      if (err.code === 'ENOENT') return { items: [] };
+      throw toStorageError(err, 'getArchives');
+    }
+
+    const items = [];
+    for (const name of files.sort()) {
+      const match = pattern.exec(name);
+      if (!match) continue;
+      const file = path.join(this.archiveDirectory, name);
+      try {
+        const { size } = await fs.promises.stat(file);
+        items.push({ date: match[1], file, size });
+      } catch (err) {
+        throw toStorageError(err, 'getArchives');
+      }
+    }
+    return { items };
+  }
+
+  /**
+   * Reads archived logs in a time range, e.g. for an audit of logs that have expired from the database.
+   * Only the archives of the days in the range are read. The logs are not imported back into the logs table:
+   * they are older than the retention allows, so the next cleanup would delete and archive them again.
+   *
+   * @async
+   * @function queryArchive
+   * @param {Object} [filters]
+   * @param {Date|number|string} [filters.gte_timestamp] - The start of the range.
+   * @param {Date|number|string} [filters.lte_timestamp] - The end of the range.
+   * @param {string[]} [filters.levels] - Only logs with these levels.
+   * @param {string[]} [filters.sources] - Only logs from these sources.
+   * @param {string[]} [filters.hostnames] - Only logs from these hostnames.
+   * @param {number} [filters.limit=100] - The maximum number of logs to return.
+   * @returns {Promise<{items: Log[]}>} - A Promise that resolves with the oldest matching logs first.
+   * @throws {Error} - Throws an error if the filters are invalid or an archive cannot be read.
+   */
+  async queryArchive (filters = {}) {
+    const DEFAULT_LOGS_LIMIT = 100;
+    const limit = filters.limit || DEFAULT_LOGS_LIMIT;
+    const gte = filters.gte_timestamp === undefined ? -Infinity : new Date(filters.gte_timestamp).getTime();
+    const lte = filters.lte_timestamp === undefined ? Infinity : new Date(filters.lte_timestamp).getTime();
+    if (isNaN(gte) || isNaN(lte)) {
+      throw new ValidationError('gte_timestamp and lte_timestamp must be valid dates.', { code: 'INVALID_TIME_RANGE', operation: 'queryArchive' });
+    }
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new ValidationError('limit must be a positive integer.', { code: 'INVALID_LIMIT', operation: 'queryArchive' });
+    }
+
+    const matches = log => {
+      const timestamp = new Date(log.timestamp).getTime();
+      return timestamp >= gte && timestamp <= lte &&
+        (!filters.levels || filters.levels.includes(log.level)) &&
+        (!filters.sources || filters.sources.includes(log.source)) &&
+        (!filters.hostnames || filters.hostnames.includes(log.hostname));
+    };
+    const firstDate = gte === -Infinity ? '' : new Date(gte).toISOString().slice(0, 10);
+    const lastDate = lte === Infinity ? '9999-12-31' : new Date(lte).toISOString().slice(0, 10);
+
+    const items = [];
+    const { items: archives } = await this.getArchives();
+    for (const archive of archives) {
+      if (archive.date < firstDate || archive.date > lastDate) continue;
+      const logs = [];
+      try {
+        const input = pipeline(fs.createReadStream(archive.file), zlib.createGunzip(), () => {});
+        const lines = readline.createInterface({ input, crlfDelay: Infinity });
+        for await (const line of lines) {
+          if (!line) continue;
+          const log = JSON.parse(line);
+          if (matches(log)) logs.push({ ...log, timestamp: new Date(log.timestamp) });
+        }
+      } catch (err) {
+        throw toStorageError(err, 'queryArchive');
+      }
+      // Batches of different retention rules can be appended out of order.
+      logs.sort((a, b) => a.timestamp - b.timestamp || a.id - b.id);
+      items.push(...logs);
+      if (items.length >= limit) break;
+    }
+    return { items: items.slice(0, limit) };
+  }
+
+  /**
+   * Builds the conditions that select the logs that are older than the retention policy allows. Without rules, all logs share
+   * the default TTL; otherwise each combination of source and level has its own TTL and uses the (source, level, timestamp, id) index.
+   *
+   * @returns {Promise<{condition: string, values: Array}[]>}
+   */
+  async getExpiredLogConditions () {
+    const { item: policy } = await this.getRetentionPolicy();
+    const now = Date.now();
+    if (policy.rules.length === 0) {
+      return [{ condition: 'timestamp < ?', values: [now - policy.default] }];
+    }
+
+    const combinations = await new Promise((resolve, reject) => {
+      this.db.all(`SELECT DISTINCT source, level FROM ${this.logsTable}`, [], (err, rows) => {
+        if (err) return reject(toStorageError(err, 'deleteExpiredLogs'));
+        resolve(rows);
+      });
+    });
+    return combinations.map(({ source, level }) => ({
+      condition: 'source IS ? AND level IS ? AND timestamp < ?',
+      values: [source, level, now - getRetentionTTL(policy, source, level)]
+    }));
+  }
+
+  /**
+   * Deletes, or only counts, the logs that are older than the retention policy allows.
+   *
+   * @param {boolean} dryRun - Only count the logs.
+   * @returns {Promise<number>} - The number of deleted, or expired, logs.
+   */
+  async removeExpiredLogs (dryRun) {
+    const conditions = await this.getExpiredLogConditions();
+    const progress = { table: 'logs', deleted_count: 0 };
+    let count = 0;
+    for (const { condition, values } of conditions) {
+      if (this.isClosing) break;
+      if (dryRun) {
+        count += await new Promise((resolve, reject) => {
+          this.db.get(`SELECT COUNT(*) AS count FROM ${this.logsTable} WHERE ${condition}`, values, (err, row) => {
+            if (err) return reject(toStorageError(err, 'runRetention'));
+            resolve(row.count);
+          });
         });
-        await new Promise(resolve => setTimeout(resolve, 10000));
-      } while (deletedRowCount > 0);
+      } else {
+        count += await this.deleteLogsInBatches(condition, values, progress);
+      }
+    }
+    if (!dryRun) await this.deleteStaleHostnames();
+    return count;
+  }
+
+  async deleteExpiredLogs () {
+    if (this.deleteExpiredLogsRunning || this.isClosing) return;
+
+    this.deleteExpiredLogsRunning = true;
+
+    try {
+      await this.removeExpiredLogs(false);
     } catch (err) {
-      console.error(new Error(err.message || err.toString()));
+      this.emitError(toStorageError(err, 'deleteExpiredLogs'));
     } finally {
       this.deleteExpiredLogsRunning = false;
     }
   }
 
-  async deleteExpiredNotificationItems () {
-    if (this.deleteExpiredNotificationItemsRunning) return;
+  /**
+   * Measures the database: the bytes in use, i.e. the pages that are not on the freelist, and the number of logs.
+   *
+   * @async
+   * @function getDatabaseSize
+   * @returns {Promise<{item: {bytes: number, rows: number}}>} - A Promise that resolves with the size of the database.
+   * @throws {Error} - Throws an error if the operation fails.
+   */
+  async getDatabaseSize () {
+    const [bytes, rows] = await Promise.all([this.getUsedBytes(), this.getLogCount()]);
+    return { item: { bytes, rows } };
+  }
 
-    this.deleteExpiredNotificationItemsRunning = true;
+  async getUsedBytes () {
+    const query = 'SELECT (page_count - freelist_count) * page_size AS bytes FROM pragma_page_count(), pragma_freelist_count(), pragma_page_size()';
+    return new Promise((resolve, reject) => {
+      this.db.get(query, (err, row) => {
+        if (err) return reject(toStorageError(err, 'getDatabaseSize'));
+        resolve(row.bytes);
+      });
+    });
+  }
+
+  async getLogCount () {
+    return new Promise((resolve, reject) => {
+      this.db.get(`SELECT COUNT(*) AS count FROM ${this.logsTable}`, (err, row) => {
+        if (err) return reject(toStorageError(err, 'getDatabaseSize'));
+        resolve(row.count);
+      });
+    });
+  }
+
+  /**
+   * Deletes the oldest logs in batches until the database is within the maxDatabaseSize option, and emits
+   * a `retention` event describing the deleted logs. Runs after flushes, at most once a minute, and with the hourly cleanup.
+   *
+   * @async
+   * @function enforceMaxDatabaseSize
+   * @returns {Promise<Object|null>} - A Promise that resolves with the payload of the `retention` event, or null if no logs were deleted.
+   * @throws {Error} - Throws an error if the operation fails.
+   */
+  async enforceMaxDatabaseSize () {
+    if (!this.maxDatabaseSize || this.enforceMaxDatabaseSizeRunning || this.isClosing) return null;
 
-    const DEFAULT_NOTIFICATIONS_TTL = 7 * 24 * 60 * 60 * 1000;
+    this.enforceMaxDatabaseSizeRunning = true;
+    this.lastDatabaseSizeCheck = Date.now();
 
     try {
-      let notificationsTTL = DEFAULT_NOTIFICATIONS_TTL;
-      const configResult = await this.getConfig('logsTTL');
-      if (configResult.item) {
-        const parsedTTL = parseInt(configResult.item.value, 10);
-        notificationsTTL = isNaN(parsedTTL) ? DEFAULT_NOTIFICATIONS_TTL : parsedTTL;
-      }
-      const expirationTime = new Date(Date.now() - notificationsTTL).toISOString().slice(0, 19).replace('T', ' ');
-      let deletedRowCount;
-      do {
-        const idsToDelete = await new Promise((resolve, reject) => {
+      const { bytes: maxBytes, rows: maxRows } = this.maxDatabaseSize;
+      const { item: sizeBefore } = await this.getDatabaseSize();
+      let bytes = sizeBefore.bytes;
+      let excessRows = maxRows === null ? 0 : sizeBefore.rows - maxRows;
+      let deletedCount = 0;
+      let oldestTimestamp = null;
+      let newestTimestamp = null;
+      const isOverLimit = () => excessRows > 0 || (maxBytes !== null && bytes > maxBytes);
+
+      while (isOverLimit() && !this.isClosing) {
+        const batchSize = excessRows > 0 ? Math.min(excessRows, this.retention.batchSize) : this.retention.batchSize;
+        const deletedRows = await this.queueWrite(() => new Promise((resolve, reject) => {
           this.db.all(
-            `SELECT id FROM ${this.notificationsTable} WHERE created_at < ? LIMIT 1000`,
-            [expirationTime],
+            `DELETE FROM ${this.logsTable} WHERE id IN (SELECT id FROM ${this.logsTable} ORDER BY timestamp, id LIMIT ?) RETURNING timestamp`,
+            [batchSize],
             (err, rows) => {
-              if (err) return reject(new Error(err.message || err.toString()));
-              resolve(rows.map(row => row.id));
+              if (err) return reject(toStorageError(err, 'enforceMaxDatabaseSize'));
+              resolve(rows);
             }
           );
+        }));
+        if (deletedRows.length === 0) break;
+
+        for (const { timestamp } of deletedRows) {
+          if (oldestTimestamp === null || timestamp < oldestTimestamp) oldestTimestamp = timestamp;
+          if (newestTimestamp === null || timestamp > newestTimestamp) newestTimestamp = timestamp;
+        }
+        deletedCount += deletedRows.length;
+        excessRows -= deletedRows.length;
+        if (maxBytes !== null) bytes = await this.getUsedBytes();
+      }
+
+      if (deletedCount === 0) return null;
+      await this.deleteStaleHostnames();
+      const { item: sizeAfter } = await this.getDatabaseSize();
+      const retention = {
+        reason: 'maxDatabaseSize',
+        deleted_count: deletedCount,
+        oldest_timestamp: new Date(oldestTimestamp),
+        newest_timestamp: new Date(newestTimestamp),
+        size_before: sizeBefore,
+        size_after: sizeAfter
+      };
+      this.emit('retention', retention);
+      return retention;
+    } finally {
+      this.enforceMaxDatabaseSizeRunning = false;
+    }
+  }
+
+  /**
+   * Deletes, or only counts, the notifications that are older than the notificationsTTL config.
+   *
+   * @param {boolean} dryRun - Only count the notifications.
+   * @returns {Promise<number>} - The number of deleted, or expired, notifications.
+   */
+  async removeExpiredNotificationItems (dryRun) {
+    let notificationsTTL = DEFAULT_NOTIFICATIONS_TTL;
+    const configResult = await this.getConfig('notificationsTTL');
+    if (configResult.item) {
+      const parsedTTL = parseInt(configResult.item.value, 10);
+      notificationsTTL = isNaN(parsedTTL) ? DEFAULT_NOTIFICATIONS_TTL : parsedTTL;
+    }
+    const expirationTime = new Date(Date.now() - notificationsTTL).toISOString().slice(0, 19).replace('T', ' ');
+    if (dryRun) {
+      return new Promise((resolve, reject) => {
+        this.db.get(`SELECT COUNT(*) AS count FROM ${this.notificationsTable} WHERE created_at < ?`, [expirationTime], (err, row) => {
+          if (err) return reject(toStorageError(err, 'runRetention'));
+          resolve(row.count);
         });
-        if (idsToDelete.length === 0) break;
-        await new Promise((resolve, reject) => {
-          const placeholders = idsToDelete.map(() => '?').join(', ');
-          this.db.run(
-          `DELETE FROM ${this.notificationsTable} WHERE id IN (${placeholders})`,
-          idsToDelete,
-          function (err) { // You must use an old-school function () { ... } style callback rather than a lambda function, otherwise this.lastID and this.changes will be undefined.
-            if (err) return reject(new Error(err.message || err.toString()));
-            resolve(this.changes);
+      });
+    }
+
+    const progress = { table: 'notifications', deleted_count: 0 };
+    let deletedRowCount;
+    do {
+      const idsToDelete = await new Promise((resolve, reject) => {
+        this.db.all(
+          `SELECT id FROM ${this.notificationsTable} WHERE created_at < ? LIMIT ?`,
+          [expirationTime, this.retention.batchSize],
+          (err, rows) => {
+            if (err) return reject(toStorageError(err, 'deleteExpiredNotificationItems'));
+            resolve(rows.map(row => row.id));
           }
-          );
-        });
-        deletedRowCount = idsToDelete.length;
-        await new Promise(resolve => setTimeout(resolve, 10000));
-      } while (deletedRowCount > 0);
+        );
+      });
+      if (idsToDelete.length === 0) break;
+      await this.queueWrite(() => new Promise((resolve, reject) => {
+        const placeholders = idsToDelete.map(() => '?').join(', ');
+        this.db.run(
+        `DELETE FROM ${this.notificationsTable} WHERE id IN (${placeholders})`,
+        idsToDelete,
+        function (err) { // You must use an old-school function () { ... } style callback rather than a lambda function, otherwise this.lastID and this.changes will be undefined.
+          if (err) return reject(toStorageError(err, 'deleteExpiredNotificationItems'));
+          resolve(this.changes);
+        }
+        );
+      }));
+      deletedRowCount = idsToDelete.length;
+      progress.deleted_count += deletedRowCount;
+      this.emit('retentionProgress', { ...progress });
+      if (this.retention.batchDelay > 0) await this.sleep(this.retention.batchDelay);
+    } while (deletedRowCount > 0 && !this.isClosing);
+    return progress.deleted_count;
+  }
+
+  async deleteExpiredNotificationItems () {
+    if (this.deleteExpiredNotificationItemsRunning || this.isClosing) return;
+
+    this.deleteExpiredNotificationItemsRunning = true;
+
+    try {
+      await this.removeExpiredNotificationItems(false);
+    } catch (err) {
+      this.emitError(toStorageError(err, 'deleteExpiredNotificationItems'));
+    } finally {
+      this.deleteExpiredNotificationItemsRunning = false;
+    }
+  }
+
+  /**
+   * Runs the retention of logs and notifications now instead of waiting for the retentionSchedule.
+   * While it runs, a `retentionProgress` event with the table and the number of rows deleted so far is emitted after each batch.
+   *
+   * @async
+   * @function runRetention
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun=false] - Count the expired logs and notifications without deleting them.
+   * @param {ActionContext} [context] - Requires the logs:delete permission when an actor is given. A run that deletes is recorded in the audit log.
+   * @returns {Promise<{logs: number, notifications: number, dryRun: boolean}>} - A Promise that resolves with the number of logs and notifications that were (or would be) deleted.
+   * @throws {Error} - Throws an error if the actor lacks permission, the retention is already running or the operation fails.
+   */
+  async runRetention ({ dryRun = false } = {}, context) {
+    await this.assertPermission(context, 'logs:delete');
+    if (dryRun) {
+      try {
+        return { logs: await this.removeExpiredLogs(true), notifications: await this.removeExpiredNotificationItems(true), dryRun };
+      } catch (err) {
+        throw toStorageError(err, 'runRetention');
+      }
+    }
+
+    if (this.deleteExpiredLogsRunning || this.deleteExpiredNotificationItemsRunning) {
+      throw new ConflictError('The retention is already running.', { code: 'RETENTION_RUNNING', operation: 'runRetention' });
+    }
+    this.deleteExpiredLogsRunning = true;
+    this.deleteExpiredNotificationItemsRunning = true;
+    let result;
+    try {
+      const logs = await this.removeExpiredLogs(false);
+      const notifications = await this.removeExpiredNotificationItems(false);
+      result = { logs, notifications, dryRun };
     } catch (err) {
-      console.error(new Error(err.message || err.toString()));
+      throw toStorageError(err, 'runRetention');
     } finally {
+      this.deleteExpiredLogsRunning = false;
       this.deleteExpiredNotificationItemsRunning = false;
     }
+    await this.recordAudit(context, 'logs.retention_run', null, null, { logs: result.logs, notifications: result.notifications });
+    return result;
   }
 }
 
 module.exports = ErrsoleSQLite;
 module.exports.default = ErrsoleSQLite;
+module.exports.ErrsoleSQLiteError = ErrsoleSQLiteError;
+module.exports.NotFoundError = NotFoundError;
+module.exports.ConflictError = ConflictError;
+module.exports.ValidationError = ValidationError;
+module.exports.AuthError = AuthError;
+module.exports.StorageError = StorageError;
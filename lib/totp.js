@@ -0,0 +1,140 @@
+/**
+ * Time-based one-time passwords (RFC 6238) for two-factor authentication.
+ */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * @typedef {Object} TotpOptions
+ * @property {number} [time=Date.now()] - The time in milliseconds for which the code is generated.
+ * @property {number} [step=30] - Seconds for which a code is valid.
+ * @property {number} [digits=6] - Length of the code.
+ * @property {'sha1'|'sha256'|'sha512'} [algorithm='sha1'] - The HMAC algorithm.
+ */
+
+/**
+ * Encodes bytes in base32 without padding, the format authenticator apps expect for secrets.
+ *
+ * @param {Buffer} buffer - The bytes to encode.
+ * @returns {string}
+ */
+function base32Encode (buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+/**
+ * Decodes a base32 string. Padding, spaces and lowercase letters are accepted.
+ *
+ * @param {string} input - The base32 string.
+ * @returns {Buffer}
+ * @throws {Error} - Throws an error if the string contains characters outside the base32 alphabet.
+ */
+function base32Decode (input) {
+  const characters = input.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const character of characters) {
+    const index = BASE32_ALPHABET.indexOf(character);
+    if (index === -1) throw new Error('Invalid base32 character.');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generates a random secret for a new authenticator.
+ *
+ * @param {number} [size=20] - Number of random bytes; RFC 4226 recommends 160 bits.
+ * @returns {string} - The secret in base32.
+ */
+function generateSecret (size = 20) {
+  return base32Encode(crypto.randomBytes(size));
+}
+
+/**
+ * Generates the code for a secret at a point in time.
+ *
+ * @param {Buffer|string} secret - The secret, as raw bytes or in base32.
+ * @param {TotpOptions} [options]
+ * @returns {string}
+ */
+function generateTOTP (secret, options = {}) {
+  const { time = Date.now(), step = 30, digits = 6, algorithm = 'sha1' } = options;
+  const key = Buffer.isBuffer(secret) ? secret : base32Decode(secret);
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(Math.floor(time / 1000 / step)));
+
+  const hmac = crypto.createHmac(algorithm, key).update(counter).digest();
+  // Dynamic truncation (RFC 4226, section 5.3).
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** digits).padStart(digits, '0');
+}
+
+/**
+ * Checks a code against a secret, accepting codes from a few steps before and after the current one to allow for clock drift.
+ *
+ * @param {Buffer|string} secret - The secret, as raw bytes or in base32.
+ * @param {string} code - The code entered by the user.
+ * @param {TotpOptions & {window?: number}} [options] - `window` is the number of steps accepted on each side (default 1).
+ * @returns {number|null} - The time step of the matching code, so that callers can reject reused codes, or null if the code does not match.
+ */
+function verifyTOTP (secret, code, options = {}) {
+  const { time = Date.now(), step = 30, digits = 6, window = 1 } = options;
+  const normalizedCode = String(code).replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${digits}}$`).test(normalizedCode)) return null;
+
+  const currentStep = Math.floor(time / 1000 / step);
+  for (let offset = -window; offset <= window; offset++) {
+    const candidateStep = currentStep + offset;
+    const candidate = generateTOTP(secret, { ...options, time: candidateStep * step * 1000 });
+    if (crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(normalizedCode))) {
+      return candidateStep;
+    }
+  }
+  return null;
+}
+
+/**
+ * Builds the otpauth:// URL that authenticator apps read from a QR code.
+ *
+ * @param {string} secret - The secret in base32.
+ * @param {string} accountName - Usually the user's email address.
+ * @param {string} issuer - The name shown in the authenticator app.
+ * @returns {string}
+ */
+function getOtpauthUrl (secret, accountName, issuer) {
+  const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(accountName)}`;
+  return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=6&period=30`;
+}
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateTOTP,
+  verifyTOTP,
+  getOtpauthUrl
+};
@@ -1,17 +1,25 @@
 const cron = require('node-cron');
 const ErrsoleSQLite = require('../lib/index');
 const bcrypt = require('bcryptjs');
+const { generateTOTP } = require('../lib/totp');
 
 /* globals expect, jest, beforeEach, it, afterEach, describe, beforeAll, afterAll */
 
 jest.mock('node-cron', () => ({
-  schedule: jest.fn()
+  schedule: jest.fn(),
+  validate: jest.requireActual('node-cron').validate
 }));
 
 let cronJob;
 let originalConsoleError;
 let errsoleSQLite;
 
+// Inserts logs with the statement that flushLogs uses, so that fixtures exist before a test starts.
+const insertLogRows = (storage, logs) => new Promise((resolve, reject) => {
+  const rows = logs.map(log => ({ hostname: 'localhost', pid: 1234, source: 'console', level: 'info', message: 'message', meta: '{}', ...log }));
+  storage.db.run(storage.getInsertLogsQuery(rows.length), storage.getInsertLogsValues(rows), err => (err ? reject(err) : resolve()));
+});
+
 beforeAll(() => {
   // Mock setInterval and cron.schedule globally
   jest.useFakeTimers();
@@ -39,37 +47,51 @@ afterAll(() => {
 });
 
 describe('ErrsoleSQLite - initialize', () => {
-  beforeEach(() => {
+  beforeEach(async () => {
     errsoleSQLite = new ErrsoleSQLite(':memory:');
+    // The constructor starts an initialization of its own; the spies must only see the calls made by the tests.
+    await new Promise(resolve => errsoleSQLite.once('ready', resolve));
 
+    jest.spyOn(errsoleSQLite, 'setAutoVacuum').mockResolvedValue();
+    jest.spyOn(errsoleSQLite, 'setPragmas').mockResolvedValue();
     jest.spyOn(errsoleSQLite, 'setCacheSize').mockResolvedValue();
     jest.spyOn(errsoleSQLite, 'createTables').mockResolvedValue();
+    jest.spyOn(errsoleSQLite, 'ensureHostnames').mockResolvedValue();
+    jest.spyOn(errsoleSQLite, 'ensureRoles').mockResolvedValue();
     jest.spyOn(errsoleSQLite, 'ensureLogsTTL').mockResolvedValue();
+    jest.spyOn(errsoleSQLite, 'ensureNotificationsTTL').mockResolvedValue();
+    jest.spyOn(errsoleSQLite, 'ensureAuditLogsTTL').mockResolvedValue();
     jest.spyOn(errsoleSQLite, 'flushLogs').mockImplementation(() => Promise.resolve());
     jest.spyOn(errsoleSQLite, 'deleteExpiredLogs').mockImplementation(() => Promise.resolve());
     jest.spyOn(errsoleSQLite, 'deleteExpiredNotificationItems').mockImplementation(() => Promise.resolve());
     jest.spyOn(errsoleSQLite, 'emit').mockImplementation(() => {});
   });
 
-  afterEach(() => {
+  afterEach(async () => {
+    await errsoleSQLite.close();
     jest.clearAllMocks();
   });
 
-  it('should call setCacheSize, createTables, ensureLogsTTL, and emit "ready" event', async () => {
+  it('should call setPragmas, setCacheSize, createTables, ensureHostnames, ensureRoles, ensureLogsTTL, ensureAuditLogsTTL, and emit "ready" event', async () => {
     await errsoleSQLite.initialize();
-    expect(errsoleSQLite.setCacheSize).toHaveBeenCalledTimes(2);
-    expect(errsoleSQLite.createTables).toHaveBeenCalledTimes(2);
-    expect(errsoleSQLite.ensureLogsTTL).toHaveBeenCalledTimes(2);
+    expect(errsoleSQLite.setAutoVacuum).toHaveBeenCalledTimes(1);
+    expect(errsoleSQLite.setPragmas).toHaveBeenCalledTimes(1);
+    expect(errsoleSQLite.setCacheSize).toHaveBeenCalledTimes(1);
+    expect(errsoleSQLite.createTables).toHaveBeenCalledTimes(1);
+    expect(errsoleSQLite.ensureHostnames).toHaveBeenCalledTimes(1);
+    expect(errsoleSQLite.ensureRoles).toHaveBeenCalledTimes(1);
+    expect(errsoleSQLite.ensureLogsTTL).toHaveBeenCalledTimes(1);
+    expect(errsoleSQLite.ensureNotificationsTTL).toHaveBeenCalledTimes(1);
+    expect(errsoleSQLite.ensureAuditLogsTTL).toHaveBeenCalledTimes(1);
     expect(errsoleSQLite.emit).toHaveBeenCalledWith('ready');
   });
 
-  it('should emit "ready" event only once even if initialize is called multiple times', async () => {
+  it('should emit "ready" event each time initialize is called', async () => {
     await errsoleSQLite.initialize();
     await errsoleSQLite.initialize();
-    expect(errsoleSQLite.emit).toHaveBeenCalledTimes(3);
+    expect(errsoleSQLite.emit).toHaveBeenCalledTimes(2);
     expect(errsoleSQLite.emit).toHaveBeenNthCalledWith(1, 'ready');
     expect(errsoleSQLite.emit).toHaveBeenNthCalledWith(2, 'ready');
-    expect(errsoleSQLite.emit).toHaveBeenNthCalledWith(3, 'ready');
   });
 });
 
@@ -84,6 +106,7 @@ describe('ErrsoleSQLite - createTables', () => {
     jest.spyOn(errsoleSQLite.db, 'run').mockImplementation((query, callback) => {
       callback(null); // Simulate successful execution
     });
+    jest.spyOn(errsoleSQLite, 'migrate').mockResolvedValue({ items: [], version: 3, dryRun: false });
   });
 
   afterEach(() => {
@@ -99,6 +122,8 @@ describe('ErrsoleSQLite - createTables', () => {
     expect(errsoleSQLite.db.run).toHaveBeenCalledWith(expect.stringContaining('CREATE TABLE IF NOT EXISTS errsole_users'), expect.any(Function));
     expect(errsoleSQLite.db.run).toHaveBeenCalledWith(expect.stringContaining('CREATE TABLE IF NOT EXISTS errsole_config'), expect.any(Function));
     expect(errsoleSQLite.db.run).toHaveBeenCalledWith(expect.stringContaining('CREATE TABLE IF NOT EXISTS errsole_notifications'), expect.any(Function));
+    expect(errsoleSQLite.db.run).toHaveBeenCalledWith(expect.stringContaining('CREATE TABLE IF NOT EXISTS errsole_schema_migrations'), expect.any(Function));
+    expect(errsoleSQLite.migrate).toHaveBeenCalledTimes(1);
   });
 
   it('should handle errors during table creation', async () => {
@@ -273,6 +298,39 @@ describe('ErrsoleSQLite - ensureLogsTTL', () => {
   });
 });
 
+describe('ErrsoleSQLite - ensureNotificationsTTL', () => {
+  let errsoleSQLite;
+
+  beforeEach(async () => {
+    errsoleSQLite = new ErrsoleSQLite(':memory:');
+    await new Promise(resolve => errsoleSQLite.once('ready', resolve));
+  });
+
+  afterEach(async () => {
+    jest.clearAllMocks();
+    await errsoleSQLite.close();
+  });
+
+  it('should seed a notificationsTTL that is independent of logsTTL', async () => {
+    expect((await errsoleSQLite.getConfig('notificationsTTL')).item.value).toBe((7 * 24 * 60 * 60 * 1000).toString());
+
+    await errsoleSQLite.setConfig('logsTTL', '3600000');
+    await errsoleSQLite.ensureNotificationsTTL();
+
+    expect((await errsoleSQLite.getConfig('notificationsTTL')).item.value).toBe((7 * 24 * 60 * 60 * 1000).toString());
+  });
+
+  it('should reject invalid TTL values in setConfig', async () => {
+    for (const key of ['logsTTL', 'notificationsTTL', 'auditLogsTTL']) {
+      for (const value of ['', 'abc', '-1', '0', '1.5', '1e6', '99999999999999999999']) {
+        await expect(errsoleSQLite.setConfig(key, value)).rejects.toMatchObject({ name: 'ValidationError', code: 'INVALID_TTL', operation: 'setConfig' });
+      }
+    }
+    await expect(errsoleSQLite.setConfig('notificationsTTL', '86400000')).resolves.toEqual({ item: expect.objectContaining({ key: 'notificationsTTL', value: '86400000' }) });
+    await expect(errsoleSQLite.setConfig('otherKey', 'abc')).resolves.toEqual({ item: expect.objectContaining({ key: 'otherKey', value: 'abc' }) });
+  });
+});
+
 describe('ErrsoleSQLite - getConfig', () => {
   let errsoleSQLite;
 
@@ -347,7 +405,7 @@ describe('ErrsoleSQLite - setConfig', () => {
     });
 
     // Spy on the getConfig method
-    jest.spyOn(errsoleSQLite, 'getConfig').mockResolvedValue({ item: { key: 'logsTTL', value: 'updatedValue' } });
+    jest.spyOn(errsoleSQLite, 'getConfig').mockResolvedValue({ item: { key: 'logsTTL', value: '172800000' } });
   });
 
   afterEach(() => {
@@ -355,12 +413,12 @@ describe('ErrsoleSQLite - setConfig', () => {
   });
 
   it('should insert a new config item if the key does not exist', async () => {
-    await errsoleSQLite.setConfig('logsTTL', 'newValue');
+    await errsoleSQLite.setConfig('logsTTL', '86400000');
 
     // Check that db.run was called with the correct query and parameters
     expect(errsoleSQLite.db.run).toHaveBeenCalledWith(
       'INSERT INTO errsole_config (`key`, `value`) VALUES (?, ?) ON CONFLICT(`key`) DO UPDATE SET `value` = excluded.value',
-      ['logsTTL', 'newValue'],
+      ['logsTTL', '86400000'],
       expect.any(Function)
     );
 
@@ -368,17 +426,17 @@ describe('ErrsoleSQLite - setConfig', () => {
     expect(errsoleSQLite.getConfig).toHaveBeenCalledWith('logsTTL');
 
     // Check that the final resolved value is correct
-    const result = await errsoleSQLite.setConfig('logsTTL', 'newValue');
-    expect(result).toEqual({ item: { key: 'logsTTL', value: 'updatedValue' } });
+    const result = await errsoleSQLite.setConfig('logsTTL', '86400000');
+    expect(result).toEqual({ item: { key: 'logsTTL', value: '172800000' } });
   });
 
   it('should update an existing config item if the key already exists', async () => {
-    await errsoleSQLite.setConfig('logsTTL', 'updatedValue');
+    await errsoleSQLite.setConfig('logsTTL', '172800000');
 
     // Ensure the query to insert or update runs
     expect(errsoleSQLite.db.run).toHaveBeenCalledWith(
       'INSERT INTO errsole_config (`key`, `value`) VALUES (?, ?) ON CONFLICT(`key`) DO UPDATE SET `value` = excluded.value',
-      ['logsTTL', 'updatedValue'],
+      ['logsTTL', '172800000'],
       expect.any(Function)
     );
 
@@ -394,24 +452,24 @@ describe('ErrsoleSQLite - setConfig', () => {
       callback(mockError); // Simulate a database error
     });
 
-    await expect(errsoleSQLite.setConfig('logsTTL', 'newValue')).rejects.toThrow('Database error');
+    await expect(errsoleSQLite.setConfig('logsTTL', '86400000')).rejects.toThrow('Database error');
 
-    // Ensure getConfig is not called due to the error
-    expect(errsoleSQLite.getConfig).not.toHaveBeenCalled();
+    // Ensure getConfig is only called for the old value, not for the updated config
+    expect(errsoleSQLite.getConfig).toHaveBeenCalledTimes(1);
   });
 
   it('should handle errors during getConfig after successful insertion or update', async () => {
     const mockError = new Error('Config retrieval error');
 
-    // Mock getConfig to return an error
-    errsoleSQLite.getConfig.mockRejectedValueOnce(mockError);
+    // Mock getConfig to return the old value first, then an error
+    errsoleSQLite.getConfig.mockResolvedValueOnce({ item: undefined }).mockRejectedValueOnce(mockError);
 
-    await expect(errsoleSQLite.setConfig('logsTTL', 'newValue')).rejects.toThrow('Config retrieval error');
+    await expect(errsoleSQLite.setConfig('logsTTL', '86400000')).rejects.toThrow('Config retrieval error');
 
     // Ensure db.run was called, but getConfig failed
     expect(errsoleSQLite.db.run).toHaveBeenCalledWith(
       'INSERT INTO errsole_config (`key`, `value`) VALUES (?, ?) ON CONFLICT(`key`) DO UPDATE SET `value` = excluded.value',
-      ['logsTTL', 'newValue'],
+      ['logsTTL', '86400000'],
       expect.any(Function)
     );
   });
@@ -427,6 +485,9 @@ describe('ErrsoleSQLite - deleteConfig', () => {
 
     // Mock the db.run method
     dbRunSpy = jest.spyOn(errsoleSQLite.db, 'run');
+
+    // Mock getConfig, which provides the old value for the audit log
+    jest.spyOn(errsoleSQLite, 'getConfig').mockResolvedValue({ item: { key: 'logsTTL', value: '1000' } });
   });
 
   afterEach(() => {
@@ -1048,6 +1109,9 @@ describe('ErrsoleSQLite - createUser', () => {
 
     // Mock bcrypt.hash function
     jest.spyOn(bcrypt, 'hash').mockResolvedValue('hashedPassword');
+
+    // The roles table does not exist in these tests, so the roles are mocked
+    jest.spyOn(errsoleSQLite, 'getRoles').mockResolvedValue({ items: ['admin', 'responder', 'user', 'viewer'].map(name => ({ name, permissions: [] })) });
   });
 
   afterEach(() => {
@@ -1083,6 +1147,29 @@ describe('ErrsoleSQLite - createUser', () => {
     });
   });
 
+  it('should create a user without a name', async () => {
+    const user = { email: 'john.doe@example.com', password: 'password123', role: 'viewer' };
+    errsoleSQLite.db.run.mockImplementationOnce(function (query, params, callback) {
+      callback.call({ lastID: 1 }, null);
+    });
+
+    const result = await errsoleSQLite.createUser(user);
+
+    expect(result.item).toEqual({ id: 1, name: undefined, email: user.email, role: user.role });
+  });
+
+  it('should reject an invalid name, email or role before hashing the password', async () => {
+    const user = { name: 'John Doe', email: 'john.doe@example.com', password: 'password123', role: 'admin' };
+
+    await expect(errsoleSQLite.createUser({ ...user, role: 'root' })).rejects.toThrow('Role must be one of: admin, responder, user, viewer.');
+    await expect(errsoleSQLite.createUser({ ...user, role: undefined })).rejects.toThrow('Role must be one of: admin, responder, user, viewer.');
+    await expect(errsoleSQLite.createUser({ ...user, name: ' ' })).rejects.toThrow('Name must be a non-empty string of at most 100 characters.');
+    await expect(errsoleSQLite.createUser({ ...user, email: 'not-an-email' })).rejects.toThrow('Email must be a valid email address.');
+
+    expect(bcrypt.hash).not.toHaveBeenCalled();
+    expect(errsoleSQLite.db.run).not.toHaveBeenCalled();
+  });
+
   it('should return an error if the email already exists (SQLITE_CONSTRAINT)', async () => {
     const user = { name: 'Jane Doe', email: 'jane.doe@example.com', password: 'password123', role: 'user' };
 
@@ -1107,7 +1194,7 @@ describe('ErrsoleSQLite - createUser', () => {
   });
 
   it('should handle unexpected database errors', async () => {
-    const user = { name: 'Jake Doe', email: 'jake.doe@example.com', password: 'password123', role: 'guest' };
+    const user = { name: 'Jake Doe', email: 'jake.doe@example.com', password: 'password123', role: 'responder' };
 
     // Mock db.run to simulate an unexpected error
     const unexpectedError = new Error('Database error');
@@ -1143,6 +1230,12 @@ describe('ErrsoleSQLite - verifyUser', () => {
 
     // Mock bcrypt.compare function
     jest.spyOn(bcrypt, 'compare').mockResolvedValue(false);
+
+    // Mock the failed-login bookkeeping
+    jest.spyOn(errsoleSQLite, 'assertNotLockedOut').mockResolvedValue();
+    jest.spyOn(errsoleSQLite, 'recordFailedLogin').mockResolvedValue();
+    jest.spyOn(errsoleSQLite, 'deleteLoginAttempts').mockResolvedValue();
+    jest.spyOn(errsoleSQLite, 'isTotpEnabled').mockResolvedValue(false);
   });
 
   afterEach(() => {
@@ -1159,10 +1252,17 @@ describe('ErrsoleSQLite - verifyUser', () => {
     errsoleSQLite.db.get.mockImplementation((query, params, callback) => {
       callback(null, null); // Simulate no user found
     });
+    jest.spyOn(bcrypt, 'hash').mockResolvedValue('dummyHash');
 
-    await expect(errsoleSQLite.verifyUser('test@example.com', 'password123')).rejects.toThrow('User not found.');
+    await expect(errsoleSQLite.verifyUser('test@example.com', 'password123')).rejects.toThrow('Invalid email or password.');
+    await expect(errsoleSQLite.verifyUser('test@example.com', 'password123')).rejects.toThrow('Invalid email or password.');
 
     expect(errsoleSQLite.db.get).toHaveBeenCalledWith('SELECT * FROM errsole_users WHERE email = ?', ['test@example.com'], expect.any(Function));
+    // The password is compared against a dummy hash with the cost of real ones, which is created only once
+    expect(bcrypt.hash).toHaveBeenCalledTimes(1);
+    expect(bcrypt.hash).toHaveBeenCalledWith(expect.any(String), 10);
+    expect(bcrypt.compare).toHaveBeenCalledWith('password123', 'dummyHash');
+    expect(errsoleSQLite.recordFailedLogin).toHaveBeenCalledWith({ user: { key: 'user:test@example.com', maxFailedLogins: 5 } });
   });
 
   it('should return an error if the password is incorrect', async () => {
@@ -1175,9 +1275,13 @@ describe('ErrsoleSQLite - verifyUser', () => {
     // Mock bcrypt.compare to return false (incorrect password)
     bcrypt.compare.mockResolvedValueOnce(false);
 
-    await expect(errsoleSQLite.verifyUser('test@example.com', 'wrongpassword')).rejects.toThrow('Incorrect password.');
+    await expect(errsoleSQLite.verifyUser('test@example.com', 'wrongpassword', { source: '10.0.0.1' })).rejects.toThrow('Invalid email or password.');
 
     expect(bcrypt.compare).toHaveBeenCalledWith('wrongpassword', 'hashedPassword');
+    expect(errsoleSQLite.recordFailedLogin).toHaveBeenCalledWith({
+      user: { key: 'user:test@example.com', maxFailedLogins: 5 },
+      source: { key: 'source:10.0.0.1', maxFailedLogins: 20 }
+    });
   });
 
   it('should verify the user successfully with correct password', async () => {
@@ -1202,6 +1306,8 @@ describe('ErrsoleSQLite - verifyUser', () => {
     });
 
     expect(errsoleSQLite.db.get).toHaveBeenCalledWith('SELECT * FROM errsole_users WHERE email = ?', ['john.doe@example.com'], expect.any(Function));
+    expect(errsoleSQLite.recordFailedLogin).not.toHaveBeenCalled();
+    expect(errsoleSQLite.deleteLoginAttempts).toHaveBeenCalledWith(['user:john.doe@example.com']);
   });
 
   it('should handle database errors gracefully', async () => {
@@ -1373,13 +1479,16 @@ describe('ErrsoleSQLite - updateUserByEmail', () => {
 
     // Spy on the db.run function to mock database updates
     jest.spyOn(errsoleSQLite.db, 'run').mockImplementation((query, values, callback) => {
-      callback(null); // Simulate a successful update
+      callback.call({ changes: 1 }, null); // Simulate a successful update
     });
 
     // Mock getUserByEmail to return an updated user
     jest.spyOn(errsoleSQLite, 'getUserByEmail').mockResolvedValue({
       item: { id: 1, name: 'John Doe', email: 'john@example.com', role: 'admin' }
     });
+
+    // The roles table does not exist in these tests, so the roles are mocked
+    jest.spyOn(errsoleSQLite, 'getRoles').mockResolvedValue({ items: ['admin', 'responder', 'user', 'viewer'].map(name => ({ name, permissions: [] })) });
   });
 
   afterEach(() => {
@@ -1392,7 +1501,7 @@ describe('ErrsoleSQLite - updateUserByEmail', () => {
     const result = await errsoleSQLite.updateUserByEmail('john@example.com', updates);
 
     expect(errsoleSQLite.db.run).toHaveBeenCalledWith(
-      'UPDATE errsole_users SET name = ?, role = ? WHERE email = ?',
+      'UPDATE errsole_users SET name = ?, role = ? WHERE email = ? AND NOT (role = \'admin\' AND (SELECT COUNT(*) FROM errsole_users WHERE role = \'admin\') = 1)',
       ['John Updated', 'user', 'john@example.com'],
       expect.any(Function)
     );
@@ -1440,6 +1549,52 @@ describe('ErrsoleSQLite - updateUserByEmail', () => {
       expect.any(Function)
     );
   });
+
+  it('should reject unknown fields without running a query', async () => {
+    const updates = { name: 'John Updated', 'role = \'admin\' WHERE 1 = 1; --': 'x', nickname: 'JD' };
+
+    await expect(errsoleSQLite.updateUserByEmail('john@example.com', updates)).rejects.toThrow(
+      'Unknown user field(s): role = \'admin\' WHERE 1 = 1; --, nickname. Updatable fields are: name, email, role.'
+    );
+    expect(errsoleSQLite.db.run).not.toHaveBeenCalled();
+  });
+
+  it('should throw an error if only restricted fields are provided', async () => {
+    await expect(errsoleSQLite.updateUserByEmail('john@example.com', { id: 2, hashed_password: 'x' })).rejects.toThrow('No updates provided.');
+    expect(errsoleSQLite.db.run).not.toHaveBeenCalled();
+  });
+
+  it('should validate the name, email and role', async () => {
+    await expect(errsoleSQLite.updateUserByEmail('john@example.com', { name: ' ' })).rejects.toThrow('Name must be a non-empty string of at most 100 characters.');
+    await expect(errsoleSQLite.updateUserByEmail('john@example.com', { name: 'a'.repeat(101) })).rejects.toThrow('Name must be a non-empty string of at most 100 characters.');
+    await expect(errsoleSQLite.updateUserByEmail('john@example.com', { email: 'john' })).rejects.toThrow('Email must be a valid email address.');
+    await expect(errsoleSQLite.updateUserByEmail('john@example.com', { role: 'superuser' })).rejects.toThrow('Role must be one of: admin, responder, user, viewer.');
+    expect(errsoleSQLite.db.run).not.toHaveBeenCalled();
+  });
+
+  it('should change the email and return the user by the new email', async () => {
+    await errsoleSQLite.updateUserByEmail('john@example.com', { email: 'john.doe@example.com' });
+
+    expect(errsoleSQLite.db.run).toHaveBeenCalledWith(
+      'UPDATE errsole_users SET email = ? WHERE email = ?',
+      ['john.doe@example.com', 'john@example.com'],
+      expect.any(Function)
+    );
+    expect(errsoleSQLite.getUserByEmail).toHaveBeenCalledWith('john.doe@example.com');
+  });
+
+  it('should throw an error if the new email is already in use', async () => {
+    const constraintError = new Error('SQLITE_CONSTRAINT: UNIQUE constraint failed: errsole_users.email');
+    constraintError.code = 'SQLITE_CONSTRAINT';
+    errsoleSQLite.db.run.mockImplementationOnce((query, values, callback) => {
+      callback(constraintError);
+    });
+
+    await expect(errsoleSQLite.updateUserByEmail('john@example.com', { email: 'jane@example.com' })).rejects.toThrow('A user with the provided email already exists.');
+    // Only the lookup of the user before the update
+    expect(errsoleSQLite.getUserByEmail).toHaveBeenCalledTimes(1);
+    expect(errsoleSQLite.getUserByEmail).toHaveBeenCalledWith('john@example.com');
+  });
 });
 
 describe('ErrsoleSQLite - updatePassword', () => {
@@ -1543,6 +1698,9 @@ describe('ErrsoleSQLite - deleteUser', () => {
       // Use an old-school function and mock the 'changes' property
       callback.call({ changes: 1 }, null); // Simulate that one user was deleted
     });
+    jest.spyOn(errsoleSQLite.db, 'get').mockImplementation((query, values, callback) => {
+      callback(null, undefined); // Simulate that the user does not exist
+    });
   });
 
   afterEach(() => {
@@ -1559,7 +1717,7 @@ describe('ErrsoleSQLite - deleteUser', () => {
     const result = await errsoleSQLite.deleteUser(1);
 
     expect(errsoleSQLite.db.run).toHaveBeenCalledWith(
-      'DELETE FROM errsole_users WHERE id = ?',
+      'DELETE FROM errsole_users WHERE id = ? AND NOT (role = \'admin\' AND (SELECT COUNT(*) FROM errsole_users WHERE role = \'admin\') = 1)',
       [1],
       expect.any(Function)
     );
@@ -1582,7 +1740,7 @@ describe('ErrsoleSQLite - deleteUser', () => {
     await expect(errsoleSQLite.deleteUser(999)).rejects.toThrow('User not found.');
 
     expect(errsoleSQLite.db.run).toHaveBeenCalledWith(
-      'DELETE FROM errsole_users WHERE id = ?',
+      'DELETE FROM errsole_users WHERE id = ? AND NOT (role = \'admin\' AND (SELECT COUNT(*) FROM errsole_users WHERE role = \'admin\') = 1)',
       [999],
       expect.any(Function)
     );
@@ -1599,7 +1757,7 @@ describe('ErrsoleSQLite - deleteUser', () => {
     await expect(errsoleSQLite.deleteUser(1)).rejects.toThrow('Database error');
 
     expect(errsoleSQLite.db.run).toHaveBeenCalledWith(
-      'DELETE FROM errsole_users WHERE id = ?',
+      'DELETE FROM errsole_users WHERE id = ? AND NOT (role = \'admin\' AND (SELECT COUNT(*) FROM errsole_users WHERE role = \'admin\') = 1)',
       [1],
       expect.any(Function)
     );
@@ -1730,13 +1888,16 @@ describe('ErrsoleSQLite - flushLogs', () => {
       if (callback) callback(new Error('Database error'));
     });
     errsoleSQLite.db.run = mockDbRun;
+    const onError = jest.fn();
+    errsoleSQLite.on('error', onError);
 
     errsoleSQLite.pendingLogs = [
       { timestamp: new Date(), hostname: 'localhost', pid: 1234, source: 'test', level: 'info', message: 'Log 1', meta: {}, errsole_id: 1 }
     ];
 
-    await expect(errsoleSQLite.flushLogs()).rejects.toThrow('Database error');
-    expect(mockDbRun).toHaveBeenCalledTimes(1);
+    await expect(errsoleSQLite.flushLogs()).resolves.toEqual({});
+    expect(mockDbRun).toHaveBeenCalledTimes(2); // The insert and the dead-letter insert
+    expect(onError).toHaveBeenCalledWith(expect.objectContaining({ message: 'Failed to write 1 log(s): Database error' }));
   });
 
   it('should wait until connection is available before flushing logs', async () => {
@@ -1880,7 +2041,7 @@ describe('ErrsoleSQLite - insertNotificationItem', () => {
     expect(errsoleSQLite.db.run).toHaveBeenCalledWith('ROLLBACK;', expect.any(Function));
   });
 
-  it('should roll back if an error occurs during transaction', async () => {
+  it('should not roll back if the transaction cannot be started', async () => {
     // Simulate an error on BEGIN TRANSACTION
     errsoleSQLite.db.run.mockImplementationOnce((query, callback) => callback(new Error('Transaction error')));
 
@@ -1892,8 +2053,8 @@ describe('ErrsoleSQLite - insertNotificationItem', () => {
 
     await expect(errsoleSQLite.insertNotificationItem(notification)).rejects.toThrow('Transaction error');
 
-    // Verify that rollback is called
-    expect(errsoleSQLite.db.run).toHaveBeenCalledWith('ROLLBACK;', expect.any(Function));
+    // Another write's transaction may be open, so only our own transaction is rolled back
+    expect(errsoleSQLite.db.run).not.toHaveBeenCalledWith('ROLLBACK;', expect.any(Function));
   });
 
   it('should throw error if unable to fetch todayNotificationCount', async () => {
@@ -1922,8 +2083,8 @@ describe('ErrsoleSQLite - deleteExpiredLogs', () => {
     errsoleSQLite = new ErrsoleSQLite(':memory:');
     jest.useFakeTimers();
 
-    // Mock the getConfig method to return the default TTL
-    jest.spyOn(errsoleSQLite, 'getConfig').mockResolvedValue({ item: { value: '2592000000' } }); // 30 days in milliseconds
+    // Mock the getConfig method to return the default TTL and no retention policy
+    jest.spyOn(errsoleSQLite, 'getConfig').mockImplementation(async key => ({ item: key === 'logsTTL' ? { value: '2592000000' } : undefined })); // 30 days in milliseconds
 
     // Spy on db.all and db.run for SELECT and DELETE queries
     jest.spyOn(errsoleSQLite.db, 'all').mockImplementation((query, params, callback) => {
@@ -2018,7 +2179,7 @@ describe('ErrsoleSQLite - deleteExpiredNotificationItems', () => {
     await flushPromise;
 
     // Assertions
-    expect(errsoleSQLite.getConfig).toHaveBeenCalledWith('logsTTL');
+    expect(errsoleSQLite.getConfig).toHaveBeenCalledWith('notificationsTTL');
     expect(errsoleSQLite.db.all).toHaveBeenCalledTimes(1);
     expect(errsoleSQLite.db.run).not.toHaveBeenCalled();
     expect(errsoleSQLite.deleteExpiredNotificationItemsRunning).toBe(false);
@@ -2054,7 +2215,7 @@ describe('ErrsoleSQLite - deleteExpiredNotificationItems', () => {
     await flushPromise;
 
     // Assertions
-    expect(errsoleSQLite.getConfig).toHaveBeenCalledWith('logsTTL');
+    expect(errsoleSQLite.getConfig).toHaveBeenCalledWith('notificationsTTL');
     expect(errsoleSQLite.db.all).not.toHaveBeenCalled();
     expect(errsoleSQLite.db.run).not.toHaveBeenCalled();
     expect(errsoleSQLite.deleteExpiredNotificationItemsRunning).toBe(false);
@@ -2077,7 +2238,7 @@ describe('ErrsoleSQLite - deleteExpiredNotificationItems', () => {
     await flushPromise;
 
     // Assertions
-    expect(errsoleSQLite.getConfig).toHaveBeenCalledWith('logsTTL');
+    expect(errsoleSQLite.getConfig).toHaveBeenCalledWith('notificationsTTL');
     expect(errsoleSQLite.db.all).toHaveBeenCalledTimes(1);
     expect(errsoleSQLite.db.run).not.toHaveBeenCalled();
     expect(errsoleSQLite.deleteExpiredNotificationItemsRunning).toBe(false);
@@ -2100,7 +2261,7 @@ describe('ErrsoleSQLite - deleteExpiredNotificationItems', () => {
     await flushPromise;
 
     // Assertions
-    expect(errsoleSQLite.getConfig).toHaveBeenCalledWith('logsTTL');
+    expect(errsoleSQLite.getConfig).toHaveBeenCalledWith('notificationsTTL');
     expect(errsoleSQLite.db.all).toHaveBeenCalledTimes(1);
     expect(errsoleSQLite.db.run).toHaveBeenCalledWith(
       'DELETE FROM errsole_notifications_v2 WHERE id IN (?, ?, ?)',
@@ -2135,6 +2296,433 @@ describe('ErrsoleSQLite - deleteExpiredNotificationItems', () => {
   });
 });
 
+describe('ErrsoleSQLite - retention policy', () => {
+  let errsoleSQLite;
+
+  const hour = 60 * 60 * 1000;
+  const day = 24 * hour;
+  const now = Date.UTC(2024, 6, 1);
+  const logs = [
+    { age: 2 * hour, source: 'console', level: 'debug' },
+    { age: 2 * day, source: 'console', level: 'debug' },
+    { age: 2 * day, source: 'console', level: 'info' },
+    { age: 2 * day, source: 'errsole', level: 'info' },
+    { age: 10 * day, source: 'console', level: 'warn' },
+    { age: 60 * day, source: 'console', level: 'error' },
+    { age: 100 * day, source: 'console', level: 'error' }
+  ];
+  const policy = {
+    default: 7 * day,
+    rules: [
+      { source: 'console', level: 'debug', ttl: day },
+      { source: 'console', level: 'info', ttl: day },
+      { level: 'error', ttl: 90 * day }
+    ]
+  };
+
+  const getRemainingLogs = () => new Promise((resolve, reject) => {
+    errsoleSQLite.db.all(`SELECT source, level, timestamp FROM ${errsoleSQLite.logsTable} ORDER BY id`, [], (err, rows) => (err ? reject(err) : resolve(rows)));
+  });
+
+  beforeEach(async () => {
+    errsoleSQLite = new ErrsoleSQLite(':memory:');
+    await new Promise(resolve => errsoleSQLite.once('ready', resolve));
+    jest.spyOn(errsoleSQLite, 'sleep').mockResolvedValue();
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    await insertLogRows(errsoleSQLite, logs.map(log => ({ timestamp: now - log.age, source: log.source, level: log.level })));
+  });
+
+  afterEach(async () => {
+    Date.now.mockRestore();
+    await errsoleSQLite.close();
+  });
+
+  it('should fall back to the logsTTL config without a retention policy', async () => {
+    expect(await errsoleSQLite.getRetentionPolicy()).toEqual({ item: { default: 7 * day, rules: [] } });
+
+    await errsoleSQLite.setConfig('logsTTL', String(30 * day));
+    await errsoleSQLite.setConfig('retentionPolicy', JSON.stringify({ rules: [{ level: 'debug', ttl: hour }] }));
+
+    expect(await errsoleSQLite.getRetentionPolicy()).toEqual({ item: { default: 30 * day, rules: [{ level: 'debug', ttl: hour }] } });
+  });
+
+  it('should delete logs with the default TTL when the policy has no rules', async () => {
+    await errsoleSQLite.setConfig('logsTTL', String(5 * day));
+
+    await errsoleSQLite.deleteExpiredLogs();
+
+    expect((await getRemainingLogs()).map(log => log.level)).toEqual(['debug', 'debug', 'info', 'info']);
+  });
+
+  it('should delete logs with the TTL of the first matching rule', async () => {
+    await errsoleSQLite.setConfig('retentionPolicy', JSON.stringify(policy));
+    const runSpy = jest.spyOn(errsoleSQLite.db, 'run');
+
+    await errsoleSQLite.deleteExpiredLogs();
+
+    expect(await getRemainingLogs()).toEqual([
+      { source: 'console', level: 'debug', timestamp: now - 2 * hour },
+      { source: 'errsole', level: 'info', timestamp: now - 2 * day },
+      { source: 'console', level: 'error', timestamp: now - 60 * day }
+    ]);
+    expect(runSpy).toHaveBeenCalledWith(expect.stringContaining('source IS ? AND level IS ? AND timestamp < ?'), ['console', 'error', now - 90 * day, 1000], expect.any(Function));
+  });
+
+  it('should apply the retention policy to logs written through postLogs and flushLogs', async () => {
+    await errsoleSQLite.setConfig('retentionPolicy', JSON.stringify(policy));
+    errsoleSQLite.postLogs([
+      { timestamp: new Date(now - 2 * day), hostname: 'localhost', pid: 1234, source: 'console', level: 'debug', message: 'Posted debug', meta: '{}' },
+      { timestamp: new Date(now - hour), hostname: 'localhost', pid: 1234, source: 'console', level: 'debug', message: 'Posted recent debug', meta: '{}' }
+    ]);
+    await errsoleSQLite.flushLogs();
+
+    await errsoleSQLite.deleteExpiredLogs();
+
+    const remainingLogs = await getRemainingLogs();
+    expect(remainingLogs).toContainEqual({ source: 'console', level: 'debug', timestamp: now - hour });
+    expect(remainingLogs).not.toContainEqual({ source: 'console', level: 'debug', timestamp: now - 2 * day });
+  });
+
+  it('should validate retention policies', () => {
+    expect(errsoleSQLite.validateRetentionPolicy(JSON.stringify(policy))).toEqual(policy);
+    expect(errsoleSQLite.validateRetentionPolicy({ rules: [{ source: 'console', ttl: day }] })).toEqual({ default: undefined, rules: [{ source: 'console', ttl: day }] });
+
+    const invalidPolicies = [
+      'not json',
+      [],
+      { default: -1 },
+      { rules: {} },
+      { rules: [{ ttl: day }] },
+      { rules: [{ level: 'debug', ttl: '1d' }] },
+      { rules: [{ level: 'debug', ttl: day, hostname: 'web-1' }] },
+      { default: day, levels: {} }
+    ];
+    for (const invalidPolicy of invalidPolicies) {
+      expect(() => errsoleSQLite.validateRetentionPolicy(invalidPolicy)).toThrow(expect.objectContaining({ name: 'ValidationError', code: 'INVALID_RETENTION_POLICY' }));
+    }
+  });
+
+  it('should reject an invalid retention policy in setConfig', async () => {
+    await expect(errsoleSQLite.setConfig('retentionPolicy', JSON.stringify({ default: 0 }))).rejects.toMatchObject({
+      code: 'INVALID_RETENTION_POLICY',
+      operation: 'setConfig'
+    });
+    expect((await errsoleSQLite.getConfig('retentionPolicy')).item).toBeUndefined();
+  });
+});
+
+describe('ErrsoleSQLite - runRetention', () => {
+  let errsoleSQLite;
+
+  const day = 24 * 60 * 60 * 1000;
+  const now = Date.UTC(2024, 6, 10, 12);
+
+  const createInstance = async options => {
+    errsoleSQLite = new ErrsoleSQLite(':memory:', options);
+    await new Promise(resolve => errsoleSQLite.once('ready', resolve));
+    jest.spyOn(errsoleSQLite, 'sleep').mockResolvedValue();
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    const ages = [10 * day, 9 * day, 8 * day, day, 0];
+    await insertLogRows(errsoleSQLite, ages.map(age => ({ timestamp: now - age, hostname: 'web-1' })));
+    await new Promise((resolve, reject) => {
+      errsoleSQLite.db.run(
+        `INSERT INTO ${errsoleSQLite.notificationsTable} (errsole_id, hostname, hashed_message, created_at) VALUES (1, 'web-1', 'a', '2024-07-01 00:00:00'), (2, 'web-1', 'b', '2024-07-10 00:00:00')`,
+        err => (err ? reject(err) : resolve())
+      );
+    });
+  };
+
+  const countRows = table => new Promise((resolve, reject) => {
+    errsoleSQLite.db.get(`SELECT COUNT(*) AS count FROM ${table}`, (err, row) => (err ? reject(err) : resolve(row.count)));
+  });
+
+  afterEach(async () => {
+    if (!errsoleSQLite) return;
+    Date.now.mockRestore();
+    await errsoleSQLite.close();
+    errsoleSQLite = null;
+  });
+
+  it('should reject invalid retention options', () => {
+    const invalidOptions = [{ retentionSchedule: 'every hour' }, { retentionSchedule: 60 }, { retentionBatchSize: 0 }, { retentionBatchDelay: -1 }];
+    for (const options of invalidOptions) {
+      expect(() => new ErrsoleSQLite(':memory:', options)).toThrow(expect.objectContaining({ code: 'INVALID_OPTION' }));
+    }
+  });
+
+  it('should schedule the retention with the retentionSchedule option', async () => {
+    // Earlier tests switch between fake and real timers, which can leave setInterval undefined; initialize needs it before scheduling.
+    jest.useFakeTimers();
+    await createInstance({ retentionSchedule: '*/15 * * * *' });
+
+    expect(cron.schedule).toHaveBeenCalledWith('*/15 * * * *', expect.any(Function));
+  });
+
+  it('should count the expired logs and notifications in a dry run', async () => {
+    await createInstance();
+
+    await expect(errsoleSQLite.runRetention({ dryRun: true })).resolves.toEqual({ logs: 3, notifications: 1, dryRun: true });
+
+    expect(await countRows(errsoleSQLite.logsTable)).toBe(5);
+    expect(await countRows(errsoleSQLite.notificationsTable)).toBe(2);
+  });
+
+  it('should delete the expired logs and notifications in batches and emit progress', async () => {
+    await createInstance({ retentionBatchSize: 2, retentionBatchDelay: 500 });
+    const onProgress = jest.fn();
+    errsoleSQLite.on('retentionProgress', onProgress);
+
+    await expect(errsoleSQLite.runRetention()).resolves.toEqual({ logs: 3, notifications: 1, dryRun: false });
+
+    expect(await countRows(errsoleSQLite.logsTable)).toBe(2);
+    expect(await countRows(errsoleSQLite.notificationsTable)).toBe(1);
+    expect(onProgress.mock.calls.map(call => call[0])).toEqual([
+      { table: 'logs', deleted_count: 2 },
+      { table: 'logs', deleted_count: 3 },
+      { table: 'notifications', deleted_count: 1 }
+    ]);
+    expect(errsoleSQLite.sleep).toHaveBeenCalledTimes(3);
+    expect(errsoleSQLite.sleep).toHaveBeenCalledWith(500);
+    expect(errsoleSQLite.deleteExpiredLogsRunning).toBe(false);
+  });
+
+  it('should not pause between batches without a delay', async () => {
+    await createInstance({ retentionBatchSize: 1, retentionBatchDelay: 0 });
+
+    await errsoleSQLite.runRetention();
+
+    expect(errsoleSQLite.sleep).not.toHaveBeenCalled();
+  });
+
+  it('should reject while the retention is running', async () => {
+    await createInstance();
+    errsoleSQLite.deleteExpiredLogsRunning = true;
+
+    await expect(errsoleSQLite.runRetention()).rejects.toMatchObject({ name: 'ConflictError', code: 'RETENTION_RUNNING' });
+    await expect(errsoleSQLite.runRetention({ dryRun: true })).resolves.toEqual({ logs: 3, notifications: 1, dryRun: true });
+    errsoleSQLite.deleteExpiredLogsRunning = false;
+  });
+
+  it('should require the logs:delete permission and audit the runs that delete', async () => {
+    await createInstance();
+    const { item: admin } = await errsoleSQLite.createUser({ name: 'Admin', email: 'admin@example.com', password: 'password123', role: 'admin' });
+    const { item: viewer } = await errsoleSQLite.createUser({ name: 'Viewer', email: 'viewer@example.com', password: 'password123', role: 'viewer' });
+
+    await expect(errsoleSQLite.runRetention({}, { actorId: viewer.id })).rejects.toMatchObject({ code: 'PERMISSION_DENIED' });
+    await expect(errsoleSQLite.runRetention({ dryRun: true }, { actorId: viewer.id })).rejects.toMatchObject({ code: 'PERMISSION_DENIED' });
+    expect(await countRows(errsoleSQLite.logsTable)).toBe(5);
+
+    await errsoleSQLite.runRetention({ dryRun: true }, { actorId: admin.id });
+    await errsoleSQLite.runRetention({}, { actorId: admin.id });
+
+    const { items } = await errsoleSQLite.getAuditLogs({ action: 'logs.retention_run' });
+    expect(items).toEqual([
+      { id: expect.any(Number), actor_id: admin.id, action: 'logs.retention_run', target: null, old_value: null, new_value: { logs: 3, notifications: 1 }, created_at: new Date(now) }
+    ]);
+  });
+});
+
+describe('ErrsoleSQLite - archives', () => {
+  const fs = require('fs');
+  const os = require('os');
+  const path = require('path');
+  const zlib = require('zlib');
+  let errsoleSQLite;
+  let archiveDirectory;
+
+  const day = 24 * 60 * 60 * 1000;
+  const now = Date.UTC(2024, 6, 10, 12);
+  const logs = [
+    { timestamp: Date.UTC(2024, 6, 1, 8), level: 'error', message: 'Old error' },
+    { timestamp: Date.UTC(2024, 6, 1, 9), level: 'info', message: 'Old info' },
+    { timestamp: Date.UTC(2024, 6, 2, 8), level: 'error', message: 'Older than the TTL' },
+    { timestamp: Date.UTC(2024, 6, 9, 8), level: 'error', message: 'Recent error' }
+  ];
+
+  const getMessages = async () => new Promise((resolve, reject) => {
+    errsoleSQLite.db.all(`SELECT message FROM ${errsoleSQLite.logsTable} ORDER BY id`, [], (err, rows) => (err ? reject(err) : resolve(rows.map(row => row.message))));
+  });
+
+  beforeEach(async () => {
+    archiveDirectory = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'errsole-sqlite-archives-')), 'archives');
+    errsoleSQLite = new ErrsoleSQLite(':memory:', { archiveDirectory });
+    await new Promise(resolve => errsoleSQLite.once('ready', resolve));
+    jest.spyOn(errsoleSQLite, 'sleep').mockResolvedValue();
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    await errsoleSQLite.setConfig('logsTTL', String(7 * day));
+    await insertLogRows(errsoleSQLite, logs.map(log => ({ ...log, hostname: 'web-1' })));
+  });
+
+  afterEach(async () => {
+    Date.now.mockRestore();
+    await errsoleSQLite.close();
+    fs.rmSync(path.dirname(archiveDirectory), { recursive: true, force: true });
+  });
+
+  it('should archive expired logs in a gzip file per day before deleting them', async () => {
+    await errsoleSQLite.deleteExpiredLogs();
+
+    expect(await getMessages()).toEqual(['Recent error']);
+    const { items } = await errsoleSQLite.getArchives();
+    expect(items).toEqual([
+      { date: '2024-07-01', file: path.join(archiveDirectory, 'errsole_logs_v3-2024-07-01.ndjson.gz'), size: expect.any(Number) },
+      { date: '2024-07-02', file: path.join(archiveDirectory, 'errsole_logs_v3-2024-07-02.ndjson.gz'), size: expect.any(Number) }
+    ]);
+    const lines = zlib.gunzipSync(fs.readFileSync(items[0].file)).toString().trim().split('\n').map(line => JSON.parse(line));
+    expect(lines).toEqual([
+      { id: 1, hostname: 'web-1', pid: 1234, source: 'console', timestamp: '2024-07-01T08:00:00.000Z', level: 'error', message: 'Old error', meta: '{}', errsole_id: null },
+      { id: 2, hostname: 'web-1', pid: 1234, source: 'console', timestamp: '2024-07-01T09:00:00.000Z', level: 'info', message: 'Old info', meta: '{}', errsole_id: null }
+    ]);
+  });
+
+  it('should append to the archive of a day in later runs', async () => {
+    await errsoleSQLite.setConfig('retentionPolicy', JSON.stringify({ rules: [{ level: 'info', ttl: day }, { level: 'error', ttl: 30 * day }] }));
+    await errsoleSQLite.deleteExpiredLogs();
+    await errsoleSQLite.deleteConfig('retentionPolicy');
+    await errsoleSQLite.deleteExpiredLogs();
+
+    const { items } = await errsoleSQLite.queryArchive();
+    expect(items.map(item => item.message)).toEqual(['Old error', 'Old info', 'Older than the TTL']);
+    expect(items[0].timestamp).toEqual(new Date(Date.UTC(2024, 6, 1, 8)));
+  });
+
+  it('should query the archives of a time range', async () => {
+    await errsoleSQLite.deleteExpiredLogs();
+
+    const firstDay = await errsoleSQLite.queryArchive({ gte_timestamp: Date.UTC(2024, 6, 1), lte_timestamp: Date.UTC(2024, 6, 1, 23, 59) });
+    const errors = await errsoleSQLite.queryArchive({ gte_timestamp: Date.UTC(2024, 6, 1, 8, 30), levels: ['error'] });
+    const limited = await errsoleSQLite.queryArchive({ limit: 1 });
+
+    expect(firstDay.items.map(item => item.message)).toEqual(['Old error', 'Old info']);
+    expect(errors.items.map(item => item.message)).toEqual(['Older than the TTL']);
+    expect(limited.items.map(item => item.message)).toEqual(['Old error']);
+    await expect(errsoleSQLite.queryArchive({ gte_timestamp: 'yesterday' })).rejects.toMatchObject({ name: 'ValidationError', code: 'INVALID_TIME_RANGE', operation: 'queryArchive' });
+    await expect(errsoleSQLite.queryArchive({ limit: 0.5 })).rejects.toMatchObject({ name: 'ValidationError', code: 'INVALID_LIMIT', operation: 'queryArchive' });
+  });
+
+  it('should keep the logs when they cannot be archived', async () => {
+    jest.spyOn(fs.promises, 'appendFile').mockRejectedValueOnce(Object.assign(new Error('ENOSPC: no space left on device'), { code: 'ENOSPC' }));
+    const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await errsoleSQLite.deleteExpiredLogs();
+
+    expect(await getMessages()).toEqual(logs.map(log => log.message));
+    expect(consoleErrorSpy).toHaveBeenCalledWith(expect.objectContaining({ code: 'STORAGE_ERROR', operation: 'deleteExpiredLogs' }));
+    consoleErrorSpy.mockRestore();
+    fs.promises.appendFile.mockRestore();
+  });
+
+  it('should have no archives without the option', async () => {
+    const storage = new ErrsoleSQLite(':memory:');
+    await new Promise(resolve => storage.once('ready', resolve));
+
+    expect(await storage.getArchives()).toEqual({ items: [] });
+    expect(await storage.queryArchive()).toEqual({ items: [] });
+    await storage.close();
+  });
+});
+
+describe('ErrsoleSQLite - maxDatabaseSize', () => {
+  let errsoleSQLite;
+
+  const start = Date.UTC(2024, 0, 1);
+  const message = 'x'.repeat(1000);
+
+  const createInstance = async options => {
+    errsoleSQLite = new ErrsoleSQLite(':memory:', options);
+    await new Promise(resolve => errsoleSQLite.once('ready', resolve));
+  };
+
+  const insertLogs = async count => {
+    for (let offset = 0; offset < count; offset += 100) {
+      const timestamps = Array.from({ length: Math.min(100, count - offset) }, (_, index) => start + (offset + index) * 1000);
+      await insertLogRows(errsoleSQLite, timestamps.map(timestamp => ({ timestamp, message })));
+    }
+  };
+
+  afterEach(async () => {
+    if (errsoleSQLite) await errsoleSQLite.close();
+    errsoleSQLite = null;
+  });
+
+  it('should reject invalid limits', () => {
+    for (const maxDatabaseSize of [0, -1, 1.5, {}, { bytes: '1MB' }, { rows: 0 }, null]) {
+      expect(() => new ErrsoleSQLite(':memory:', { maxDatabaseSize })).toThrow(expect.objectContaining({ code: 'INVALID_OPTION' }));
+    }
+  });
+
+  it('should delete the oldest logs above the row limit and emit a retention event', async () => {
+    await createInstance({ maxDatabaseSize: { rows: 4 } });
+    await insertLogs(10);
+    const onRetention = jest.fn();
+    errsoleSQLite.on('retention', onRetention);
+
+    const result = await errsoleSQLite.enforceMaxDatabaseSize();
+
+    const { items } = await errsoleSQLite.getLogs({ limit: 100 });
+    expect(items.map(item => new Date(item.timestamp).getTime())).toEqual([6, 7, 8, 9].map(index => start + index * 1000));
+    expect(result).toEqual({
+      reason: 'maxDatabaseSize',
+      deleted_count: 6,
+      oldest_timestamp: new Date(start),
+      newest_timestamp: new Date(start + 5 * 1000),
+      size_before: { bytes: expect.any(Number), rows: 10 },
+      size_after: { bytes: expect.any(Number), rows: 4 }
+    });
+    expect(onRetention).toHaveBeenCalledWith(result);
+  });
+
+  it('should delete the oldest logs in batches until the database is below the byte limit', async () => {
+    const maxBytes = 2.5 * 1024 * 1024;
+    await createInstance({ maxDatabaseSize: maxBytes });
+    await insertLogs(3000);
+    const { item: sizeBefore } = await errsoleSQLite.getDatabaseSize();
+    expect(sizeBefore.bytes).toBeGreaterThan(maxBytes);
+
+    const result = await errsoleSQLite.enforceMaxDatabaseSize();
+
+    const { item: sizeAfter } = await errsoleSQLite.getDatabaseSize();
+    expect(sizeAfter.bytes).toBeLessThanOrEqual(maxBytes);
+    expect(sizeAfter.rows).toBeGreaterThan(0);
+    expect(result.deleted_count).toBe(3000 - sizeAfter.rows);
+    expect(result.deleted_count % 1000).toBe(0);
+    expect(result.oldest_timestamp).toEqual(new Date(start));
+  });
+
+  it('should not delete anything below the limits', async () => {
+    await createInstance({ maxDatabaseSize: { bytes: 100 * 1024 * 1024, rows: 100 } });
+    await insertLogs(10);
+    const onRetention = jest.fn();
+    errsoleSQLite.on('retention', onRetention);
+
+    await expect(errsoleSQLite.enforceMaxDatabaseSize()).resolves.toBeNull();
+
+    expect((await errsoleSQLite.getDatabaseSize()).item.rows).toBe(10);
+    expect(onRetention).not.toHaveBeenCalled();
+  });
+
+  it('should check the size after flushes at most once a minute', async () => {
+    await createInstance({ maxDatabaseSize: { rows: 100 } });
+    const enforceSpy = jest.spyOn(errsoleSQLite, 'enforceMaxDatabaseSize');
+    const log = { timestamp: new Date(), hostname: 'localhost', pid: 1234, source: 'console', level: 'info', message: 'Log message' };
+
+    errsoleSQLite.postLogs([log]);
+    await errsoleSQLite.flushLogs();
+    errsoleSQLite.postLogs([log]);
+    await errsoleSQLite.flushLogs();
+
+    expect(enforceSpy).toHaveBeenCalledTimes(1);
+  });
+
+  it('should not check the size without the option', async () => {
+    await createInstance();
+    await insertLogs(10);
+
+    await expect(errsoleSQLite.enforceMaxDatabaseSize()).resolves.toBeNull();
+    expect((await errsoleSQLite.getDatabaseSize()).item.rows).toBe(10);
+  });
+});
+
 describe('ErrsoleSQLite - deleteAllLogs', () => {
   let errsoleSQLite;
 
@@ -2146,6 +2734,7 @@ describe('ErrsoleSQLite - deleteAllLogs', () => {
     jest.spyOn(errsoleSQLite.db, 'run').mockImplementation((query, callback) => {
       callback(null); // Simulate successful execution
     });
+    jest.spyOn(errsoleSQLite, 'recordAudit').mockResolvedValue();
 
     // Mock logsTableQueries to contain sample table creation queries
     errsoleSQLite.logsTable = 'errsole_logs_v3';
@@ -2164,15 +2753,17 @@ describe('ErrsoleSQLite - deleteAllLogs', () => {
 
     console.log(errsoleSQLite.db.run.mock.calls.map(call => call[0])); // Debugging step
 
-    expect(errsoleSQLite.db.run).toHaveBeenCalledTimes(5); // Adjust the expectation to match actual calls
+    expect(errsoleSQLite.db.run).toHaveBeenCalledTimes(6); // Adjust the expectation to match actual calls
 
     // Check that the queries are called in the correct order
     expect(errsoleSQLite.db.run).toHaveBeenNthCalledWith(1, 'BEGIN TRANSACTION;', expect.any(Function));
     expect(errsoleSQLite.db.run).toHaveBeenNthCalledWith(2, `DROP TABLE IF EXISTS ${errsoleSQLite.logsTable};`, expect.any(Function));
     expect(errsoleSQLite.db.run).toHaveBeenNthCalledWith(3, expect.stringContaining('CREATE TABLE IF NOT EXISTS'), expect.any(Function));
 
-    // Check if COMMIT is the last operation
+    // Check that the hostnames are cleared and COMMIT is the last operation
+    expect(errsoleSQLite.db.run).toHaveBeenNthCalledWith(5, 'DELETE FROM errsole_hostnames;', expect.any(Function));
     expect(errsoleSQLite.db.run).toHaveBeenLastCalledWith('COMMIT;', expect.any(Function));
+    expect(errsoleSQLite.recordAudit).toHaveBeenCalledWith(undefined, 'logs.delete_all', null, null, null);
 
     // Ensure the function returns an empty object
     expect(result).toEqual({});
@@ -2220,11 +2811,2130 @@ describe('ErrsoleSQLite - deleteAllLogs', () => {
 
     const result = await errsoleSQLite.deleteAllLogs();
 
-    expect(errsoleSQLite.db.run).toHaveBeenCalledTimes(3); // Should only execute BEGIN, DROP TABLE, and COMMIT
+    expect(errsoleSQLite.db.run).toHaveBeenCalledTimes(4); // Should only execute BEGIN, DROP TABLE, DELETE hostnames, and COMMIT
     expect(errsoleSQLite.db.run).toHaveBeenNthCalledWith(1, 'BEGIN TRANSACTION;', expect.any(Function));
     expect(errsoleSQLite.db.run).toHaveBeenNthCalledWith(2, 'DROP TABLE IF EXISTS errsole_logs_v3;', expect.any(Function));
-    expect(errsoleSQLite.db.run).toHaveBeenNthCalledWith(3, 'COMMIT;', expect.any(Function));
+    expect(errsoleSQLite.db.run).toHaveBeenNthCalledWith(3, 'DELETE FROM errsole_hostnames;', expect.any(Function));
+    expect(errsoleSQLite.db.run).toHaveBeenNthCalledWith(4, 'COMMIT;', expect.any(Function));
+
+    expect(result).toEqual({});
+  });
+});
+
+describe('ErrsoleSQLite - close', () => {
+  let errsoleSQLite;
+
+  beforeEach(() => {
+    // Create an instance of ErrsoleSQLite with an in-memory SQLite database
+    errsoleSQLite = new ErrsoleSQLite(':memory:');
+    jest.useFakeTimers();
+    jest.spyOn(global, 'clearInterval');
+    errsoleSQLite.cronJob = { stop: jest.fn() };
+    errsoleSQLite.flushIntervalId = setInterval(() => {}, 1000);
+
+    jest.spyOn(errsoleSQLite, 'flushLogs').mockResolvedValue({});
+    jest.spyOn(errsoleSQLite.db, 'close').mockImplementation(callback => callback(null));
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks(); // Clear all mocks after each test
+  });
+
+  it('should stop the timers, flush pending logs, close the database and emit "close"', async () => {
+    const onClose = jest.fn();
+    errsoleSQLite.on('close', onClose);
+    const intervalId = errsoleSQLite.flushIntervalId;
+
+    const result = await errsoleSQLite.close();
 
+    expect(global.clearInterval).toHaveBeenCalledWith(intervalId);
+    expect(errsoleSQLite.cronJob.stop).toHaveBeenCalledTimes(1);
+    expect(errsoleSQLite.flushLogs).toHaveBeenCalledTimes(1);
+    expect(errsoleSQLite.db.close).toHaveBeenCalledTimes(1);
+    expect(onClose).toHaveBeenCalledTimes(1);
     expect(result).toEqual({});
   });
+
+  it('should stop accepting new logs once closing has started', async () => {
+    await errsoleSQLite.close();
+
+    errsoleSQLite.postLogs([{ timestamp: new Date(), hostname: 'localhost', pid: 1234, source: 'test', level: 'info', message: 'Late log' }]);
+
+    expect(errsoleSQLite.pendingLogs).toHaveLength(0);
+  });
+
+  it('should return the same promise when called more than once', async () => {
+    const firstClose = errsoleSQLite.close();
+    const secondClose = errsoleSQLite.close();
+
+    expect(secondClose).toBe(firstClose);
+    await firstClose;
+    expect(errsoleSQLite.db.close).toHaveBeenCalledTimes(1);
+  });
+
+  it('should wait for a running cleanup before closing the database', async () => {
+    let finishCleanup;
+    errsoleSQLite.trackTask(new Promise(resolve => { finishCleanup = resolve; }));
+
+    const closePromise = errsoleSQLite.close();
+    await Promise.resolve();
+    expect(errsoleSQLite.db.close).not.toHaveBeenCalled();
+
+    finishCleanup();
+    await closePromise;
+
+    expect(errsoleSQLite.db.close).toHaveBeenCalledTimes(1);
+    expect(errsoleSQLite.runningTasks.size).toBe(0);
+  });
+
+  it('should wait for the cleanups started by the cron job', async () => {
+    let finishCleanup;
+    jest.spyOn(errsoleSQLite, 'deleteExpiredLogs').mockReturnValue(new Promise(resolve => { finishCleanup = resolve; }));
+    jest.spyOn(errsoleSQLite, 'deleteExpiredNotificationItems').mockResolvedValue();
+    cron.schedule.mockClear();
+    errsoleSQLite.isConnectionInProgress = false;
+    jest.spyOn(errsoleSQLite, 'setAutoVacuum').mockResolvedValue();
+    jest.spyOn(errsoleSQLite, 'setPragmas').mockResolvedValue();
+    jest.spyOn(errsoleSQLite, 'setCacheSize').mockResolvedValue();
+    jest.spyOn(errsoleSQLite, 'createTables').mockResolvedValue();
+    jest.spyOn(errsoleSQLite, 'ensureHostnames').mockResolvedValue();
+    jest.spyOn(errsoleSQLite, 'ensureRoles').mockResolvedValue();
+    jest.spyOn(errsoleSQLite, 'ensureLogsTTL').mockResolvedValue();
+    jest.spyOn(errsoleSQLite, 'ensureNotificationsTTL').mockResolvedValue();
+    jest.spyOn(errsoleSQLite, 'ensureAuditLogsTTL').mockResolvedValue();
+    await errsoleSQLite.initialize();
+    cron.schedule.mock.calls[0][1]();
+
+    const closePromise = errsoleSQLite.close();
+    await Promise.resolve();
+    expect(errsoleSQLite.db.close).not.toHaveBeenCalled();
+
+    finishCleanup();
+    await closePromise;
+    expect(errsoleSQLite.db.close).toHaveBeenCalledTimes(1);
+  });
+
+  it('should report pending logs and still close when the tables cannot be created', async () => {
+    const storage = new ErrsoleSQLite(':memory:');
+    // The database is opened asynchronously, so the tables have not been created yet.
+    jest.spyOn(storage, 'createTables').mockRejectedValue(new Error('Table error'));
+    const errors = [];
+    await new Promise(resolve => storage.on('error', err => { errors.push(err); resolve(); }));
+    storage.postLogs([{ timestamp: new Date(), hostname: 'localhost', pid: 1234, source: 'test', level: 'info', message: 'Pending log' }]);
+
+    await expect(storage.close()).resolves.toEqual({});
+
+    expect(errors[0].message).toBe('Table error');
+    expect(errors[1].message).toBe('Failed to write 1 log(s): Table error');
+    expect(errors[1].logs.map(log => log.message)).toEqual(['Pending log']);
+  });
+
+  it('should not start a cleanup after closing has started', async () => {
+    jest.spyOn(errsoleSQLite, 'getConfig');
+    await errsoleSQLite.close();
+
+    await errsoleSQLite.deleteExpiredLogs();
+    await errsoleSQLite.deleteExpiredNotificationItems();
+
+    expect(errsoleSQLite.getConfig).not.toHaveBeenCalled();
+  });
+
+  it('should wake up a sleeping cleanup loop when closing', async () => {
+    const sleepPromise = errsoleSQLite.sleep(10000);
+    await errsoleSQLite.close();
+
+    await expect(sleepPromise).resolves.toBeUndefined();
+  });
+
+  it('should reject if the database cannot be closed', async () => {
+    errsoleSQLite.db.close.mockImplementationOnce(callback => callback(new Error('Database close error')));
+
+    await expect(errsoleSQLite.close()).rejects.toThrow('Database close error');
+  });
+
+  it('should register and remove process signal handlers when closeOnSignals is set', async () => {
+    const listenerCount = process.listenerCount('SIGUSR2');
+    const storage = new ErrsoleSQLite(':memory:', { closeOnSignals: ['SIGUSR2'] });
+    jest.spyOn(storage, 'flushLogs').mockResolvedValue({});
+    jest.spyOn(storage.db, 'close').mockImplementation(callback => callback(null));
+
+    expect(process.listenerCount('SIGUSR2')).toBe(listenerCount + 1);
+
+    await storage.close();
+
+    expect(process.listenerCount('SIGUSR2')).toBe(listenerCount);
+  });
+
+  it('should report a failed close on a signal through the error event', async () => {
+    const storage = new ErrsoleSQLite(':memory:', { closeOnSignals: ['SIGUSR2'] });
+    const onError = jest.fn();
+    storage.on('error', onError);
+    jest.spyOn(storage, 'flushLogs').mockResolvedValue({});
+    jest.spyOn(storage.db, 'close').mockImplementation(callback => callback(new Error('Database close error')));
+    // The handler re-raises the signal once the storage is closed.
+    const killSpy = jest.spyOn(process, 'kill').mockImplementation(() => {});
+
+    storage.signalHandlers.SIGUSR2();
+    await new Promise(resolve => killSpy.mockImplementation(() => resolve()));
+
+    killSpy.mockRestore();
+    expect(onError).toHaveBeenCalledWith(expect.objectContaining({ message: 'Database close error' }));
+  });
+});
+
+describe('ErrsoleSQLite - constructor options', () => {
+  afterEach(() => {
+    jest.clearAllMocks(); // Clear all mocks after each test
+  });
+
+  it('should use the default batching options', () => {
+    const errsoleSQLite = new ErrsoleSQLite(':memory:');
+
+    expect(errsoleSQLite.batchSize).toBe(100);
+    expect(errsoleSQLite.flushInterval).toBe(1000);
+    expect(errsoleSQLite.maxPendingLogs).toBe(Infinity);
+    expect(errsoleSQLite.overflowPolicy).toBe('drop-oldest');
+  });
+
+  it('should accept custom batching options', () => {
+    const errsoleSQLite = new ErrsoleSQLite(':memory:', { batchSize: 1, flushInterval: 50, maxPendingLogs: 500, overflowPolicy: 'block' });
+
+    expect(errsoleSQLite.batchSize).toBe(1);
+    expect(errsoleSQLite.flushInterval).toBe(50);
+    expect(errsoleSQLite.maxPendingLogs).toBe(500);
+    expect(errsoleSQLite.overflowPolicy).toBe('block');
+  });
+
+  it('should reject invalid batching options', () => {
+    expect(() => new ErrsoleSQLite(':memory:', { batchSize: 0 })).toThrow('batchSize must be a positive integer.');
+    expect(() => new ErrsoleSQLite(':memory:', { batchSize: 1.5 })).toThrow('batchSize must be a positive integer.');
+    expect(() => new ErrsoleSQLite(':memory:', { flushInterval: -1 })).toThrow('flushInterval must be a positive integer.');
+    expect(() => new ErrsoleSQLite(':memory:', { batchSize: 10, maxPendingLogs: 5 })).toThrow('maxPendingLogs must be an integer greater than or equal to batchSize.');
+    expect(() => new ErrsoleSQLite(':memory:', { overflowPolicy: 'discard' })).toThrow('overflowPolicy must be one of: drop-oldest, drop-newest, block.');
+  });
+});
+
+describe('ErrsoleSQLite - postLogs overflow policies', () => {
+  const createLogs = (start, count) => Array.from({ length: count }, (_, index) => (
+    { timestamp: new Date(), hostname: 'localhost', pid: 1234, source: 'test', level: 'info', message: `Log message ${start + index}` }
+  ));
+
+  afterEach(() => {
+    jest.clearAllMocks(); // Clear all mocks after each test
+  });
+
+  it('should drop the oldest pending logs with the drop-oldest policy', () => {
+    const errsoleSQLite = new ErrsoleSQLite(':memory:', { batchSize: 10, maxPendingLogs: 10, overflowPolicy: 'drop-oldest' });
+    jest.spyOn(errsoleSQLite, 'flushLogs').mockResolvedValue({});
+
+    errsoleSQLite.postLogs(createLogs(1, 8));
+    errsoleSQLite.postLogs(createLogs(9, 4));
+
+    expect(errsoleSQLite.pendingLogs).toHaveLength(10);
+    expect(errsoleSQLite.pendingLogs[0].message).toBe('Log message 3');
+    expect(errsoleSQLite.pendingLogs[9].message).toBe('Log message 12');
+  });
+
+  it('should drop the new log entries with the drop-newest policy', () => {
+    const errsoleSQLite = new ErrsoleSQLite(':memory:', { batchSize: 10, maxPendingLogs: 10, overflowPolicy: 'drop-newest' });
+    jest.spyOn(errsoleSQLite, 'flushLogs').mockResolvedValue({});
+
+    errsoleSQLite.postLogs(createLogs(1, 8));
+    errsoleSQLite.postLogs(createLogs(9, 4));
+
+    expect(errsoleSQLite.pendingLogs).toHaveLength(10);
+    expect(errsoleSQLite.pendingLogs[0].message).toBe('Log message 1');
+    expect(errsoleSQLite.pendingLogs[9].message).toBe('Log message 10');
+  });
+
+  it('should wait for a flush before adding the log entries with the block policy', async () => {
+    const errsoleSQLite = new ErrsoleSQLite(':memory:', { batchSize: 10, maxPendingLogs: 10, overflowPolicy: 'block' });
+    jest.spyOn(errsoleSQLite, 'flushLogs').mockImplementation(async () => {
+      errsoleSQLite.pendingLogs.splice(0, errsoleSQLite.pendingLogs.length);
+      return {};
+    });
+
+    errsoleSQLite.postLogs(createLogs(1, 8));
+    const result = errsoleSQLite.postLogs(createLogs(9, 4));
+
+    expect(result).toBeInstanceOf(Promise);
+    await expect(result).resolves.toEqual({});
+    expect(errsoleSQLite.flushLogs).toHaveBeenCalledTimes(1);
+    expect(errsoleSQLite.pendingLogs).toHaveLength(4);
+    expect(errsoleSQLite.pendingLogs[0].message).toBe('Log message 9');
+  });
+
+  it('should not block when there is enough space with the block policy', () => {
+    const errsoleSQLite = new ErrsoleSQLite(':memory:', { batchSize: 10, maxPendingLogs: 10, overflowPolicy: 'block' });
+    jest.spyOn(errsoleSQLite, 'flushLogs').mockResolvedValue({});
+
+    const result = errsoleSQLite.postLogs(createLogs(1, 5));
+
+    expect(result).toEqual({});
+    expect(errsoleSQLite.pendingLogs).toHaveLength(5);
+    expect(errsoleSQLite.flushLogs).not.toHaveBeenCalled();
+  });
+});
+
+describe('ErrsoleSQLite - flushLogs retries and dead-letter', () => {
+  const fs = require('fs');
+  let errsoleSQLite;
+  let onError;
+
+  const createLogs = messages => messages.map((message, index) => (
+    { timestamp: new Date(), hostname: 'localhost', pid: 1234, source: 'test', level: 'info', message, errsole_id: index + 1 }
+  ));
+  const createSqliteError = (message, code) => {
+    const error = new Error(`${code}: ${message}`);
+    error.code = code;
+    return error;
+  };
+
+  beforeEach(() => {
+    errsoleSQLite = new ErrsoleSQLite(':memory:');
+    errsoleSQLite.isConnectionInProgress = false;
+    jest.spyOn(errsoleSQLite, 'sleep').mockResolvedValue();
+    onError = jest.fn();
+    errsoleSQLite.on('error', onError);
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should retry a batch that failed with a transient error using exponential backoff', async () => {
+    const mockDbRun = jest.fn()
+      .mockImplementationOnce((query, values, callback) => callback(createSqliteError('database is locked', 'SQLITE_BUSY')))
+      .mockImplementationOnce((query, values, callback) => callback(createSqliteError('database is locked', 'SQLITE_BUSY')))
+      .mockImplementation((query, values, callback) => callback(null));
+    errsoleSQLite.db.run = mockDbRun;
+    errsoleSQLite.pendingLogs = createLogs(['Log 1', 'Log 2']);
+
+    await errsoleSQLite.flushLogs();
+
+    expect(mockDbRun).toHaveBeenCalledTimes(3);
+    expect(errsoleSQLite.sleep).toHaveBeenNthCalledWith(1, 1000);
+    expect(errsoleSQLite.sleep).toHaveBeenNthCalledWith(2, 2000);
+    expect(onError).not.toHaveBeenCalled();
+  });
+
+  it('should dead-letter the whole batch once the retries for a transient error are exhausted', async () => {
+    const mockDbRun = jest.fn((query, values, callback) => {
+      if (query.includes('errsole_logs_dead_letter')) return callback(null);
+      callback(createSqliteError('database or disk is full', 'SQLITE_FULL'));
+    });
+    errsoleSQLite.db.run = mockDbRun;
+    errsoleSQLite.pendingLogs = createLogs(['Log 1', 'Log 2']);
+
+    await errsoleSQLite.flushLogs();
+
+    const deadLetterCalls = mockDbRun.mock.calls.filter(call => call[0].includes('errsole_logs_dead_letter'));
+    expect(mockDbRun).toHaveBeenCalledTimes(4 + 2); // 1 attempt + 3 retries, then one dead-letter row per log
+    expect(deadLetterCalls).toHaveLength(2);
+    expect(deadLetterCalls[0][1]).toEqual([expect.stringContaining('Log 1'), 'SQLITE_FULL: database or disk is full', 'SQLITE_FULL']);
+    expect(onError).toHaveBeenCalledTimes(1);
+    expect(onError.mock.calls[0][0].logs).toHaveLength(2);
+    expect(onError.mock.calls[0][0].isDeadLettered).toBe(true);
+  });
+
+  it('should isolate a poison row by splitting the batch', async () => {
+    const mockDbRun = jest.fn((query, values, callback) => {
+      if (!query.includes('errsole_logs_dead_letter') && values.includes('Poison log')) {
+        return callback(createSqliteError('string or blob too big', 'SQLITE_TOOBIG'));
+      }
+      callback(null);
+    });
+    errsoleSQLite.db.run = mockDbRun;
+    errsoleSQLite.pendingLogs = createLogs(['Log 1', 'Log 2', 'Poison log', 'Log 4']);
+
+    await errsoleSQLite.flushLogs();
+
+    const insertedMessages = mockDbRun.mock.calls
+      .filter(call => !call[0].includes('errsole_logs_dead_letter') && !call[1].includes('Poison log'))
+      .map(call => call[1].filter(value => typeof value === 'string' && value.startsWith('Log')));
+    expect(insertedMessages).toEqual([['Log 1', 'Log 2'], ['Log 4']]);
+
+    const deadLetterCalls = mockDbRun.mock.calls.filter(call => call[0].includes('errsole_logs_dead_letter'));
+    expect(deadLetterCalls).toHaveLength(1);
+    expect(JSON.parse(deadLetterCalls[0][1][0]).message).toBe('Poison log');
+    expect(errsoleSQLite.sleep).not.toHaveBeenCalled();
+    expect(onError).toHaveBeenCalledTimes(1);
+    expect(onError.mock.calls[0][0].logs.map(log => log.message)).toEqual(['Poison log']);
+  });
+
+  it('should write failed rows to the dead-letter file when one is configured', async () => {
+    jest.spyOn(fs.promises, 'appendFile').mockResolvedValue();
+    errsoleSQLite.deadLetterFile = '/var/log/errsole-dead-letter.ndjson';
+    errsoleSQLite.db.run = jest.fn((query, values, callback) => callback(createSqliteError('datatype mismatch', 'SQLITE_MISMATCH')));
+    errsoleSQLite.pendingLogs = createLogs(['Log 1']);
+
+    await errsoleSQLite.flushLogs();
+
+    expect(fs.promises.appendFile).toHaveBeenCalledWith('/var/log/errsole-dead-letter.ndjson', expect.any(String));
+    const lines = fs.promises.appendFile.mock.calls[0][1].trim().split('\n').map(line => JSON.parse(line));
+    expect(lines).toHaveLength(1);
+    expect(lines[0].log.message).toBe('Log 1');
+    expect(lines[0].error_code).toBe('SQLITE_MISMATCH');
+    expect(errsoleSQLite.db.run).not.toHaveBeenCalledWith(expect.stringContaining('errsole_logs_dead_letter'), expect.any(Array), expect.any(Function));
+    expect(onError.mock.calls[0][0].isDeadLettered).toBe(true);
+  });
+
+  it('should report the logs as lost when they cannot be dead-lettered either', async () => {
+    errsoleSQLite.db.run = jest.fn((query, values, callback) => callback(createSqliteError('disk I/O error', 'SQLITE_IOERR')));
+    errsoleSQLite.flushRetries = 0;
+    errsoleSQLite.pendingLogs = createLogs(['Log 1']);
+
+    await errsoleSQLite.flushLogs();
+
+    expect(onError).toHaveBeenCalledTimes(1);
+    expect(onError.mock.calls[0][0].isDeadLettered).toBe(false);
+    expect(onError.mock.calls[0][0].cause.code).toBe('SQLITE_IOERR');
+  });
+
+  it('should log the error to the console when there is no "error" listener', async () => {
+    errsoleSQLite.removeAllListeners('error');
+    errsoleSQLite.db.run = jest.fn((query, values, callback) => callback(createSqliteError('datatype mismatch', 'SQLITE_MISMATCH')));
+    errsoleSQLite.pendingLogs = createLogs(['Log 1']);
+
+    await expect(errsoleSQLite.flushLogs()).resolves.toEqual({});
+
+    expect(console.error).toHaveBeenCalledWith(expect.objectContaining({ message: 'Failed to write 1 log(s): SQLITE_MISMATCH: datatype mismatch' }));
+  });
+
+  it('should reject invalid retry options', () => {
+    expect(() => new ErrsoleSQLite(':memory:', { flushRetries: -1 })).toThrow('flushRetries must be a non-negative integer.');
+    expect(() => new ErrsoleSQLite(':memory:', { flushRetryDelay: 'soon' })).toThrow('flushRetryDelay must be a non-negative integer.');
+  });
+});
+
+describe('ErrsoleSQLite - flushLogs chunking', () => {
+  let errsoleSQLite;
+  let statement;
+
+  const createLogs = count => Array.from({ length: count }, (_, index) => (
+    { timestamp: new Date(), hostname: 'localhost', pid: 1234, source: 'test', level: 'info', message: `Log ${index + 1}`, errsole_id: index + 1 }
+  ));
+
+  beforeEach(() => {
+    errsoleSQLite = new ErrsoleSQLite(':memory:');
+    errsoleSQLite.isConnectionInProgress = false;
+
+    statement = {
+      run: jest.fn((values, callback) => callback(null)),
+      finalize: jest.fn(callback => callback())
+    };
+    errsoleSQLite.db.prepare = jest.fn((query, callback) => {
+      Promise.resolve().then(() => callback(null));
+      return statement;
+    });
+    errsoleSQLite.db.run = jest.fn((query, values, callback) => {
+      if (typeof values === 'function') return values(null);
+      callback(null);
+    });
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should insert a small batch with a single statement outside of a transaction', async () => {
+    errsoleSQLite.pendingLogs = createLogs(124);
+
+    await errsoleSQLite.flushLogs();
+
+    expect(errsoleSQLite.db.run).toHaveBeenCalledTimes(1);
+    expect(errsoleSQLite.db.run.mock.calls[0][1]).toHaveLength(124 * 8);
+    expect(errsoleSQLite.db.prepare).not.toHaveBeenCalled();
+  });
+
+  it('should split a large batch into parameter-safe chunks inside one transaction', async () => {
+    errsoleSQLite.pendingLogs = createLogs(300);
+
+    await errsoleSQLite.flushLogs();
+
+    const queries = errsoleSQLite.db.run.mock.calls.map(call => call[0]);
+    expect(queries[0]).toBe('BEGIN TRANSACTION;');
+    expect(queries[queries.length - 1]).toBe('COMMIT;');
+
+    expect(errsoleSQLite.db.prepare).toHaveBeenCalledTimes(1);
+    expect(errsoleSQLite.db.prepare.mock.calls[0][0].match(/\(\?, \?, \?, \?, \?, \?, \?, \?\)/g)).toHaveLength(124);
+    expect(statement.run).toHaveBeenCalledTimes(2);
+    statement.run.mock.calls.forEach(call => expect(call[0]).toHaveLength(124 * 8));
+    expect(statement.finalize).toHaveBeenCalledTimes(1);
+
+    // The remaining 52 logs are inserted with a statement of their own
+    const remainderCall = errsoleSQLite.db.run.mock.calls.find(call => call[0].startsWith('INSERT OR IGNORE INTO errsole_logs_v3'));
+    expect(remainderCall[1]).toHaveLength(52 * 8);
+    expect(remainderCall[1][5]).toBe('Log 249'); // message column of the first remaining log
+  });
+
+  it('should roll back the transaction when a chunk fails', async () => {
+    const onError = jest.fn();
+    errsoleSQLite.on('error', onError);
+    errsoleSQLite.flushRetries = 0;
+    const lockedError = new Error('SQLITE_BUSY: database is locked');
+    lockedError.code = 'SQLITE_BUSY';
+    statement.run.mockImplementationOnce((values, callback) => callback(null))
+      .mockImplementationOnce((values, callback) => callback(lockedError));
+    errsoleSQLite.pendingLogs = createLogs(300);
+
+    await errsoleSQLite.flushLogs();
+
+    const queries = errsoleSQLite.db.run.mock.calls.map(call => call[0]);
+    expect(queries).toContain('ROLLBACK;');
+    expect(queries).not.toContain('COMMIT;');
+    expect(statement.finalize).toHaveBeenCalledTimes(1);
+    expect(onError.mock.calls[0][0].cause).toBe(lockedError);
+  });
+
+  it('should not start a transaction while another write is still running', async () => {
+    const queries = [];
+    errsoleSQLite.db.run = jest.fn((query, values, callback) => {
+      queries.push(query.split(' ')[0]);
+      Promise.resolve().then(() => (typeof values === 'function' ? values : callback)(null));
+    });
+
+    errsoleSQLite.pendingLogs = createLogs(300);
+    const firstFlush = errsoleSQLite.flushLogs();
+    errsoleSQLite.pendingLogs = createLogs(300);
+    const secondFlush = errsoleSQLite.flushLogs();
+    await Promise.all([firstFlush, secondFlush]);
+
+    expect(queries).toEqual(['BEGIN', 'INSERT', 'COMMIT;', 'BEGIN', 'INSERT', 'COMMIT;']);
+  });
+});
+
+describe('ErrsoleSQLite - write queue', () => {
+  let errsoleSQLite;
+
+  const createLogs = count => Array.from({ length: count }, (_, index) => (
+    { timestamp: new Date(), hostname: 'localhost', pid: 1234, source: 'test', level: 'info', message: `Log ${index + 1}`, errsole_id: index + 1 }
+  ));
+
+  const countLogs = () => new Promise((resolve, reject) => {
+    errsoleSQLite.db.get('SELECT COUNT(*) AS count FROM errsole_logs_v3', (err, row) => {
+      if (err) return reject(err);
+      resolve(row.count);
+    });
+  });
+
+  beforeEach(async () => {
+    errsoleSQLite = new ErrsoleSQLite(':memory:');
+    await new Promise(resolve => errsoleSQLite.once('ready', resolve));
+  });
+
+  afterEach(async () => {
+    await errsoleSQLite.close();
+    jest.clearAllMocks();
+  });
+
+  it('should keep a concurrent write when a flush is rolled back', async () => {
+    errsoleSQLite.flushRetries = 0;
+    errsoleSQLite.on('error', () => {});
+    await new Promise((resolve, reject) => {
+      errsoleSQLite.db.run(`CREATE TRIGGER reject_poison_log BEFORE INSERT ON errsole_logs_v3 WHEN NEW.message = 'Poison log'
+        BEGIN SELECT RAISE(ABORT, 'poison log'); END`, err => (err ? reject(err) : resolve()));
+    });
+    const logs = createLogs(5000);
+    logs[4000].message = 'Poison log'; // fails the chunk holding it, which rolls back the whole flush
+    errsoleSQLite.pendingLogs = logs;
+
+    await Promise.all([
+      errsoleSQLite.flushLogs(),
+      errsoleSQLite.setConfig('someKey', 'someValue'),
+      errsoleSQLite.createUser({ name: 'Test User', email: 'test@example.com', password: 'password123', role: 'admin' })
+    ]);
+
+    expect(await errsoleSQLite.getConfig('someKey')).toEqual({ item: expect.objectContaining({ key: 'someKey', value: 'someValue' }) });
+    expect(await errsoleSQLite.getUserByEmail('test@example.com')).toEqual({ item: expect.objectContaining({ email: 'test@example.com' }) });
+    expect(await countLogs()).toBe(4999);
+  });
+
+  it('should run a flush, deleteAllLogs and a notification without nesting their transactions', async () => {
+    errsoleSQLite.pendingLogs = createLogs(5000);
+
+    await Promise.all([
+      errsoleSQLite.flushLogs(),
+      errsoleSQLite.deleteAllLogs(),
+      errsoleSQLite.insertNotificationItem({ errsole_id: 1, hostname: 'localhost', hashed_message: 'hashedMessage' })
+    ]);
+    expect(await countLogs()).toBe(0);
+
+    errsoleSQLite.pendingLogs = createLogs(5000);
+    await errsoleSQLite.flushLogs();
+    expect(await countLogs()).toBe(5000);
+  });
+});
+
+// Run with `npm run benchmark`; skipped by `npm test`.
+const describeBenchmark = process.env.ERRSOLE_BENCHMARK ? describe : describe.skip;
+
+describeBenchmark('ErrsoleSQLite - flushLogs benchmark', () => {
+  let errsoleSQLite;
+
+  const createLogs = count => Array.from({ length: count }, (_, index) => ({
+    timestamp: new Date(Date.UTC(2024, 0, 1) + index),
+    hostname: `host-${index % 10}`,
+    pid: 1000 + (index % 50),
+    source: index % 2 ? 'console' : 'errsole',
+    level: ['info', 'warn', 'error', 'debug'][index % 4],
+    message: `Benchmark log message number ${index} with some padding to look like a real log line`,
+    meta: JSON.stringify({ index }),
+    errsole_id: index
+  }));
+
+  const { performance } = require('perf_hooks');
+
+  const countLogs = () => new Promise((resolve, reject) => {
+    errsoleSQLite.db.get('SELECT COUNT(*) AS count FROM errsole_logs_v3', (err, row) => {
+      if (err) return reject(err);
+      resolve(row.count);
+    });
+  });
+
+  beforeEach(async () => {
+    errsoleSQLite = new ErrsoleSQLite(':memory:');
+    await new Promise(resolve => errsoleSQLite.once('ready', resolve));
+  });
+
+  afterEach(async () => {
+    await errsoleSQLite.close();
+  });
+
+  [10000, 100000].forEach(rowCount => {
+    it(`should flush a burst of ${rowCount} logs`, async () => {
+      errsoleSQLite.pendingLogs = createLogs(rowCount);
+
+      const startTime = performance.now();
+      await errsoleSQLite.flushLogs();
+      const elapsedMs = performance.now() - startTime;
+
+      console.log(`flushLogs: ${rowCount} logs in ${elapsedMs.toFixed(0)} ms (${Math.round(rowCount / (elapsedMs / 1000))} logs/s)`);
+      expect(await countLogs()).toBe(rowCount);
+      expect(console.error).not.toHaveBeenCalledWith(expect.objectContaining({ logs: expect.any(Array) }));
+    }, 120000);
+  });
+});
+
+describe('ErrsoleSQLite - pragmas and getDiagnostics', () => {
+  const fs = require('fs');
+  const os = require('os');
+  const path = require('path');
+  let errsoleSQLite;
+  let filename;
+
+  beforeEach(() => {
+    filename = path.join(os.tmpdir(), `errsole-sqlite-test-${process.pid}-${Date.now()}.sqlite`);
+  });
+
+  afterEach(async () => {
+    jest.clearAllMocks();
+    if (errsoleSQLite) await errsoleSQLite.close();
+    errsoleSQLite = null;
+    ['', '-wal', '-shm'].forEach(suffix => fs.rmSync(filename + suffix, { force: true }));
+  });
+
+  it('should apply the default journal mode, synchronous setting and busy timeout', async () => {
+    errsoleSQLite = new ErrsoleSQLite(filename);
+    await new Promise(resolve => errsoleSQLite.once('ready', resolve));
+
+    const { item } = await errsoleSQLite.getDiagnostics();
+
+    expect(item.journal_mode).toBe('WAL');
+    expect(item.synchronous).toBe('NORMAL');
+    expect(item.busy_timeout).toBe(5000);
+    expect(item.auto_vacuum).toBe('FULL');
+    expect(item.page_count).toBeGreaterThan(0);
+    expect(item.sqlite_version).toMatch(/^3\.\d+\.\d+$/);
+  });
+
+  it('should apply custom pragma options', async () => {
+    errsoleSQLite = new ErrsoleSQLite(filename, { journalMode: 'delete', synchronous: 'full', busyTimeout: 250, mmapSize: 1048576, tempStore: 'memory' });
+    await new Promise(resolve => errsoleSQLite.once('ready', resolve));
+
+    const { item } = await errsoleSQLite.getDiagnostics();
+
+    expect(item.journal_mode).toBe('DELETE');
+    expect(item.synchronous).toBe('FULL');
+    expect(item.busy_timeout).toBe(250);
+    expect(item.mmap_size).toBe(1048576);
+    expect(item.temp_store).toBe('MEMORY');
+  });
+
+  it('should reject invalid pragma options', () => {
+    expect(() => new ErrsoleSQLite(filename, { journalMode: 'fast' })).toThrow('journalMode must be one of: DELETE, TRUNCATE, PERSIST, MEMORY, WAL, OFF.');
+    expect(() => new ErrsoleSQLite(filename, { synchronous: 'sometimes' })).toThrow('synchronous must be one of: OFF, NORMAL, FULL, EXTRA.');
+    expect(() => new ErrsoleSQLite(filename, { busyTimeout: -5 })).toThrow('busyTimeout must be a non-negative integer.');
+    expect(() => new ErrsoleSQLite(filename, { mmapSize: '1GB' })).toThrow('mmapSize must be a non-negative integer.');
+    expect(() => new ErrsoleSQLite(filename, { tempStore: 'disk' })).toThrow('tempStore must be one of: DEFAULT, FILE, MEMORY.');
+  });
+
+  it('should reject if a pragma cannot be applied', async () => {
+    const storage = new ErrsoleSQLite(':memory:');
+    jest.spyOn(storage.db, 'get').mockImplementation((query, callback) => callback(new Error('Pragma error')));
+
+    await expect(storage.setPragmas()).rejects.toThrow('Pragma error');
+    expect(storage.db.get).toHaveBeenCalledWith('PRAGMA busy_timeout = 5000', expect.any(Function));
+  });
+});
+
+describe('ErrsoleSQLite - hostnames', () => {
+  let errsoleSQLite;
+
+  const createLog = (hostname, message) => (
+    { timestamp: new Date(), hostname, pid: 1234, source: 'console', level: 'info', message, errsole_id: 1 }
+  );
+  const runQuery = (query, params = []) => new Promise((resolve, reject) => {
+    errsoleSQLite.db.run(query, params, err => (err ? reject(err) : resolve()));
+  });
+
+  beforeEach(async () => {
+    errsoleSQLite = new ErrsoleSQLite(':memory:');
+    await new Promise(resolve => errsoleSQLite.once('ready', resolve));
+  });
+
+  afterEach(async () => {
+    jest.clearAllMocks();
+    await errsoleSQLite.close();
+  });
+
+  it('should list the hostnames of the stored logs in alphabetical order', async () => {
+    errsoleSQLite.pendingLogs = [createLog('web-2', 'Log 1'), createLog('web-1', 'Log 2'), createLog('web-2', 'Log 3'), createLog(null, 'Log 4')];
+    await errsoleSQLite.flushLogs();
+
+    const result = await errsoleSQLite.getHostnames();
+
+    expect(result).toEqual({ items: ['web-1', 'web-2'] });
+  });
+
+  it('should filter logs by hostnames in getLogs and searchLogs', async () => {
+    errsoleSQLite.pendingLogs = [createLog('web-1', 'Request failed'), createLog('web-2', 'Request failed'), createLog('worker-1', 'Request failed')];
+    await errsoleSQLite.flushLogs();
+
+    const logs = await errsoleSQLite.getLogs({ hostnames: ['web-1', 'worker-1'] });
+    const searchResult = await errsoleSQLite.searchLogs(['failed'], { hostnames: ['web-2'] });
+
+    expect(logs.items.map(log => log.hostname)).toEqual(['web-1', 'worker-1']);
+    expect(searchResult.items.map(log => log.hostname)).toEqual(['web-2']);
+  });
+
+  it('should backfill the hostnames table from existing logs', async () => {
+    await runQuery('INSERT INTO errsole_logs_v3 (hostname, message) VALUES (?, ?), (?, ?)', ['legacy-1', 'Log 1', 'legacy-2', 'Log 2']);
+    await runQuery('DELETE FROM errsole_hostnames');
+
+    await errsoleSQLite.ensureHostnames();
+
+    expect(await errsoleSQLite.getHostnames()).toEqual({ items: ['legacy-1', 'legacy-2'] });
+  });
+
+  it('should remove hostnames that no longer have logs', async () => {
+    errsoleSQLite.pendingLogs = [createLog('web-1', 'Log 1'), createLog('web-2', 'Log 2')];
+    await errsoleSQLite.flushLogs();
+    await runQuery('DELETE FROM errsole_logs_v3 WHERE hostname = ?', ['web-1']);
+
+    await errsoleSQLite.deleteStaleHostnames();
+
+    expect(await errsoleSQLite.getHostnames()).toEqual({ items: ['web-2'] });
+  });
+
+  it('should clear the hostnames and keep tracking new ones after deleteAllLogs', async () => {
+    errsoleSQLite.pendingLogs = [createLog('web-1', 'Log 1')];
+    await errsoleSQLite.flushLogs();
+
+    await errsoleSQLite.deleteAllLogs();
+    expect(await errsoleSQLite.getHostnames()).toEqual({ items: [] });
+
+    errsoleSQLite.pendingLogs = [createLog('web-3', 'Log 2')];
+    await errsoleSQLite.flushLogs();
+    expect(await errsoleSQLite.getHostnames()).toEqual({ items: ['web-3'] });
+  });
+});
+
+describe('ErrsoleSQLite - search query syntax', () => {
+  let errsoleSQLite;
+
+  beforeEach(() => {
+    errsoleSQLite = new ErrsoleSQLite(':memory:');
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should build LIKE clauses for words, phrases, exclusions, OR and prefixes', () => {
+    const result = errsoleSQLite.buildSearchClauses(['error', '"connection refused"', '-timeout', 'db', 'OR', 'cache', 'conn*']);
+
+    expect(result.whereClauses).toEqual([
+      'message LIKE ?',
+      'message LIKE ?',
+      '(message LIKE ? OR message LIKE ?)',
+      'message LIKE ?',
+      'message NOT LIKE ?'
+    ]);
+    expect(result.values).toEqual(['%error%', '%connection refused%', '%db%', '%cache%', '%conn%', '%timeout%']);
+  });
+
+  it('should build FTS5 MATCH clauses when full-text search is enabled', () => {
+    errsoleSQLite.isFullTextSearchEnabled = true;
+
+    const result = errsoleSQLite.buildSearchClauses(['error', '"connection refused"', '-timeout', 'db', 'OR', 'cache', 'conn*']);
+
+    expect(result.whereClauses).toEqual([
+      'id IN (SELECT rowid FROM errsole_logs_v3_fts WHERE errsole_logs_v3_fts MATCH ?)',
+      'id NOT IN (SELECT rowid FROM errsole_logs_v3_fts WHERE errsole_logs_v3_fts MATCH ?)'
+    ]);
+    expect(result.values).toEqual([
+      '("error") AND ("connection refused") AND ("db" OR "cache") AND ("conn" *)',
+      '"timeout"'
+    ]);
+  });
+
+  it('should fall back to LIKE for terms that FTS5 cannot match', () => {
+    errsoleSQLite.isFullTextSearchEnabled = true;
+
+    const result = errsoleSQLite.buildSearchClauses(['error', '=>']);
+
+    expect(result).toEqual({ whereClauses: ['message LIKE ?', 'message LIKE ?'], values: ['%error%', '%=>%'] });
+  });
+
+  it('should return no clauses for empty search terms', () => {
+    expect(errsoleSQLite.buildSearchClauses([])).toEqual({ whereClauses: [], values: [] });
+    expect(errsoleSQLite.buildSearchClauses(['OR', '""'])).toEqual({ whereClauses: [], values: [] });
+  });
+});
+
+describe('ErrsoleSQLite - full-text search', () => {
+  let errsoleSQLite;
+
+  const messages = [
+    'Database connection refused by server',
+    'Connection timeout while reading from cache',
+    'User signed in',
+    'Cache miss for key user:42',
+    'Connected to database'
+  ];
+  const createLogs = () => messages.map((message, index) => (
+    { timestamp: new Date(), hostname: 'localhost', pid: 1234, source: 'console', level: 'info', message, errsole_id: index + 1 }
+  ));
+  const search = async terms => (await errsoleSQLite.searchLogs(terms)).items.map(log => log.message);
+  const runQuery = query => new Promise((resolve, reject) => {
+    errsoleSQLite.db.run(query, err => (err ? reject(err) : resolve()));
+  });
+
+  beforeEach(async () => {
+    errsoleSQLite = new ErrsoleSQLite(':memory:', { fullTextSearch: true });
+    await new Promise(resolve => errsoleSQLite.once('ready', resolve));
+    errsoleSQLite.pendingLogs = createLogs();
+    await errsoleSQLite.flushLogs();
+  });
+
+  afterEach(async () => {
+    jest.clearAllMocks();
+    await errsoleSQLite.close();
+  });
+
+  it('should enable full-text search when FTS5 is available', async () => {
+    expect(errsoleSQLite.isFullTextSearchEnabled).toBe(true);
+    expect((await errsoleSQLite.getDiagnostics()).item.full_text_search).toBe(true);
+  });
+
+  it('should match words, phrases, exclusions, OR and prefixes', async () => {
+    expect(await search(['connection'])).toEqual([messages[0], messages[1]]);
+    expect(await search(['"connection refused"'])).toEqual([messages[0]]);
+    expect(await search(['connection', '-timeout'])).toEqual([messages[0]]);
+    expect(await search(['database', 'OR', 'cache'])).toEqual([messages[0], messages[1], messages[3], messages[4]]);
+    expect(await search(['conn*'])).toEqual([messages[0], messages[1], messages[4]]);
+    expect(await search(['-user'])).toEqual([messages[0], messages[1], messages[4]]);
+  });
+
+  it('should keep the FTS table in sync when logs are deleted', async () => {
+    await runQuery("DELETE FROM errsole_logs_v3 WHERE message LIKE 'Database%'");
+
+    expect(await search(['connection'])).toEqual([messages[1]]);
+  });
+
+  it('should clear and recreate the FTS table in deleteAllLogs', async () => {
+    await errsoleSQLite.deleteAllLogs();
+    expect(await search(['connection'])).toEqual([]);
+
+    errsoleSQLite.pendingLogs = [{ timestamp: new Date(), hostname: 'localhost', pid: 1234, source: 'console', level: 'error', message: 'Connection reset' }];
+    await errsoleSQLite.flushLogs();
+    expect(await search(['connection'])).toEqual(['Connection reset']);
+  });
+
+  it('should index logs that were written before full-text search was enabled', async () => {
+    await runQuery('DROP TRIGGER errsole_logs_v3_fts_insert');
+    await runQuery('DROP TRIGGER errsole_logs_v3_fts_delete');
+    await runQuery('DROP TRIGGER errsole_logs_v3_fts_update');
+    await runQuery('DROP TABLE errsole_logs_v3_fts');
+
+    await errsoleSQLite.createFullTextSearchTable();
+
+    expect(await search(['"connection refused"'])).toEqual([messages[0]]);
+  });
+
+  it('should fall back to LIKE when SQLite was built without FTS5', async () => {
+    const runSpy = jest.spyOn(errsoleSQLite.db, 'run').mockImplementation((query, callback) => callback(new Error('SQLITE_ERROR: no such module: fts5')));
+
+    await errsoleSQLite.createFullTextSearchTable();
+    runSpy.mockRestore();
+
+    expect(errsoleSQLite.isFullTextSearchEnabled).toBe(false);
+    expect(await search(['onnect'])).toEqual([messages[0], messages[1], messages[4]]);
+  });
+});
+
+describe('ErrsoleSQLite - meta filters', () => {
+  let errsoleSQLite;
+
+  const metas = [
+    { requestId: 'abc', response: { status: 200 }, cached: true },
+    { requestId: 'def', response: { status: 500 }, errors: [{ code: 'ECONNRESET' }] },
+    { requestId: 'ghi', response: { status: 503 } },
+    'not json'
+  ];
+  const createLogs = () => metas.map((meta, index) => ({
+    timestamp: new Date(),
+    hostname: 'localhost',
+    pid: 1234,
+    source: 'console',
+    level: 'info',
+    message: `Request ${index + 1}`,
+    meta: typeof meta === 'string' ? meta : JSON.stringify(meta)
+  }));
+  const getMessages = async (metaFilters, searchTerms) => {
+    const result = searchTerms
+      ? await errsoleSQLite.searchLogs(searchTerms, { meta_filters: metaFilters })
+      : await errsoleSQLite.getLogs({ meta_filters: metaFilters });
+    return result.items.map(log => log.message);
+  };
+  const setup = async options => {
+    errsoleSQLite = new ErrsoleSQLite(':memory:', options);
+    await new Promise(resolve => errsoleSQLite.once('ready', resolve));
+    errsoleSQLite.pendingLogs = createLogs();
+    await errsoleSQLite.flushLogs();
+  };
+
+  afterEach(async () => {
+    jest.clearAllMocks();
+    await errsoleSQLite.close();
+  });
+
+  it('should filter logs by meta paths with comparison operators', async () => {
+    await setup();
+
+    expect(await getMessages([{ path: 'meta.requestId', value: 'abc' }])).toEqual(['Request 1']);
+    expect(await getMessages([{ path: 'response.status', operator: '>=', value: 500 }])).toEqual(['Request 2', 'Request 3']);
+    expect(await getMessages([{ path: 'response.status', operator: '<', value: 500 }])).toEqual(['Request 1']);
+    expect(await getMessages([{ path: 'requestId', operator: '!=', value: 'abc' }])).toEqual(['Request 2', 'Request 3']);
+    expect(await getMessages([{ path: 'errors[0].code', value: 'ECONNRESET' }])).toEqual(['Request 2']);
+    expect(await getMessages([{ path: 'cached', value: true }])).toEqual(['Request 1']);
+    expect(await getMessages([{ path: 'requestId', value: null }])).toEqual(['Request 4']);
+    expect(await getMessages([
+      { path: 'response.status', operator: '>', value: 200 },
+      { path: 'requestId', operator: '!=', value: 'def' }
+    ])).toEqual(['Request 3']);
+  });
+
+  it('should combine meta filters with search terms', async () => {
+    await setup();
+
+    expect(await getMessages([{ path: 'response.status', operator: '>=', value: 500 }], ['Request', '3'])).toEqual(['Request 3']);
+  });
+
+  it('should reject invalid meta filters', async () => {
+    await setup();
+
+    await expect(errsoleSQLite.getLogs({ meta_filters: [{ path: "a') OR 1=1 --", value: 1 }] })).rejects.toThrow('Invalid meta filter path');
+    await expect(errsoleSQLite.getLogs({ meta_filters: [{ path: 'status', operator: 'LIKE', value: 1 }] })).rejects.toThrow('Meta filter operator must be one of');
+    await expect(errsoleSQLite.searchLogs([], { meta_filters: [{ path: 'status', value: {} }] })).rejects.toThrow('Meta filter value must be');
+    await expect(errsoleSQLite.getLogs({ meta_filters: [{ path: 'status', operator: '>', value: null }] })).rejects.toThrow('can only be used with = and !=');
+  });
+
+  it('should use indexed generated columns for paths in metaIndexes', async () => {
+    await setup({ metaIndexes: ['requestId', 'meta.response.status'] });
+    const allSpy = jest.spyOn(errsoleSQLite.db, 'all');
+
+    expect(await getMessages([{ path: 'response.status', operator: '>=', value: 500 }])).toEqual(['Request 2', 'Request 3']);
+    expect(await getMessages([{ path: '$.requestId', value: 'ghi' }])).toEqual(['Request 3']);
+    expect(allSpy.mock.calls[0][0]).toContain('meta_response_status >= ?');
+    expect(allSpy.mock.calls[1][0]).toContain('meta_requestid = ?');
+
+    const plan = await new Promise((resolve, reject) => {
+      errsoleSQLite.db.all('EXPLAIN QUERY PLAN SELECT id FROM errsole_logs_v3 WHERE meta_requestid = ?', ['abc'], (err, rows) => (err ? reject(err) : resolve(rows)));
+    });
+    expect(plan.map(row => row.detail).join(' ')).toContain('idx_errsole_logs_v3_meta_requestid');
+  });
+
+  it('should keep the generated columns when the storage is reopened or the logs are deleted', async () => {
+    await setup({ metaIndexes: ['requestId'] });
+    await errsoleSQLite.createMetaIndexes();
+
+    await errsoleSQLite.deleteAllLogs();
+    errsoleSQLite.pendingLogs = createLogs();
+    await errsoleSQLite.flushLogs();
+
+    expect(await getMessages([{ path: 'requestId', value: 'def' }])).toEqual(['Request 2']);
+  });
+
+  it('should reject invalid metaIndexes options', () => {
+    expect(() => new ErrsoleSQLite(':memory:', { metaIndexes: 'requestId' })).toThrow('metaIndexes must be an array');
+    expect(() => new ErrsoleSQLite(':memory:', { metaIndexes: ['request-id'] })).toThrow('Invalid meta path in metaIndexes');
+    expect(() => new ErrsoleSQLite(':memory:', { metaIndexes: ['a.b', 'a_b'] })).toThrow('must map to distinct columns');
+  });
+});
+
+describe('ErrsoleSQLite - getLogCounts', () => {
+  let errsoleSQLite;
+
+  const hour = 60 * 60 * 1000;
+  const start = Date.UTC(2024, 0, 1);
+  const createLog = (offset, level, hostname, message = 'Request failed') => (
+    { timestamp: start + offset, hostname, pid: 1234, source: 'console', level, message, meta: JSON.stringify({ status: level === 'error' ? 500 : 200 }) }
+  );
+
+  beforeEach(async () => {
+    errsoleSQLite = new ErrsoleSQLite(':memory:');
+    await new Promise(resolve => errsoleSQLite.once('ready', resolve));
+    const logs = [
+      createLog(0, 'info', 'web-1', 'Request served'),
+      createLog(10 * 60 * 1000, 'error', 'web-1'),
+      createLog(59 * 60 * 1000, 'error', 'web-2'),
+      createLog(hour, 'error', 'web-2'),
+      createLog(hour + 1, 'info', 'web-2', 'Request served'),
+      createLog(26 * hour, 'error', 'web-1')
+    ];
+    await insertLogRows(errsoleSQLite, logs);
+  });
+
+  afterEach(async () => {
+    jest.clearAllMocks();
+    await errsoleSQLite.close();
+  });
+
+  it('should count logs per hour by default', async () => {
+    const result = await errsoleSQLite.getLogCounts();
+
+    expect(result).toEqual({
+      items: [
+        { timestamp: new Date(start), count: 3 },
+        { timestamp: new Date(start + hour), count: 2 },
+        { timestamp: new Date(start + 26 * hour), count: 1 }
+      ],
+      total: 6
+    });
+  });
+
+  it('should count logs written through postLogs and flushLogs', async () => {
+    errsoleSQLite.postLogs([
+      { timestamp: new Date(start + 2 * hour), hostname: 'web-3', pid: 1234, source: 'console', level: 'info', message: 'Posted', meta: '{}' },
+      { timestamp: new Date(start + 2 * hour + 1000), hostname: 'web-3', pid: 1234, source: 'console', level: 'info', message: 'Posted', meta: '{}' }
+    ]);
+    await errsoleSQLite.flushLogs();
+
+    const result = await errsoleSQLite.getLogCounts({ hostnames: ['web-3'] });
+
+    expect(result).toEqual({ items: [{ timestamp: new Date(start + 2 * hour), count: 2 }], total: 2 });
+  });
+
+  it('should store the timestamps of flushed logs as milliseconds', async () => {
+    errsoleSQLite.postLogs([{ timestamp: new Date(start + 2 * hour), hostname: 'web-3', pid: 1234, source: 'console', level: 'info', message: 'Posted', meta: '{}' }]);
+    await errsoleSQLite.flushLogs();
+
+    const row = await new Promise((resolve, reject) => {
+      errsoleSQLite.db.get(`SELECT typeof(timestamp) AS type, timestamp FROM ${errsoleSQLite.logsTable} WHERE hostname = 'web-3'`, (err, row) => (err ? reject(err) : resolve(row)));
+    });
+    expect(row).toEqual({ type: 'integer', timestamp: start + 2 * hour });
+  });
+
+  it('should count logs per minute and per day', async () => {
+    const minutes = await errsoleSQLite.getLogCounts({}, { interval: 'minute' });
+    const days = await errsoleSQLite.getLogCounts({}, { interval: 'day' });
+
+    expect(minutes.items.map(item => item.count)).toEqual([1, 1, 1, 2, 1]);
+    expect(minutes.items[1].timestamp).toEqual(new Date(start + 10 * 60 * 1000));
+    expect(days.items).toEqual([
+      { timestamp: new Date(start), count: 5 },
+      { timestamp: new Date(start + 24 * hour), count: 1 }
+    ]);
+  });
+
+  it('should group counts by level and hostname', async () => {
+    const result = await errsoleSQLite.getLogCounts({}, { interval: 'day', groupBy: ['level', 'hostname'] });
+
+    expect(result.items).toEqual([
+      { timestamp: new Date(start), level: 'error', hostname: 'web-1', count: 1 },
+      { timestamp: new Date(start), level: 'error', hostname: 'web-2', count: 2 },
+      { timestamp: new Date(start), level: 'info', hostname: 'web-1', count: 1 },
+      { timestamp: new Date(start), level: 'info', hostname: 'web-2', count: 1 },
+      { timestamp: new Date(start + 24 * hour), level: 'error', hostname: 'web-1', count: 1 }
+    ]);
+  });
+
+  it('should apply log filters, the time range and search terms', async () => {
+    const levels = await errsoleSQLite.getLogCounts({ level_json: [{ source: 'console', level: 'error' }], hostnames: ['web-2'] });
+    const range = await errsoleSQLite.getLogCounts({ gt_id: 1, lt_id: 5 }, { groupBy: 'level' });
+    const search = await errsoleSQLite.getLogCounts({ meta_filters: [{ path: 'status', value: 200 }] }, { interval: 'day', searchTerms: ['served'] });
+
+    expect(levels.items).toEqual([
+      { timestamp: new Date(start), count: 1 },
+      { timestamp: new Date(start + hour), count: 1 }
+    ]);
+    expect(range).toEqual({
+      items: [
+        { timestamp: new Date(start), level: 'error', count: 2 },
+        { timestamp: new Date(start + hour), level: 'error', count: 1 }
+      ],
+      total: 3
+    });
+    expect(search.items).toEqual([{ timestamp: new Date(start), count: 2 }]);
+  });
+
+  it('should bind the time range to the timestamp index', async () => {
+    const allSpy = jest.spyOn(errsoleSQLite.db, 'all');
+    const gteTimestamp = new Date(start);
+    const lteTimestamp = new Date(start + hour);
+
+    await errsoleSQLite.getLogCounts({ gte_timestamp: gteTimestamp, lte_timestamp: lteTimestamp }, { interval: 'minute' });
+
+    expect(allSpy).toHaveBeenCalledWith(
+      'SELECT CAST(timestamp / ? AS INTEGER) * ? AS bucket, COUNT(*) AS count FROM errsole_logs_v3 WHERE timestamp <= ? AND timestamp >= ? GROUP BY bucket ORDER BY bucket',
+      [60 * 1000, 60 * 1000, lteTimestamp, gteTimestamp],
+      expect.any(Function)
+    );
+  });
+
+  it('should reject invalid options', async () => {
+    await expect(errsoleSQLite.getLogCounts({}, { interval: 'week' })).rejects.toThrow('interval must be one of: minute, hour, day.');
+    await expect(errsoleSQLite.getLogCounts({}, { groupBy: 'message' })).rejects.toThrow('groupBy must be one or more of: level, source, hostname.');
+  });
+
+  it('should throw an error if the query fails', async () => {
+    jest.spyOn(errsoleSQLite.db, 'all').mockImplementation((query, values, callback) => callback(new Error('Query error')));
+
+    await expect(errsoleSQLite.getLogCounts()).rejects.toThrow('Query error');
+  });
+});
+
+describe('ErrsoleSQLite - migrate', () => {
+  let errsoleSQLite;
+
+  const runQuery = (query, values = []) => new Promise((resolve, reject) => {
+    errsoleSQLite.db.run(query, values, err => (err ? reject(err) : resolve()));
+  });
+  const allQuery = (query, values = []) => new Promise((resolve, reject) => {
+    errsoleSQLite.db.all(query, values, (err, rows) => (err ? reject(err) : resolve(rows)));
+  });
+  const createLegacyTables = async () => {
+    await runQuery(`CREATE TABLE errsole_logs_v2 (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      hostname TEXT,
+      pid INTEGER,
+      source TEXT,
+      timestamp DATETIME,
+      level TEXT,
+      message TEXT,
+      meta TEXT,
+      legacy_column TEXT
+    )`);
+    await runQuery(`CREATE TABLE errsole_notifications (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      errsole_id BIGINT,
+      hostname TEXT,
+      hashed_message TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+    await runQuery(`INSERT INTO errsole_logs_v2 (hostname, pid, source, timestamp, level, message, meta, legacy_column) VALUES
+      ('legacy-host', 1, 'console', 1704067200000, 'error', 'Legacy error', '{}', 'x'),
+      ('legacy-host', 1, 'console', 1704067201000, 'info', 'Legacy info', '{}', 'y')`);
+    await runQuery('INSERT INTO errsole_notifications (errsole_id, hostname, hashed_message) VALUES (1, \'legacy-host\', \'abc\')');
+  };
+
+  beforeEach(async () => {
+    errsoleSQLite = new ErrsoleSQLite(':memory:');
+    await new Promise(resolve => errsoleSQLite.once('ready', resolve));
+  });
+
+  afterEach(async () => {
+    jest.clearAllMocks();
+    await errsoleSQLite.close();
+  });
+
+  it('should record the applied migrations when the tables are created', async () => {
+    const rows = await allQuery('SELECT version, name FROM errsole_schema_migrations ORDER BY version');
+
+    expect(rows).toEqual([
+      { version: 1, name: 'import_legacy_logs' },
+      { version: 2, name: 'import_legacy_notifications' },
+      { version: 3, name: 'seed_notifications_ttl' }
+    ]);
+    expect(await errsoleSQLite.migrate()).toEqual({ items: [], version: 3, dryRun: false });
+  });
+
+  it('should report the pending migrations in a dry run without applying them', async () => {
+    await createLegacyTables();
+    await runQuery('DELETE FROM errsole_schema_migrations');
+
+    const result = await errsoleSQLite.migrate({ dryRun: true });
+
+    expect(result).toEqual({
+      items: [
+        { version: 1, name: 'import_legacy_logs', changes: ['Copy 2 row(s) from errsole_logs_v2 to errsole_logs_v3 (hostname, pid, source, timestamp, level, message, meta)'] },
+        { version: 2, name: 'import_legacy_notifications', changes: ['Copy 1 row(s) from errsole_notifications to errsole_notifications_v2 (errsole_id, hostname, hashed_message, created_at, updated_at)'] },
+        { version: 3, name: 'seed_notifications_ttl', changes: [] }
+      ],
+      version: 0,
+      dryRun: true
+    });
+    expect(await allQuery('SELECT * FROM errsole_logs_v3')).toEqual([]);
+    expect(await allQuery('SELECT * FROM errsole_schema_migrations')).toEqual([]);
+  });
+
+  it('should import the data of legacy tables', async () => {
+    await createLegacyTables();
+    await runQuery('DELETE FROM errsole_schema_migrations');
+
+    const result = await errsoleSQLite.migrate();
+
+    expect(result.version).toBe(3);
+    expect(result.items.map(item => item.version)).toEqual([1, 2, 3]);
+    const logs = await errsoleSQLite.getLogs();
+    expect(logs.items.map(log => [log.message, log.timestamp])).toEqual([['Legacy error', 1704067200000], ['Legacy info', 1704067201000]]);
+    expect(await errsoleSQLite.getHostnames()).toEqual({ items: ['legacy-host'] });
+    expect(await allQuery('SELECT errsole_id, hostname, hashed_message FROM errsole_notifications_v2')).toEqual([
+      { errsole_id: 1, hostname: 'legacy-host', hashed_message: 'abc' }
+    ]);
+    expect(await errsoleSQLite.migrate()).toEqual({ items: [], version: 3, dryRun: false });
+  });
+
+  it('should give existing installs a notificationsTTL equal to their logsTTL', async () => {
+    await runQuery('DELETE FROM errsole_config WHERE `key` = \'notificationsTTL\'');
+    await runQuery('UPDATE errsole_config SET `value` = \'86400000\' WHERE `key` = \'logsTTL\'');
+    await runQuery('DELETE FROM errsole_schema_migrations WHERE version = 3');
+
+    const dryRun = await errsoleSQLite.migrate({ dryRun: true });
+    const result = await errsoleSQLite.migrate();
+
+    expect(dryRun.items).toEqual([{ version: 3, name: 'seed_notifications_ttl', changes: ['Set notificationsTTL to the value of logsTTL (86400000)'] }]);
+    expect(result.items).toEqual(dryRun.items);
+    expect((await errsoleSQLite.getConfig('notificationsTTL')).item.value).toBe('86400000');
+    // A notificationsTTL that is already set is kept.
+    await runQuery('DELETE FROM errsole_schema_migrations WHERE version = 3');
+    await errsoleSQLite.setConfig('notificationsTTL', '3600000');
+    expect((await errsoleSQLite.migrate()).items).toEqual([{ version: 3, name: 'seed_notifications_ttl', changes: [] }]);
+    expect((await errsoleSQLite.getConfig('notificationsTTL')).item.value).toBe('3600000');
+  });
+
+  it('should convert legacy text timestamps to milliseconds so that the logs expire', async () => {
+    await createLegacyTables();
+    await runQuery(`INSERT INTO errsole_logs_v2 (hostname, pid, source, timestamp, level, message, meta) VALUES
+      ('legacy-host', 1, 'console', '2024-01-01 00:00:02', 'info', 'Legacy text', '{}'),
+      ('legacy-host', 1, 'console', '2024-01-01T00:00:03.500Z', 'info', 'Legacy ISO', '{}'),
+      ('legacy-host', 1, 'console', 'not a date', 'info', 'Legacy invalid', '{}')`);
+    await runQuery('DELETE FROM errsole_schema_migrations');
+
+    const dryRun = await errsoleSQLite.migrate({ dryRun: true });
+    expect(dryRun.items[0].changes).toEqual([
+      'Copy 5 row(s) from errsole_logs_v2 to errsole_logs_v3 (hostname, pid, source, timestamp, level, message, meta)',
+      'Convert 2 text timestamp(s) in timestamp to milliseconds'
+    ]);
+
+    await errsoleSQLite.migrate();
+
+    expect(await allQuery('SELECT message, timestamp FROM errsole_logs_v3 ORDER BY id')).toEqual([
+      { message: 'Legacy error', timestamp: 1704067200000 },
+      { message: 'Legacy info', timestamp: 1704067201000 },
+      { message: 'Legacy text', timestamp: 1704067202000 },
+      { message: 'Legacy ISO', timestamp: 1704067203500 },
+      { message: 'Legacy invalid', timestamp: 'not a date' }
+    ]);
+    await errsoleSQLite.setConfig('logsTTL', String(60 * 60 * 1000));
+    expect((await errsoleSQLite.runRetention({ dryRun: true })).logs).toBe(4);
+  });
+
+  it('should roll back a failed migration and not record it', async () => {
+    await createLegacyTables();
+    await runQuery('DELETE FROM errsole_schema_migrations');
+    jest.spyOn(errsoleSQLite, 'importLegacyTable').mockImplementation(async (sourceTable, targetTable) => {
+      if (targetTable === 'errsole_notifications_v2') throw new Error('Import error');
+      return [];
+    });
+
+    await expect(errsoleSQLite.migrate()).rejects.toThrow('Migration 2 (import_legacy_notifications) failed: Import error');
+
+    expect(await allQuery('SELECT version FROM errsole_schema_migrations')).toEqual([{ version: 1 }]);
+    expect(await allQuery('SELECT * FROM errsole_notifications_v2')).toEqual([]);
+  });
+});
+
+describe('ErrsoleSQLite - roles and permissions', () => {
+  let errsoleSQLite;
+  let admin;
+  let viewer;
+  let responder;
+
+  beforeEach(async () => {
+    errsoleSQLite = new ErrsoleSQLite(':memory:');
+    await new Promise(resolve => errsoleSQLite.once('ready', resolve));
+    admin = (await errsoleSQLite.createUser({ name: 'Admin', email: 'admin@example.com', password: 'password123', role: 'admin' })).item;
+    viewer = (await errsoleSQLite.createUser({ name: 'Viewer', email: 'viewer@example.com', password: 'password123', role: 'viewer' })).item;
+    responder = (await errsoleSQLite.createUser({ name: 'Responder', email: 'responder@example.com', password: 'password123', role: 'responder' })).item;
+  });
+
+  afterEach(async () => {
+    jest.clearAllMocks();
+    await errsoleSQLite.close();
+  });
+
+  it('should seed the built-in roles', async () => {
+    const result = await errsoleSQLite.getRoles();
+
+    expect(result.items).toEqual([
+      { name: 'admin', permissions: ['logs:read', 'logs:delete', 'users:manage', 'config:write'] },
+      { name: 'responder', permissions: ['logs:read', 'config:write'] },
+      { name: 'user', permissions: ['logs:read'] },
+      { name: 'viewer', permissions: ['logs:read'] }
+    ]);
+  });
+
+  it('should not overwrite permissions that were changed in the roles table', async () => {
+    await new Promise((resolve, reject) => {
+      errsoleSQLite.db.run('UPDATE errsole_roles SET permissions = ? WHERE name = ?', ['["logs:read","logs:delete"]', 'viewer'], err => (err ? reject(err) : resolve()));
+    });
+
+    await errsoleSQLite.ensureRoles();
+
+    expect(await errsoleSQLite.hasPermission(viewer.id, 'logs:delete')).toBe(true);
+  });
+
+  it('should accept the roles in the roles table', async () => {
+    await new Promise((resolve, reject) => {
+      errsoleSQLite.db.run('INSERT INTO errsole_roles (name, permissions) VALUES (?, ?)', ['auditor', '["logs:read"]'], err => (err ? reject(err) : resolve()));
+    });
+
+    const auditor = (await errsoleSQLite.createUser({ email: 'auditor@example.com', password: 'password123', role: 'auditor' })).item;
+
+    expect(await errsoleSQLite.hasPermission(auditor.id, 'logs:read')).toBe(true);
+    await expect(errsoleSQLite.updateUserByEmail('viewer@example.com', { role: 'owner' })).rejects.toThrow('Role must be one of: admin, auditor, responder, user, viewer.');
+  });
+
+  it('should check permissions by the role of the user', async () => {
+    expect(await errsoleSQLite.hasPermission(admin.id, 'users:manage')).toBe(true);
+    expect(await errsoleSQLite.hasPermission(viewer.id, 'logs:read')).toBe(true);
+    expect(await errsoleSQLite.hasPermission(viewer.id, 'config:write')).toBe(false);
+    expect(await errsoleSQLite.hasPermission(responder.id, 'config:write')).toBe(true);
+    expect(await errsoleSQLite.hasPermission(responder.id, 'logs:delete')).toBe(false);
+    expect(await errsoleSQLite.hasPermission(999, 'logs:read')).toBe(false);
+    await expect(errsoleSQLite.hasPermission(admin.id, 'logs:write')).rejects.toThrow('Unknown permission: logs:write.');
+  });
+
+  it('should enforce permissions when an actor is given', async () => {
+    await expect(errsoleSQLite.deleteAllLogs({ actorId: viewer.id })).rejects.toThrow('Permission denied: logs:delete is required.');
+    await expect(errsoleSQLite.setConfig('logsTTL', '1000', { actorId: viewer.id })).rejects.toThrow('Permission denied: config:write is required.');
+    await expect(errsoleSQLite.deleteConfig('logsTTL', { actorId: viewer.id })).rejects.toThrow('Permission denied: config:write is required.');
+    await expect(errsoleSQLite.deleteUser(responder.id, { actorId: responder.id })).rejects.toThrow('Permission denied: users:manage is required.');
+    await expect(errsoleSQLite.updateUserByEmail('viewer@example.com', { role: 'admin' }, { actorId: viewer.id })).rejects.toThrow('Permission denied: users:manage is required.');
+
+    await expect(errsoleSQLite.deleteAllLogs({ actorId: admin.id })).resolves.toEqual({});
+    await expect(errsoleSQLite.setConfig('logsTTL', '1000', { actorId: responder.id })).resolves.toEqual({ item: expect.objectContaining({ value: '1000' }) });
+    await expect(errsoleSQLite.deleteUser(viewer.id, { actorId: admin.id })).resolves.toEqual({});
+  });
+
+  it('should not delete or demote the last admin', async () => {
+    await expect(errsoleSQLite.deleteUser(admin.id)).rejects.toThrow('Cannot delete the last admin.');
+    await expect(errsoleSQLite.updateUserByEmail('admin@example.com', { role: 'viewer' })).rejects.toThrow('Cannot demote the last admin.');
+    await expect(errsoleSQLite.updateUserByEmail('missing@example.com', { role: 'viewer' })).rejects.toThrow('User not found.');
+    expect((await errsoleSQLite.getUserByEmail('admin@example.com')).item.role).toBe('admin');
+
+    await errsoleSQLite.updateUserByEmail('viewer@example.com', { role: 'admin' });
+    await expect(errsoleSQLite.updateUserByEmail('admin@example.com', { role: 'viewer' })).resolves.toEqual({ item: expect.objectContaining({ role: 'viewer' }) });
+    await expect(errsoleSQLite.deleteUser(viewer.id)).rejects.toThrow('Cannot delete the last admin.');
+    await expect(errsoleSQLite.deleteUser(admin.id)).resolves.toEqual({});
+  });
+});
+
+describe('ErrsoleSQLite - login lockout', () => {
+  let errsoleSQLite;
+  let now;
+
+  const failLogin = (email = 'john@example.com', source) => errsoleSQLite.verifyUser(email, 'wrongpassword', { source }).catch(err => err);
+
+  beforeEach(async () => {
+    jest.spyOn(bcrypt, 'hash').mockImplementation(async password => `hashed:${password}`);
+    jest.spyOn(bcrypt, 'compare').mockImplementation(async (password, hash) => hash === `hashed:${password}`);
+    errsoleSQLite = new ErrsoleSQLite(':memory:', { maxFailedLogins: 3, maxFailedLoginsPerSource: 5, lockoutDuration: 60 * 1000, maxLockoutDuration: 4 * 60 * 1000 });
+    await new Promise(resolve => errsoleSQLite.once('ready', resolve));
+    await errsoleSQLite.createUser({ name: 'John', email: 'john@example.com', password: 'password123', role: 'admin' });
+    now = Date.now();
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(async () => {
+    Date.now.mockRestore();
+    await errsoleSQLite.close();
+  });
+
+  it('should lock out an email after too many failed logins, also for the correct password', async () => {
+    for (let i = 0; i < 3; i++) {
+      expect((await failLogin()).message).toBe('Invalid email or password.');
+    }
+
+    const error = await errsoleSQLite.verifyUser('john@example.com', 'password123').catch(err => err);
+    expect(error.message).toBe('Too many failed login attempts. Try again later.');
+    expect(error.lockedUntil).toEqual(new Date(now + 60 * 1000));
+    expect((await errsoleSQLite.getLockout({ email: 'JOHN@example.com' })).item).toEqual({
+      key: 'user:john@example.com',
+      failed_count: 3,
+      last_failed_at: new Date(now),
+      locked_until: new Date(now + 60 * 1000),
+      is_locked: true
+    });
+  });
+
+  it('should double the lockout with each further failed login', async () => {
+    for (let i = 0; i < 3; i++) await failLogin();
+
+    now += 60 * 1000;
+    await failLogin();
+    expect((await errsoleSQLite.getLockout({ email: 'john@example.com' })).item.locked_until).toEqual(new Date(now + 2 * 60 * 1000));
+
+    now += 2 * 60 * 1000;
+    await failLogin();
+    now += 4 * 60 * 1000;
+    await failLogin();
+    expect((await errsoleSQLite.getLockout({ email: 'john@example.com' })).item.locked_until).toEqual(new Date(now + 4 * 60 * 1000));
+  });
+
+  it('should lock out unknown emails the same way as existing ones', async () => {
+    for (let i = 0; i < 3; i++) {
+      expect((await failLogin('nobody@example.com')).message).toBe('Invalid email or password.');
+    }
+
+    expect((await failLogin('nobody@example.com')).message).toBe('Too many failed login attempts. Try again later.');
+  });
+
+  it('should lock out a source across emails', async () => {
+    for (let i = 0; i < 5; i++) {
+      await failLogin(`user${i}@example.com`, '10.0.0.1');
+    }
+
+    await expect(errsoleSQLite.verifyUser('john@example.com', 'password123', { source: '10.0.0.1' })).rejects.toThrow('Too many failed login attempts.');
+    await expect(errsoleSQLite.verifyUser('john@example.com', 'password123', { source: '10.0.0.2' })).resolves.toEqual({ item: expect.objectContaining({ email: 'john@example.com' }) });
+    expect((await errsoleSQLite.getLockout({ source: '10.0.0.1' })).item.is_locked).toBe(true);
+  });
+
+  it('should reset the counter after a successful login or when the window has passed', async () => {
+    await failLogin();
+    await failLogin();
+    await errsoleSQLite.verifyUser('john@example.com', 'password123');
+    expect((await errsoleSQLite.getLockout({ email: 'john@example.com' })).item).toBeNull();
+
+    await failLogin();
+    now += 24 * 60 * 60 * 1000 + 1;
+    await failLogin();
+    expect((await errsoleSQLite.getLockout({ email: 'john@example.com' })).item.failed_count).toBe(1);
+  });
+
+  it('should clear a lockout', async () => {
+    for (let i = 0; i < 3; i++) await failLogin();
+
+    await expect(errsoleSQLite.clearLockout({ email: 'john@example.com' })).resolves.toEqual({});
+
+    await expect(errsoleSQLite.verifyUser('john@example.com', 'password123')).resolves.toEqual({ item: expect.objectContaining({ email: 'john@example.com' }) });
+    await expect(errsoleSQLite.clearLockout({})).rejects.toThrow('Either an email or a source is required.');
+  });
+
+  it('should delete expired failed-login counters', async () => {
+    for (let i = 0; i < 3; i++) await failLogin();
+    await failLogin('jane@example.com');
+
+    now += 24 * 60 * 60 * 1000 + 1;
+    await errsoleSQLite.deleteExpiredLoginAttempts();
+
+    expect((await errsoleSQLite.getLockout({ email: 'john@example.com' })).item).toBeNull();
+    expect((await errsoleSQLite.getLockout({ email: 'jane@example.com' })).item).toBeNull();
+  });
+
+  it('should reject invalid lockout options', () => {
+    expect(() => new ErrsoleSQLite(':memory:', { maxFailedLogins: 0 })).toThrow('maxFailedLogins must be a positive integer.');
+    expect(() => new ErrsoleSQLite(':memory:', { lockoutDuration: 1000, maxLockoutDuration: 500 })).toThrow('maxLockoutDuration must be greater than or equal to lockoutDuration.');
+  });
+});
+
+describe('ErrsoleSQLite - password reset tokens', () => {
+  let errsoleSQLite;
+  let user;
+  let now;
+
+  const getTokenRows = () => new Promise((resolve, reject) => {
+    errsoleSQLite.db.all('SELECT user_id, token_hash, expires_at FROM errsole_password_reset_tokens', (err, rows) => (err ? reject(err) : resolve(rows)));
+  });
+
+  beforeEach(async () => {
+    jest.spyOn(bcrypt, 'hash').mockImplementation(async password => `hashed:${password}`);
+    jest.spyOn(bcrypt, 'compare').mockImplementation(async (password, hash) => hash === `hashed:${password}`);
+    errsoleSQLite = new ErrsoleSQLite(':memory:', { passwordResetTokenTTL: 60 * 1000 });
+    await new Promise(resolve => errsoleSQLite.once('ready', resolve));
+    user = (await errsoleSQLite.createUser({ name: 'John', email: 'john@example.com', password: 'password123', role: 'admin' })).item;
+    now = Date.now();
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(async () => {
+    Date.now.mockRestore();
+    await errsoleSQLite.close();
+  });
+
+  it('should create a token and store only its hash', async () => {
+    const result = await errsoleSQLite.createPasswordResetToken('john@example.com');
+
+    expect(result.item).toEqual({ token: expect.stringMatching(/^[\w-]{43}$/), expires_at: new Date(now + 60 * 1000) });
+    const rows = await getTokenRows();
+    expect(rows).toEqual([{ user_id: user.id, token_hash: expect.stringMatching(/^[0-9a-f]{64}$/), expires_at: now + 60 * 1000 }]);
+    expect(rows[0].token_hash).not.toContain(result.item.token);
+  });
+
+  it('should reset the password with a token only once', async () => {
+    const { item } = await errsoleSQLite.createPasswordResetToken('john@example.com');
+
+    await expect(errsoleSQLite.resetPasswordWithToken(item.token, 'newPassword')).resolves.toEqual({
+      item: { id: user.id, name: 'John', email: 'john@example.com', role: 'admin' }
+    });
+
+    await expect(errsoleSQLite.verifyUser('john@example.com', 'newPassword')).resolves.toEqual({ item: expect.objectContaining({ id: user.id }) });
+    await expect(errsoleSQLite.resetPasswordWithToken(item.token, 'otherPassword')).rejects.toThrow('Invalid or expired password reset token.');
+  });
+
+  it('should reject expired and unknown tokens', async () => {
+    const { item } = await errsoleSQLite.createPasswordResetToken('john@example.com');
+    now += 60 * 1000;
+
+    await expect(errsoleSQLite.resetPasswordWithToken(item.token, 'newPassword')).rejects.toThrow('Invalid or expired password reset token.');
+    await expect(errsoleSQLite.resetPasswordWithToken('unknown', 'newPassword')).rejects.toThrow('Invalid or expired password reset token.');
+    await expect(errsoleSQLite.resetPasswordWithToken('', 'newPassword')).rejects.toThrow('Token and new password are required.');
+    await expect(errsoleSQLite.verifyUser('john@example.com', 'password123')).resolves.toEqual({ item: expect.objectContaining({ id: user.id }) });
+  });
+
+  it('should revoke earlier tokens when a new token is created or the password is changed', async () => {
+    const first = (await errsoleSQLite.createPasswordResetToken('john@example.com')).item;
+    const second = (await errsoleSQLite.createPasswordResetToken('john@example.com')).item;
+
+    await expect(errsoleSQLite.resetPasswordWithToken(first.token, 'newPassword')).rejects.toThrow('Invalid or expired password reset token.');
+
+    await errsoleSQLite.updatePassword('john@example.com', 'password123', 'changedPassword');
+    await expect(errsoleSQLite.resetPasswordWithToken(second.token, 'newPassword')).rejects.toThrow('Invalid or expired password reset token.');
+    expect(await getTokenRows()).toEqual([]);
+  });
+
+  it('should clear the failed-login lockout of the user', async () => {
+    for (let i = 0; i < 5; i++) {
+      await errsoleSQLite.verifyUser('john@example.com', 'wrongPassword').catch(() => {});
+    }
+    const { item } = await errsoleSQLite.createPasswordResetToken('john@example.com');
+
+    await errsoleSQLite.resetPasswordWithToken(item.token, 'newPassword');
+
+    expect((await errsoleSQLite.getLockout({ email: 'john@example.com' })).item).toBeNull();
+  });
+
+  it('should not issue a token or reveal that a user does not exist', async () => {
+    await expect(errsoleSQLite.createPasswordResetToken('unknown@example.com')).resolves.toEqual({ item: null });
+    expect(await getTokenRows()).toEqual([]);
+    await expect(errsoleSQLite.createPasswordResetToken()).rejects.toThrow('Email is required.');
+  });
+
+  it('should delete expired tokens', async () => {
+    await errsoleSQLite.createPasswordResetToken('john@example.com');
+    await errsoleSQLite.deleteExpiredPasswordResetTokens();
+    expect(await getTokenRows()).toHaveLength(1);
+
+    now += 60 * 1000;
+    await errsoleSQLite.deleteExpiredPasswordResetTokens();
+    expect(await getTokenRows()).toEqual([]);
+  });
+});
+
+describe('ErrsoleSQLite - two-factor authentication', () => {
+  const encryptionKey = '000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f';
+  let errsoleSQLite;
+  let now;
+  let user;
+
+  const enroll = async () => {
+    const { item } = await errsoleSQLite.enrollTotp(user.id);
+    const { item: { recovery_codes: recoveryCodes } } = await errsoleSQLite.confirmTotp(user.id, generateTOTP(item.secret));
+    now += 30 * 1000;
+    return { secret: item.secret, recoveryCodes };
+  };
+
+  const startLogin = async () => (await errsoleSQLite.verifyUser('john@example.com', 'password123', { source: '10.0.0.1' })).challenge;
+
+  beforeEach(async () => {
+    jest.spyOn(bcrypt, 'hash').mockImplementation(async password => `hashed:${password}`);
+    jest.spyOn(bcrypt, 'compare').mockImplementation(async (password, hash) => hash === `hashed:${password}`);
+    errsoleSQLite = new ErrsoleSQLite(':memory:', { encryptionKey, maxFailedLogins: 6 });
+    await new Promise(resolve => errsoleSQLite.once('ready', resolve));
+    user = (await errsoleSQLite.createUser({ name: 'John', email: 'john@example.com', password: 'password123', role: 'admin' })).item;
+    now = 1111111111 * 1000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(async () => {
+    Date.now.mockRestore();
+    await errsoleSQLite.close();
+  });
+
+  it('should validate the encryption key', () => {
+    expect(() => new ErrsoleSQLite(':memory:', { encryptionKey: 'short' })).toThrow('encryptionKey must be 32 bytes, given as a Buffer or a hex or base64 string.');
+    expect(() => new ErrsoleSQLite(':memory:', { encryptionKey: Buffer.alloc(16) })).toThrow('encryptionKey must be 32 bytes');
+  });
+
+  it('should require an encryption key', async () => {
+    const withoutKey = new ErrsoleSQLite(':memory:');
+    await new Promise(resolve => withoutKey.once('ready', resolve));
+
+    await expect(withoutKey.enrollTotp(1)).rejects.toThrow('The encryptionKey option is required for two-factor authentication.');
+    await withoutKey.close();
+  });
+
+  it('should store the secret encrypted and enable it only after confirmation', async () => {
+    const { item } = await errsoleSQLite.enrollTotp(user.id);
+
+    expect(item.secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(item.otpauth_url).toBe(`otpauth://totp/Errsole:john%40example.com?secret=${item.secret}&issuer=Errsole&algorithm=SHA1&digits=6&period=30`);
+    const stored = await errsoleSQLite.getUserTotp(user.id);
+    expect(stored.secret).toMatch(/^v1:/);
+    expect(stored.secret).not.toContain(item.secret);
+    expect(await errsoleSQLite.isTotpEnabled(user.id)).toBe(false);
+    expect((await errsoleSQLite.verifyUser('john@example.com', 'password123')).item).toEqual(expect.objectContaining({ id: user.id }));
+
+    await expect(errsoleSQLite.confirmTotp(user.id, '000000')).rejects.toThrow('Invalid two-factor authentication code.');
+    const { item: { recovery_codes: recoveryCodes } } = await errsoleSQLite.confirmTotp(user.id, generateTOTP(item.secret));
+
+    expect(recoveryCodes).toHaveLength(10);
+    recoveryCodes.forEach(code => expect(code).toMatch(/^[0-9a-z]{5}-[0-9a-z]{5}$/));
+    expect(await errsoleSQLite.isTotpEnabled(user.id)).toBe(true);
+    await expect(errsoleSQLite.enrollTotp(user.id)).rejects.toThrow('Two-factor authentication is already enabled.');
+    await expect(errsoleSQLite.confirmTotp(user.id, generateTOTP(item.secret))).rejects.toThrow('No pending two-factor authentication enrollment.');
+  });
+
+  it('should require a second factor and complete the login with a code once', async () => {
+    const { secret } = await enroll();
+
+    const result = await errsoleSQLite.verifyUser('john@example.com', 'password123');
+    expect(result).toEqual({ item: null, second_factor_required: true, challenge: expect.any(String) });
+
+    const code = generateTOTP(secret);
+    await expect(errsoleSQLite.completeLogin(result.challenge, code)).resolves.toEqual({
+      item: { id: user.id, name: 'John', email: 'john@example.com', role: 'admin' }
+    });
+    await expect(errsoleSQLite.completeLogin(result.challenge, code)).rejects.toThrow('Invalid or expired login challenge.');
+
+    // The same code cannot be used for another login.
+    await expect(errsoleSQLite.completeLogin(await startLogin(), code)).rejects.toThrow('Invalid two-factor authentication code.');
+  });
+
+  it('should accept each recovery code once', async () => {
+    const { recoveryCodes } = await enroll();
+
+    await expect(errsoleSQLite.completeLogin(await startLogin(), recoveryCodes[0].toUpperCase())).resolves.toEqual({ item: expect.objectContaining({ id: user.id }) });
+    await expect(errsoleSQLite.completeLogin(await startLogin(), recoveryCodes[0])).rejects.toThrow('Invalid two-factor authentication code.');
+
+    const { item: { recovery_codes: newCodes } } = await errsoleSQLite.regenerateRecoveryCodes(user.id);
+    await expect(errsoleSQLite.completeLogin(await startLogin(), recoveryCodes[1])).rejects.toThrow('Invalid two-factor authentication code.');
+    await expect(errsoleSQLite.completeLogin(await startLogin(), newCodes[1].replace('-', ''))).resolves.toEqual({ item: expect.objectContaining({ id: user.id }) });
+  });
+
+  it('should expire challenges, limit the attempts per challenge and count failed codes towards the lockout', async () => {
+    const { secret } = await enroll();
+
+    let challenge = await startLogin();
+    now += 5 * 60 * 1000;
+    await expect(errsoleSQLite.completeLogin(challenge, generateTOTP(secret))).rejects.toThrow('Invalid or expired login challenge.');
+    await errsoleSQLite.deleteExpiredLoginChallenges();
+
+    challenge = await startLogin();
+    for (let i = 0; i < 5; i++) {
+      await expect(errsoleSQLite.completeLogin(challenge, '000000')).rejects.toThrow('Invalid two-factor authentication code.');
+    }
+    await expect(errsoleSQLite.completeLogin(challenge, generateTOTP(secret))).rejects.toThrow('Invalid or expired login challenge.');
+    expect((await errsoleSQLite.getLockout({ email: 'john@example.com' })).item.failed_count).toBe(5);
+
+    challenge = await startLogin();
+    await expect(errsoleSQLite.completeLogin(challenge, '000000')).rejects.toThrow('Invalid two-factor authentication code.');
+    await expect(errsoleSQLite.completeLogin(challenge, generateTOTP(secret))).rejects.toThrow('Too many failed login attempts. Try again later.');
+  });
+
+  it('should disable two-factor authentication and clean up when the user is deleted', async () => {
+    await enroll();
+    await startLogin();
+
+    await expect(errsoleSQLite.disableTotp(user.id)).resolves.toEqual({});
+    expect(await errsoleSQLite.isTotpEnabled(user.id)).toBe(false);
+    expect((await errsoleSQLite.verifyUser('john@example.com', 'password123')).item).toEqual(expect.objectContaining({ id: user.id }));
+
+    await enroll();
+    await errsoleSQLite.createUser({ name: 'Jane', email: 'jane@example.com', password: 'password123', role: 'admin' });
+    await errsoleSQLite.deleteUser(user.id);
+    const counts = await new Promise((resolve, reject) => {
+      errsoleSQLite.db.get(
+        'SELECT (SELECT COUNT(*) FROM errsole_user_totp) AS totp, (SELECT COUNT(*) FROM errsole_user_recovery_codes) AS codes, (SELECT COUNT(*) FROM errsole_login_challenges) AS challenges',
+        (err, row) => (err ? reject(err) : resolve(row))
+      );
+    });
+    expect(counts).toEqual({ totp: 0, codes: 0, challenges: 0 });
+  });
+});
+
+describe('ErrsoleSQLite - API keys', () => {
+  let errsoleSQLite;
+  let now;
+  let admin;
+  let viewer;
+
+  beforeEach(async () => {
+    jest.spyOn(bcrypt, 'hash').mockImplementation(async password => `hashed:${password}`);
+    errsoleSQLite = new ErrsoleSQLite(':memory:');
+    await new Promise(resolve => errsoleSQLite.once('ready', resolve));
+    admin = (await errsoleSQLite.createUser({ name: 'Admin', email: 'admin@example.com', password: 'password123', role: 'admin' })).item;
+    viewer = (await errsoleSQLite.createUser({ name: 'Viewer', email: 'viewer@example.com', password: 'password123', role: 'viewer' })).item;
+    now = 1700000000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(async () => {
+    Date.now.mockRestore();
+    await errsoleSQLite.close();
+  });
+
+  it('should create a key that is stored hashed with a visible prefix', async () => {
+    const { item } = await errsoleSQLite.createApiKey({ name: 'CI', userId: viewer.id, scopes: ['logs:read'], expiresAt: now + 60 * 1000 });
+
+    expect(item).toEqual({
+      id: expect.any(Number),
+      name: 'CI',
+      prefix: expect.stringMatching(/^[0-9a-f]{8}$/),
+      user_id: viewer.id,
+      role: null,
+      scopes: ['logs:read'],
+      expires_at: new Date(now + 60 * 1000),
+      last_used_at: null,
+      revoked_at: null,
+      created_at: new Date(now),
+      key: expect.stringMatching(new RegExp(`^errsole_${item.prefix}_[A-Za-z0-9_-]{43}$`))
+    });
+    const rows = await new Promise((resolve, reject) => {
+      errsoleSQLite.db.all('SELECT key_hash FROM errsole_api_keys', (err, rows) => (err ? reject(err) : resolve(rows)));
+    });
+    expect(rows).toEqual([{ key_hash: expect.stringMatching(/^[0-9a-f]{64}$/) }]);
+    expect(rows[0].key_hash).not.toContain(item.key);
+    expect((await errsoleSQLite.getApiKeys()).items).toEqual([expect.not.objectContaining({ key: expect.anything() })]);
+  });
+
+  it('should validate new keys', async () => {
+    await expect(errsoleSQLite.createApiKey({ name: '', role: 'viewer', scopes: ['logs:read'] })).rejects.toThrow('API key name must be a non-empty string of at most 100 characters.');
+    await expect(errsoleSQLite.createApiKey({ name: 'CI', scopes: ['logs:read'] })).rejects.toThrow('An API key must be tied to either a user or a role.');
+    await expect(errsoleSQLite.createApiKey({ name: 'CI', userId: viewer.id, role: 'viewer', scopes: ['logs:read'] })).rejects.toThrow('An API key must be tied to either a user or a role.');
+    await expect(errsoleSQLite.createApiKey({ name: 'CI', role: 'owner', scopes: ['logs:read'] })).rejects.toThrow('Role must be one of: admin, responder, user, viewer.');
+    await expect(errsoleSQLite.createApiKey({ name: 'CI', role: 'viewer', scopes: ['logs:delete'] })).rejects.toThrow('API key scopes must be a non-empty array of: logs:read, logs:write, admin.');
+    await expect(errsoleSQLite.createApiKey({ name: 'CI', role: 'viewer', scopes: ['logs:read'], expiresAt: now })).rejects.toThrow('API key expiry must be a date in the future.');
+    await expect(errsoleSQLite.createApiKey({ name: 'CI', userId: 999, scopes: ['logs:read'] })).rejects.toThrow('User not found.');
+    await expect(errsoleSQLite.createApiKey({ name: 'CI', role: 'viewer', scopes: ['logs:read'] }, { actorId: viewer.id })).rejects.toThrow('Permission denied: users:manage is required.');
+  });
+
+  it('should verify keys by scope and record when they were used', async () => {
+    const { item: { id, key } } = await errsoleSQLite.createApiKey({ name: 'CI', userId: viewer.id, scopes: ['logs:read'] }, { actorId: admin.id });
+    const { item: { key: adminKey } } = await errsoleSQLite.createApiKey({ name: 'Ops', role: 'admin', scopes: ['admin'] });
+
+    now += 1000;
+    const { item } = await errsoleSQLite.verifyApiKey(key, 'logs:read');
+    expect(item).toEqual(expect.objectContaining({ id, last_used_at: new Date(now), user: { id: viewer.id, name: 'Viewer', email: 'viewer@example.com', role: 'viewer' } }));
+    await expect(errsoleSQLite.verifyApiKey(key, 'logs:write')).rejects.toThrow('API key is missing the logs:write scope.');
+    await expect(errsoleSQLite.verifyApiKey(adminKey, 'logs:write')).resolves.toEqual({ item: expect.objectContaining({ role: 'admin', user: null }) });
+    await expect(errsoleSQLite.verifyApiKey(key, 'logs:delete')).rejects.toThrow('Unknown API key scope: logs:delete.');
+    await expect(errsoleSQLite.verifyApiKey(`${key}x`)).rejects.toThrow('Invalid API key.');
+    await expect(errsoleSQLite.verifyApiKey('not-a-key')).rejects.toThrow('Invalid API key.');
+  });
+
+  it('should reject expired, revoked and orphaned keys', async () => {
+    const { item: expiring } = await errsoleSQLite.createApiKey({ name: 'Expiring', role: 'viewer', scopes: ['logs:read'], expiresAt: new Date(now + 1000) });
+    const { item: revoked } = await errsoleSQLite.createApiKey({ name: 'Revoked', role: 'viewer', scopes: ['logs:read'] });
+    const { item: orphaned } = await errsoleSQLite.createApiKey({ name: 'Orphaned', userId: viewer.id, scopes: ['logs:read'] });
+
+    await expect(errsoleSQLite.revokeApiKey(revoked.id, { actorId: viewer.id })).rejects.toThrow('Permission denied: users:manage is required.');
+    await expect(errsoleSQLite.revokeApiKey(revoked.id)).resolves.toEqual({ item: expect.objectContaining({ revoked_at: new Date(now) }) });
+    await expect(errsoleSQLite.revokeApiKey(999)).rejects.toThrow('API key not found.');
+    await expect(errsoleSQLite.verifyApiKey(revoked.key)).rejects.toThrow('Invalid API key.');
+
+    await expect(errsoleSQLite.verifyApiKey(expiring.key)).resolves.toBeDefined();
+    now += 1000;
+    await expect(errsoleSQLite.verifyApiKey(expiring.key)).rejects.toThrow('Invalid API key.');
+
+    await errsoleSQLite.deleteUser(viewer.id);
+    await expect(errsoleSQLite.verifyApiKey(orphaned.key)).rejects.toThrow('Invalid API key.');
+    expect((await errsoleSQLite.getApiKeys()).items.map(apiKey => apiKey.name)).toEqual(['Expiring', 'Revoked']);
+    expect((await errsoleSQLite.getApiKeys({ userId: viewer.id })).items).toEqual([]);
+  });
+});
+
+describe('ErrsoleSQLite - sessions', () => {
+  let errsoleSQLite;
+  let now;
+  let user;
+
+  beforeEach(async () => {
+    jest.spyOn(bcrypt, 'hash').mockImplementation(async password => `hashed:${password}`);
+    jest.spyOn(bcrypt, 'compare').mockImplementation(async (password, hash) => hash === `hashed:${password}`);
+    errsoleSQLite = new ErrsoleSQLite(':memory:', { sessionIdleTimeout: 60 * 1000, sessionMaxAge: 5 * 60 * 1000 });
+    await new Promise(resolve => errsoleSQLite.once('ready', resolve));
+    user = (await errsoleSQLite.createUser({ name: 'John', email: 'john@example.com', password: 'password123', role: 'admin' })).item;
+    now = 1700000000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(async () => {
+    Date.now.mockRestore();
+    await errsoleSQLite.close();
+  });
+
+  it('should validate the session options', () => {
+    expect(() => new ErrsoleSQLite(':memory:', { sessionIdleTimeout: 0 })).toThrow('sessionIdleTimeout must be a positive integer.');
+    expect(() => new ErrsoleSQLite(':memory:', { sessionMaxAge: 1.5 })).toThrow('sessionMaxAge must be a positive integer.');
+  });
+
+  it('should create, look up and revoke a session', async () => {
+    const { item: session } = await errsoleSQLite.createSession(user.id, { userAgent: 'curl' });
+
+    expect(session).toEqual({
+      id: expect.any(Number),
+      user_id: user.id,
+      data: { userAgent: 'curl' },
+      created_at: new Date(now),
+      last_active_at: new Date(now),
+      expires_at: new Date(now + 60 * 1000),
+      token: expect.stringMatching(/^[A-Za-z0-9_-]{43}$/)
+    });
+    expect((await errsoleSQLite.getSession(session.token)).item).toEqual({
+      ...session,
+      token: undefined,
+      user: { id: user.id, name: 'John', email: 'john@example.com', role: 'admin' }
+    });
+    await expect(errsoleSQLite.createSession(999)).rejects.toThrow('User not found.');
+    await expect(errsoleSQLite.createSession(user.id, 'data')).rejects.toThrow('Session data must be an object.');
+
+    await expect(errsoleSQLite.revokeSession(session.token)).resolves.toEqual({});
+    expect((await errsoleSQLite.getSession(session.token)).item).toBeNull();
+    expect((await errsoleSQLite.touchSession(session.token)).item).toBeNull();
+  });
+
+  it('should expire idle sessions unless touched, and all sessions at their maximum age', async () => {
+    const { item: active } = await errsoleSQLite.createSession(user.id);
+    const { item: idle } = await errsoleSQLite.createSession(user.id);
+
+    for (let i = 0; i < 4; i++) {
+      now += 59 * 1000;
+      expect((await errsoleSQLite.touchSession(active.token)).item).toEqual(expect.objectContaining({ last_active_at: new Date(now) }));
+    }
+    expect((await errsoleSQLite.getSession(idle.token)).item).toBeNull();
+    expect((await errsoleSQLite.getUserSessions(user.id)).items).toEqual([expect.objectContaining({ id: active.id, expires_at: new Date(now + 60 * 1000) })]);
+
+    now += 59 * 1000;
+    expect((await errsoleSQLite.touchSession(active.token)).item.expires_at).toEqual(new Date(active.created_at.getTime() + 5 * 60 * 1000));
+    now = active.created_at.getTime() + 5 * 60 * 1000;
+    expect((await errsoleSQLite.getSession(active.token)).item).toBeNull();
+
+    await errsoleSQLite.deleteExpiredSessions();
+    const rows = await new Promise((resolve, reject) => {
+      errsoleSQLite.db.all('SELECT id FROM errsole_sessions', (err, rows) => (err ? reject(err) : resolve(rows)));
+    });
+    expect(rows).toEqual([]);
+  });
+
+  it('should revoke all sessions of a user on request, on password changes and when the user is deleted', async () => {
+    const viewer = (await errsoleSQLite.createUser({ name: 'Jane', email: 'jane@example.com', password: 'password123', role: 'viewer' })).item;
+    const { item: first } = await errsoleSQLite.createSession(user.id);
+    await errsoleSQLite.createSession(user.id);
+
+    await expect(errsoleSQLite.revokeUserSessions(user.id, { actorId: viewer.id })).rejects.toThrow('Permission denied: users:manage is required.');
+    await expect(errsoleSQLite.revokeUserSessions(user.id, { actorId: user.id })).resolves.toEqual({});
+    expect((await errsoleSQLite.getUserSessions(user.id)).items).toEqual([]);
+    expect((await errsoleSQLite.getSession(first.token)).item).toBeNull();
+
+    await errsoleSQLite.createSession(user.id);
+    await errsoleSQLite.updatePassword('john@example.com', 'password123', 'newpassword123');
+    expect((await errsoleSQLite.getUserSessions(user.id)).items).toEqual([]);
+
+    await errsoleSQLite.createSession(user.id);
+    const { item: { token } } = await errsoleSQLite.createPasswordResetToken('john@example.com');
+    await errsoleSQLite.resetPasswordWithToken(token, 'password123');
+    expect((await errsoleSQLite.getUserSessions(user.id)).items).toEqual([]);
+
+    await errsoleSQLite.createSession(viewer.id);
+    await errsoleSQLite.deleteUser(viewer.id);
+    expect((await errsoleSQLite.getUserSessions(viewer.id)).items).toEqual([]);
+  });
+});
+
+describe('ErrsoleSQLite - password policy', () => {
+  let errsoleSQLite;
+
+  const getError = promise => promise.then(() => null, err => err);
+
+  beforeEach(async () => {
+    // Real bcrypt with a low cost, to check the stored hashes.
+    jest.spyOn(bcrypt, 'hash').mockRestore();
+    jest.spyOn(bcrypt, 'compare').mockRestore();
+    errsoleSQLite = new ErrsoleSQLite(':memory:', { bcryptRounds: 4 });
+    await new Promise(resolve => errsoleSQLite.once('ready', resolve));
+  });
+
+  afterEach(async () => {
+    await errsoleSQLite.close();
+  });
+
+  it('should validate the options', () => {
+    expect(() => new ErrsoleSQLite(':memory:', { passwordPolicy: { minLenght: 10 } })).toThrow('Unknown password policy rule(s): minLenght.');
+    expect(() => new ErrsoleSQLite(':memory:', { passwordPolicy: { minLength: 0 } })).toThrow('passwordPolicy.minLength must be an integer between 1 and 72.');
+    expect(() => new ErrsoleSQLite(':memory:', { passwordPolicy: { minLength: 20, maxLength: 16 } })).toThrow('passwordPolicy.minLength must be less than or equal to passwordPolicy.maxLength.');
+    expect(() => new ErrsoleSQLite(':memory:', { passwordPolicy: { requireDigit: 'yes' } })).toThrow('passwordPolicy.requireDigit must be a boolean.');
+    expect(() => new ErrsoleSQLite(':memory:', { passwordPolicy: { commonPasswords: 'hunter2' } })).toThrow('passwordPolicy.commonPasswords must be an array of strings.');
+    expect(() => new ErrsoleSQLite(':memory:', { bcryptRounds: 3 })).toThrow('bcryptRounds must be an integer between 4 and 31.');
+  });
+
+  it('should reject short passwords and passwords containing the email by default', async () => {
+    const error = await getError(errsoleSQLite.createUser({ name: 'John', email: 'john@example.com', password: 'john', role: 'admin' }));
+
+    expect(error.message).toBe('Password does not meet the password policy: Password must be at least 8 characters long. Password must not contain the email address.');
+    expect(error.violations).toEqual([
+      { rule: 'minLength', message: 'Password must be at least 8 characters long.' },
+      { rule: 'disallowEmail', message: 'Password must not contain the email address.' }
+    ]);
+    expect((await errsoleSQLite.getUserCount()).count).toBe(0);
+    expect(errsoleSQLite.validatePassword('')).toEqual({ valid: false, violations: [{ rule: 'required', message: 'Password is required.' }] });
+    expect(errsoleSQLite.validatePassword('x'.repeat(73)).violations).toEqual([{ rule: 'maxLength', message: 'Password must be at most 72 bytes long.' }]);
+    expect(errsoleSQLite.validatePassword('password123', 'jo@example.com')).toEqual({ valid: true, violations: [] });
+  });
+
+  it('should list every violated rule of a strict policy', async () => {
+    const strict = new ErrsoleSQLite(':memory:', {
+      passwordPolicy: { minLength: 12, requireUppercase: true, requireLowercase: true, requireDigit: true, requireSymbol: true, disallowCommon: true }
+    });
+    await new Promise(resolve => strict.once('ready', resolve));
+
+    expect(strict.validatePassword('password').violations.map(violation => violation.rule)).toEqual([
+      'minLength', 'requireUppercase', 'requireDigit', 'requireSymbol', 'disallowCommon'
+    ]);
+    expect(strict.validatePassword('PASSWORD123!').violations.map(violation => violation.rule)).toEqual(['requireLowercase']);
+    expect(strict.validatePassword('Correct-Horse-7').valid).toBe(true);
+    await strict.close();
+  });
+
+  it('should reject the configured common passwords in addition to the bundled ones', async () => {
+    const custom = new ErrsoleSQLite(':memory:', { passwordPolicy: { disallowCommon: true, commonPasswords: ['Acme-Corp-2024'] } });
+    await new Promise(resolve => custom.once('ready', resolve));
+
+    expect(custom.validatePassword('acme-corp-2024').violations).toEqual([{ rule: 'disallowCommon', message: 'Password is too common.' }]);
+    expect(custom.validatePassword('password123').violations).toEqual([{ rule: 'disallowCommon', message: 'Password is too common.' }]);
+    expect(custom.validatePassword('Acme-Corp-2025').valid).toBe(true);
+    await custom.close();
+  });
+
+  it('should enforce the policy when a password is changed or reset', async () => {
+    await errsoleSQLite.createUser({ name: 'John', email: 'john@example.com', password: 'password123', role: 'admin' });
+
+    const error = await getError(errsoleSQLite.updatePassword('john@example.com', 'password123', 'short'));
+    expect(error.violations).toEqual([{ rule: 'minLength', message: 'Password must be at least 8 characters long.' }]);
+
+    const { item: { token } } = await errsoleSQLite.createPasswordResetToken('john@example.com');
+    const resetError = await getError(errsoleSQLite.resetPasswordWithToken(token, 'john-password'));
+    expect(resetError.violations).toEqual([{ rule: 'disallowEmail', message: 'Password must not contain the email address.' }]);
+    await expect(errsoleSQLite.resetPasswordWithToken(token, 'new-password')).resolves.toEqual({ item: expect.objectContaining({ email: 'john@example.com' }) });
+    await expect(errsoleSQLite.verifyUser('john@example.com', 'new-password')).resolves.toEqual({ item: expect.objectContaining({ email: 'john@example.com' }) });
+  });
+
+  it('should rehash passwords with a lower cost on login', async () => {
+    const getHash = () => new Promise((resolve, reject) => {
+      errsoleSQLite.db.get('SELECT hashed_password FROM errsole_users', (err, row) => (err ? reject(err) : resolve(row.hashed_password)));
+    });
+    await errsoleSQLite.createUser({ name: 'John', email: 'john@example.com', password: 'password123', role: 'admin' });
+    expect(await getHash()).toMatch(/^\$2[ab]\$04\$/);
+
+    errsoleSQLite.bcryptRounds = 5;
+    await expect(errsoleSQLite.verifyUser('john@example.com', 'wrong-password')).rejects.toThrow('Invalid email or password.');
+    expect(await getHash()).toMatch(/^\$2[ab]\$04\$/);
+    await errsoleSQLite.verifyUser('john@example.com', 'password123');
+    const hash = await getHash();
+    expect(hash).toMatch(/^\$2[ab]\$05\$/);
+
+    errsoleSQLite.bcryptRounds = 4;
+    await expect(errsoleSQLite.verifyUser('john@example.com', 'password123')).resolves.toEqual({ item: expect.objectContaining({ email: 'john@example.com' }) });
+    expect(await getHash()).toBe(hash);
+  });
+});
+
+describe('ErrsoleSQLite - audit log', () => {
+  let errsoleSQLite;
+  let now;
+  let admin;
+
+  beforeEach(async () => {
+    jest.spyOn(bcrypt, 'hash').mockImplementation(async password => `hashed:${password}`);
+    jest.spyOn(bcrypt, 'compare').mockImplementation(async (password, hash) => hash === `hashed:${password}`);
+    errsoleSQLite = new ErrsoleSQLite(':memory:');
+    await new Promise(resolve => errsoleSQLite.once('ready', resolve));
+    now = 1700000000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    admin = (await errsoleSQLite.createUser({ name: 'Admin', email: 'admin@example.com', password: 'password123', role: 'admin' })).item;
+  });
+
+  afterEach(async () => {
+    Date.now.mockRestore();
+    await errsoleSQLite.close();
+  });
+
+  it('should record who changed what, with the values before and after', async () => {
+    const context = { actorId: admin.id };
+    const { item: user } = await errsoleSQLite.createUser({ name: 'Jane', email: 'jane@example.com', password: 'password123', role: 'viewer' }, context);
+    now += 1000;
+    await errsoleSQLite.updateUserByEmail('jane@example.com', { role: 'responder' }, context);
+    await errsoleSQLite.setConfig('logsTTL', '1000', context);
+    await errsoleSQLite.deleteConfig('logsTTL', context);
+    await errsoleSQLite.deleteAllLogs(context);
+    await errsoleSQLite.updatePassword('jane@example.com', 'password123', 'password456');
+    await errsoleSQLite.deleteUser(user.id, context);
+
+    const { items } = await errsoleSQLite.getAuditLogs();
+    expect(items.slice(0, 8).map(({ actor_id: actorId, action, target, old_value: oldValue, new_value: newValue }) => ({ actorId, action, target, oldValue, newValue }))).toEqual([
+      { actorId: admin.id, action: 'user.delete', target: `user:${user.id}`, oldValue: { id: user.id, name: 'Jane', email: 'jane@example.com', role: 'responder' }, newValue: null },
+      { actorId: user.id, action: 'user.password_change', target: `user:${user.id}`, oldValue: null, newValue: null },
+      { actorId: admin.id, action: 'logs.delete_all', target: null, oldValue: null, newValue: null },
+      { actorId: admin.id, action: 'config.delete', target: 'config:logsTTL', oldValue: '1000', newValue: null },
+      { actorId: admin.id, action: 'config.set', target: 'config:logsTTL', oldValue: '604800000', newValue: '1000' },
+      { actorId: admin.id, action: 'user.update', target: `user:${user.id}`, oldValue: { id: user.id, name: 'Jane', email: 'jane@example.com', role: 'viewer' }, newValue: { id: user.id, name: 'Jane', email: 'jane@example.com', role: 'responder' } },
+      { actorId: admin.id, action: 'user.create', target: `user:${user.id}`, oldValue: null, newValue: { id: user.id, name: 'Jane', email: 'jane@example.com', role: 'viewer' } },
+      { actorId: null, action: 'user.create', target: `user:${admin.id}`, oldValue: null, newValue: { id: admin.id, name: 'Admin', email: 'admin@example.com', role: 'admin' } }
+    ]);
+    expect(items[0].created_at).toEqual(new Date(now));
+    expect(JSON.stringify(items)).not.toContain('hashed:');
+  });
+
+  it('should not record actions that were denied or failed', async () => {
+    const { item: viewer } = await errsoleSQLite.createUser({ name: 'Jane', email: 'jane@example.com', password: 'password123', role: 'viewer' });
+
+    await expect(errsoleSQLite.deleteAllLogs({ actorId: viewer.id })).rejects.toThrow('Permission denied');
+    await expect(errsoleSQLite.deleteUser(admin.id)).rejects.toThrow('Cannot delete the last admin.');
+
+    expect((await errsoleSQLite.getAuditLogs({ action: ['logs.delete_all', 'user.delete'] })).items).toEqual([]);
+  });
+
+  it('should filter by actor, action, target and time range', async () => {
+    const context = { actorId: admin.id };
+    await errsoleSQLite.setConfig('a', '1', context);
+    now += 1000;
+    await errsoleSQLite.setConfig('b', '1');
+    now += 1000;
+    await errsoleSQLite.setConfig('a', '2', context);
+
+    const byActor = await errsoleSQLite.getAuditLogs({ actor_id: admin.id });
+    expect(byActor.items.map(item => item.new_value)).toEqual(['2', '1']);
+    expect((await errsoleSQLite.getAuditLogs({ action: 'config.set', target: 'config:a', limit: 1 })).items.map(item => item.new_value)).toEqual(['2']);
+    expect((await errsoleSQLite.getAuditLogs({ actor_id: admin.id, lt_id: byActor.items[0].id })).items.map(item => item.new_value)).toEqual(['1']);
+    expect((await errsoleSQLite.getAuditLogs({ action: 'config.set', gte_timestamp: new Date(now - 1000), lte_timestamp: now - 1000 })).items.map(item => item.target)).toEqual(['config:b']);
+    await expect(errsoleSQLite.getAuditLogs({ action: 'config.update' })).rejects.toThrow('Unknown audit action(s): config.update.');
+  });
+
+  it('should not allow entries to be changed', async () => {
+    await errsoleSQLite.setConfig('a', '1');
+
+    await expect(new Promise((resolve, reject) => {
+      errsoleSQLite.db.run('UPDATE errsole_audit_logs SET actor_id = 99', err => (err ? reject(err) : resolve()));
+    })).rejects.toThrow('Audit log entries cannot be changed.');
+  });
+
+  it('should delete entries older than auditLogsTTL', async () => {
+    expect((await errsoleSQLite.getConfig('auditLogsTTL')).item.value).toBe(String(365 * 24 * 60 * 60 * 1000));
+    await errsoleSQLite.setConfig('auditLogsTTL', '60000');
+    now += 30 * 1000;
+    await errsoleSQLite.setConfig('a', '1');
+
+    now += 31 * 1000;
+    await errsoleSQLite.deleteExpiredAuditLogs();
+    // The entries written while initializing have the real time, which is after the mocked time
+    expect((await errsoleSQLite.getAuditLogs({ lte_timestamp: now })).items.map(item => item.target)).toEqual(['config:a']);
+  });
+});
+
+describe('ErrsoleSQLite - errors', () => {
+  const { ErrsoleSQLiteError, NotFoundError, ConflictError, ValidationError, AuthError, StorageError } = ErrsoleSQLite;
+  let errsoleSQLite;
+
+  const getError = promise => promise.then(() => null, err => err);
+
+  beforeEach(async () => {
+    jest.spyOn(bcrypt, 'hash').mockImplementation(async password => `hashed:${password}`);
+    jest.spyOn(bcrypt, 'compare').mockImplementation(async (password, hash) => hash === `hashed:${password}`);
+    errsoleSQLite = new ErrsoleSQLite(':memory:');
+    await new Promise(resolve => errsoleSQLite.once('ready', resolve));
+    await errsoleSQLite.createUser({ name: 'Admin', email: 'admin@example.com', password: 'password123', role: 'admin' });
+  });
+
+  afterEach(async () => {
+    await errsoleSQLite.close();
+  });
+
+  it('should reject with a NotFoundError', async () => {
+    const error = await getError(errsoleSQLite.getUserByEmail('missing@example.com'));
+
+    expect(error).toBeInstanceOf(NotFoundError);
+    expect(error).toBeInstanceOf(ErrsoleSQLiteError);
+    expect(error).toBeInstanceOf(Error);
+    expect(error).toMatchObject({ name: 'NotFoundError', message: 'User not found.', code: 'USER_NOT_FOUND', operation: 'getUserByEmail' });
+    expect((await getError(errsoleSQLite.deleteConfig('missing'))).code).toBe('CONFIG_NOT_FOUND');
+  });
+
+  it('should reject with a ConflictError that keeps the sqlite error as cause', async () => {
+    const error = await getError(errsoleSQLite.createUser({ name: 'Admin', email: 'admin@example.com', password: 'password123', role: 'admin' }));
+
+    expect(error).toBeInstanceOf(ConflictError);
+    expect(error).toMatchObject({ message: 'A user with the provided email already exists.', code: 'EMAIL_IN_USE', operation: 'createUser' });
+    expect(error.cause.code).toBe('SQLITE_CONSTRAINT');
+    expect(await getError(errsoleSQLite.updateUserByEmail('admin@example.com', { role: 'viewer' }))).toMatchObject({ code: 'LAST_ADMIN' });
+  });
+
+  it('should reject with a ValidationError for invalid arguments and options', async () => {
+    expect(await getError(errsoleSQLite.updateUserByEmail('admin@example.com', { age: 30 }))).toBeInstanceOf(ValidationError);
+    expect(await getError(errsoleSQLite.createUser({ name: 'Jane', email: 'jane@example.com', password: 'short', role: 'viewer' }))).toMatchObject({
+      code: 'PASSWORD_POLICY_VIOLATION',
+      violations: [expect.objectContaining({ rule: 'minLength' })]
+    });
+
+    let error;
+    try {
+      new ErrsoleSQLite(':memory:', { batchSize: 0 }); // eslint-disable-line no-new
+    } catch (err) {
+      error = err;
+    }
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error).toMatchObject({ code: 'INVALID_OPTION', operation: 'constructor' });
+  });
+
+  it('should reject with an AuthError', async () => {
+    const error = await getError(errsoleSQLite.verifyUser('admin@example.com', 'wrong-password'));
+
+    expect(error).toBeInstanceOf(AuthError);
+    expect(error).toMatchObject({ code: 'INVALID_CREDENTIALS', operation: 'verifyUser' });
+    expect(await getError(errsoleSQLite.verifyApiKey('errsole_unknown'))).toMatchObject({ code: 'INVALID_API_KEY' });
+  });
+
+  it('should wrap sqlite errors in a StorageError', async () => {
+    const sqliteError = new Error('SQLITE_BUSY: database is locked');
+    sqliteError.code = 'SQLITE_BUSY';
+    jest.spyOn(errsoleSQLite.db, 'get').mockImplementationOnce((query, values, callback) => callback(sqliteError));
+
+    const error = await getError(errsoleSQLite.getConfig('logsTTL'));
+
+    expect(error).toBeInstanceOf(StorageError);
+    expect(error).toMatchObject({ message: 'SQLITE_BUSY: database is locked', code: 'STORAGE_ERROR', operation: 'getConfig', cause: sqliteError });
+  });
 });
@@ -0,0 +1,81 @@
+const { base32Encode, base32Decode, generateSecret, generateTOTP, verifyTOTP, getOtpauthUrl } = require('../lib/totp');
+
+/* globals expect, it, describe */
+
+describe('totp - generateTOTP', () => {
+  // Test vectors from RFC 6238, appendix B.
+  const seeds = {
+    sha1: Buffer.from('12345678901234567890'),
+    sha256: Buffer.from('12345678901234567890123456789012'),
+    sha512: Buffer.from('1234567890123456789012345678901234567890123456789012345678901234')
+  };
+  const vectors = [
+    [59, '94287082', '46119246', '90693936'],
+    [1111111109, '07081804', '68084774', '25091201'],
+    [1111111111, '14050471', '67062674', '99943326'],
+    [1234567890, '89005924', '91819424', '93441116'],
+    [2000000000, '69279037', '90698825', '38618901'],
+    [20000000000, '65353130', '77737706', '47863826']
+  ];
+
+  it.each(vectors)('should match the RFC 6238 codes at %i seconds', (seconds, sha1, sha256, sha512) => {
+    const time = seconds * 1000;
+
+    expect(generateTOTP(seeds.sha1, { time, digits: 8, algorithm: 'sha1' })).toBe(sha1);
+    expect(generateTOTP(seeds.sha256, { time, digits: 8, algorithm: 'sha256' })).toBe(sha256);
+    expect(generateTOTP(seeds.sha512, { time, digits: 8, algorithm: 'sha512' })).toBe(sha512);
+  });
+
+  it('should accept base32 secrets and generate six digits by default', () => {
+    const secret = base32Encode(seeds.sha1);
+
+    expect(generateTOTP(secret, { time: 59 * 1000 })).toBe('287082');
+  });
+});
+
+describe('totp - verifyTOTP', () => {
+  const secret = base32Encode(Buffer.from('12345678901234567890'));
+  const time = 1111111111 * 1000;
+
+  it('should return the time step of a matching code', () => {
+    expect(verifyTOTP(secret, '050471', { time })).toBe(Math.floor(1111111111 / 30));
+    expect(verifyTOTP(secret, '050 471', { time })).toBe(Math.floor(1111111111 / 30));
+  });
+
+  it('should accept codes from adjacent steps only', () => {
+    const previousCode = generateTOTP(secret, { time: time - 30 * 1000 });
+    const olderCode = generateTOTP(secret, { time: time - 60 * 1000 });
+
+    expect(verifyTOTP(secret, previousCode, { time })).toBe(Math.floor(1111111111 / 30) - 1);
+    expect(verifyTOTP(secret, olderCode, { time })).toBeNull();
+    expect(verifyTOTP(secret, olderCode, { time, window: 2 })).toBe(Math.floor(1111111111 / 30) - 2);
+  });
+
+  it('should reject malformed codes', () => {
+    expect(verifyTOTP(secret, '12345', { time })).toBeNull();
+    expect(verifyTOTP(secret, 'abcdef', { time })).toBeNull();
+    expect(verifyTOTP(secret, '', { time })).toBeNull();
+  });
+});
+
+describe('totp - base32 and secrets', () => {
+  it('should encode and decode base32 as in RFC 4648', () => {
+    expect(base32Encode(Buffer.from('foobar'))).toBe('MZXW6YTBOI');
+    expect(base32Decode('MZXW6YTBOI======').toString()).toBe('foobar');
+    expect(base32Decode('mzxw 6ytb oi').toString()).toBe('foobar');
+    expect(() => base32Decode('MZXW1')).toThrow('Invalid base32 character.');
+  });
+
+  it('should generate random 160-bit secrets', () => {
+    const secret = generateSecret();
+
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(generateSecret()).not.toBe(secret);
+  });
+
+  it('should build an otpauth URL', () => {
+    expect(getOtpauthUrl('JBSWY3DPEHPK3PXP', 'john@example.com', 'Errsole')).toBe(
+      'otpauth://totp/Errsole:john%40example.com?secret=JBSWY3DPEHPK3PXP&issuer=Errsole&algorithm=SHA1&digits=6&period=30'
+    );
+  });
+});
@@ -1,5 +1,6 @@
 declare module 'errsole-sqlite' {
   import { Database } from 'sqlite3';
+  import { EventEmitter } from 'events';
   
   interface Config {
     id?: number;
@@ -7,6 +8,30 @@ declare module 'errsole-sqlite' {
     value: string;
   }
   
+  type Permission = 'logs:read' | 'logs:delete' | 'users:manage' | 'config:write';
+
+  interface Role {
+    name: string;
+    permissions: Permission[];
+  }
+
+  interface LockoutTarget {
+    email?: string;
+    source?: string;
+  }
+
+  interface Lockout {
+    key: string;
+    failed_count: number;
+    last_failed_at: Date;
+    locked_until: Date | null;
+    is_locked: boolean;
+  }
+
+  interface ActionContext {
+    actorId?: number;
+  }
+
   interface User {
     id?: number;
     name: string;
@@ -34,8 +59,15 @@ declare module 'errsole-sqlite' {
     hostnames?: string[];
     level_json?: { source: string; level: string }[];
     errsole_id?: number;
+    meta_filters?: MetaFilter[];
     limit?: number;
   }
+
+  interface MetaFilter {
+    path: string;
+    operator?: '=' | '!=' | '>' | '>=' | '<' | '<=';
+    value: string | number | boolean | null;
+  }
   
   interface Notification {
     id?: number;
@@ -46,32 +78,287 @@ declare module 'errsole-sqlite' {
     updated_at?: Date;
   }
   
-  class ErrsoleSQLite {
-    constructor(filename: string);
+  interface ErrsoleSQLiteOptions {
+    tablePrefix?: string;
+    batchSize?: number;
+    flushInterval?: number;
+    maxPendingLogs?: number;
+    overflowPolicy?: 'drop-oldest' | 'drop-newest' | 'block';
+    flushRetries?: number;
+    flushRetryDelay?: number;
+    deadLetterFile?: string;
+    journalMode?: 'DELETE' | 'TRUNCATE' | 'PERSIST' | 'MEMORY' | 'WAL' | 'OFF';
+    synchronous?: 'OFF' | 'NORMAL' | 'FULL' | 'EXTRA';
+    busyTimeout?: number;
+    mmapSize?: number;
+    tempStore?: 'DEFAULT' | 'FILE' | 'MEMORY';
+    fullTextSearch?: boolean;
+    metaIndexes?: string[];
+    maxFailedLogins?: number;
+    maxFailedLoginsPerSource?: number;
+    lockoutDuration?: number;
+    maxLockoutDuration?: number;
+    failedLoginWindow?: number;
+    passwordResetTokenTTL?: number;
+    passwordPolicy?: PasswordPolicy;
+    bcryptRounds?: number;
+    sessionIdleTimeout?: number;
+    sessionMaxAge?: number;
+    encryptionKey?: Buffer | string;
+    totpIssuer?: string;
+    closeOnSignals?: boolean | NodeJS.Signals[];
+    maxDatabaseSize?: number | { bytes?: number, rows?: number };
+    archiveDirectory?: string;
+    retentionSchedule?: string;
+    retentionBatchSize?: number;
+    retentionBatchDelay?: number;
+  }
+
+  interface LogCountOptions {
+    interval?: 'minute' | 'hour' | 'day';
+    groupBy?: LogCountGroupBy | LogCountGroupBy[];
+    searchTerms?: string[];
+  }
+
+  type LogCountGroupBy = 'level' | 'source' | 'hostname';
+
+  interface LogCount {
+    timestamp: Date;
+    count: number;
+    level?: string;
+    source?: string;
+    hostname?: string;
+  }
+
+  type ApiKeyScope = 'logs:read' | 'logs:write' | 'admin';
+
+  interface ApiKey {
+    id: number;
+    name: string;
+    prefix: string;
+    user_id: number | null;
+    role: string | null;
+    scopes: ApiKeyScope[];
+    expires_at: Date | null;
+    last_used_at: Date | null;
+    revoked_at: Date | null;
+    created_at: Date;
+  }
+
+  type AuditAction =
+    | 'config.set' | 'config.delete' | 'logs.delete_all' | 'logs.retention_run'
+    | 'user.create' | 'user.update' | 'user.delete' | 'user.password_change' | 'user.password_reset'
+    | 'user.sessions_revoke' | 'user.lockout_clear' | 'user.totp_enable' | 'user.totp_disable'
+    | 'api_key.create' | 'api_key.revoke';
+
+  interface AuditLog {
+    id: number;
+    actor_id: number | null;
+    action: AuditAction;
+    target: string | null;
+    old_value: unknown;
+    new_value: unknown;
+    created_at: Date;
+  }
+
+  interface AuditLogFilter {
+    actor_id?: number;
+    action?: AuditAction | AuditAction[];
+    target?: string;
+    lt_id?: number;
+    gte_timestamp?: Date | number;
+    lte_timestamp?: Date | number;
+    limit?: number;
+  }
+
+  interface PasswordPolicy {
+    minLength?: number;
+    maxLength?: number;
+    requireUppercase?: boolean;
+    requireLowercase?: boolean;
+    requireDigit?: boolean;
+    requireSymbol?: boolean;
+    disallowEmail?: boolean;
+    disallowCommon?: boolean;
+    commonPasswords?: string[];
+  }
+
+  interface PasswordViolation {
+    rule: Exclude<keyof PasswordPolicy, 'commonPasswords'> | 'required';
+    message: string;
+  }
+
+  interface Session {
+    id: number;
+    user_id: number;
+    data: Record<string, unknown>;
+    created_at: Date;
+    last_active_at: Date;
+    expires_at: Date;
+  }
+
+  interface SecondFactorRequired {
+    item: null;
+    second_factor_required: true;
+    challenge: string;
+  }
+
+  interface Migration {
+    version: number;
+    name: string;
+    changes: string[];
+  }
+
+  interface Diagnostics {
+    journal_mode: string;
+    synchronous: string;
+    busy_timeout: number;
+    mmap_size: number;
+    temp_store: string;
+    auto_vacuum: string;
+    cache_size: number;
+    page_size: number;
+    page_count: number;
+    freelist_count: number;
+    sqlite_version: string;
+    full_text_search: boolean;
+  }
+
+  interface RetentionRule {
+    source?: string;
+    level?: string;
+    ttl: number;
+  }
+
+  interface RetentionPolicy {
+    default?: number;
+    rules?: RetentionRule[];
+  }
+
+  interface DatabaseSize {
+    bytes: number;
+    rows: number;
+  }
+
+  interface RetentionEvent {
+    reason: 'maxDatabaseSize';
+    deleted_count: number;
+    oldest_timestamp: Date;
+    newest_timestamp: Date;
+    size_before: DatabaseSize;
+    size_after: DatabaseSize;
+  }
+
+  interface RetentionProgress {
+    table: 'logs' | 'notifications';
+    deleted_count: number;
+  }
+
+  interface Archive {
+    date: string;
+    file: string;
+    size: number;
+  }
+
+  interface ArchiveFilter {
+    gte_timestamp?: Date | number | string;
+    lte_timestamp?: Date | number | string;
+    levels?: string[];
+    sources?: string[];
+    hostnames?: string[];
+    limit?: number;
+  }
+
+  interface ErrorOptions {
+    code?: string;
+    operation?: string;
+    cause?: unknown;
+  }
+
+  export class ErrsoleSQLiteError extends Error {
+    constructor(message: string, options?: ErrorOptions);
+    code: string;
+    operation?: string;
+    cause?: unknown;
+    violations?: PasswordViolation[];
+  }
+
+  export class NotFoundError extends ErrsoleSQLiteError {}
+  export class ConflictError extends ErrsoleSQLiteError {}
+  export class ValidationError extends ErrsoleSQLiteError {}
+  export class AuthError extends ErrsoleSQLiteError {}
+  export class StorageError extends ErrsoleSQLiteError {}
+
+  class ErrsoleSQLite extends EventEmitter {
+    constructor(filename: string, options?: ErrsoleSQLiteOptions);
+
+    on(event: 'ready' | 'closing' | 'close', listener: () => void): this;
+    on(event: 'retention', listener: (retention: RetentionEvent) => void): this;
+    on(event: 'retentionProgress', listener: (progress: RetentionProgress) => void): this;
+    on(event: 'error', listener: (err: Error) => void): this;
+    on(event: string | symbol, listener: (...args: any[]) => void): this;
     
     getConfig(key: string): Promise<{ item: Config }>;
-    setConfig(key: string, value: string): Promise<{ item: Config }>;
-    deleteConfig(key: string): Promise<{}>;
+    setConfig(key: string, value: string, context?: ActionContext): Promise<{ item: Config }>;
+    deleteConfig(key: string, context?: ActionContext): Promise<{}>;
     
-    createUser(user: { name: string; email: string; password: string; role: string }): Promise<{ item: User }>;
-    verifyUser(email: string, password: string): Promise<{ item: User }>;
+    createUser(user: { name?: string; email: string; password: string; role: string }, context?: ActionContext): Promise<{ item: User }>;
+    verifyUser(email: string, password: string, options?: { source?: string }): Promise<{ item: User } | SecondFactorRequired>;
+    completeLogin(challenge: string, code: string): Promise<{ item: User }>;
+    enrollTotp(userId: number): Promise<{ item: { secret: string, otpauth_url: string } }>;
+    confirmTotp(userId: number, code: string): Promise<{ item: { recovery_codes: string[] } }>;
+    regenerateRecoveryCodes(userId: number): Promise<{ item: { recovery_codes: string[] } }>;
+    disableTotp(userId: number, context?: ActionContext): Promise<{}>;
+    isTotpEnabled(userId: number): Promise<boolean>;
+    getLockout(target: LockoutTarget): Promise<{ item: Lockout | null }>;
+    clearLockout(target: LockoutTarget, context?: ActionContext): Promise<{}>;
     getUserCount(): Promise<{ count: number }>;
     getAllUsers(): Promise<{ items: User[] }>;
     getUserByEmail(email: string): Promise<{ item: User }>;
-    updateUserByEmail(email: string, updates: Partial<User>): Promise<{ item: User }>;
+    updateUserByEmail(email: string, updates: Partial<Pick<User, 'name' | 'email' | 'role'>>, context?: ActionContext): Promise<{ item: User }>;
     updatePassword(email: string, currentPassword: string, newPassword: string): Promise<{ item: User }>;
-    deleteUser(id: number): Promise<{}>;
+    validatePassword(password: string, email?: string): { valid: boolean, violations: PasswordViolation[] };
+    createPasswordResetToken(email: string): Promise<{ item: { token: string, expires_at: Date } | null }>;
+    resetPasswordWithToken(token: string, newPassword: string): Promise<{ item: User }>;
+    deleteUser(id: number, context?: ActionContext): Promise<{}>;
+    getRoles(): Promise<{ items: Role[] }>;
+    hasPermission(userId: number, action: Permission): Promise<boolean>;
+    createApiKey(apiKey: { name: string; userId?: number; role?: string; scopes: ApiKeyScope[]; expiresAt?: Date | number }, context?: ActionContext): Promise<{ item: ApiKey & { key: string } }>;
+    getApiKeys(filters?: { userId?: number }): Promise<{ items: ApiKey[] }>;
+    revokeApiKey(id: number, context?: ActionContext): Promise<{ item: ApiKey }>;
+    verifyApiKey(key: string, scope?: ApiKeyScope): Promise<{ item: ApiKey & { user: User | null } }>;
+    createSession(userId: number, data?: Record<string, unknown>): Promise<{ item: Session & { token: string } }>;
+    getSession(token: string): Promise<{ item: (Session & { user: User }) | null }>;
+    touchSession(token: string): Promise<{ item: Session | null }>;
+    revokeSession(token: string): Promise<{}>;
+    getUserSessions(userId: number): Promise<{ items: Session[] }>;
+    revokeUserSessions(userId: number, context?: ActionContext): Promise<{}>;
+    getAuditLogs(filters?: AuditLogFilter): Promise<{ items: AuditLog[] }>;
     
-    postLogs(logEntries: Log[]): Promise<{}>;
+    postLogs(logEntries: Log[]): {} | Promise<{}>;
     flushLogs(): Promise<{}>;
     getLogs(filters?: LogFilter): Promise<{ items: Log[] }>;
     searchLogs(searchTerms: string[], filters?: LogFilter): Promise<{ items: Log[], filters: LogFilter[] }>;
-    deleteAllLogs(): Promise<{}>;
+    getLogCounts(filters?: LogFilter, options?: LogCountOptions): Promise<{ items: LogCount[], total: number }>;
+    deleteAllLogs(context?: ActionContext): Promise<{}>;
     getMeta(id: number): Promise<{ item: { id: number, meta: string } }>;
     
     insertNotificationItem(notification: Notification): Promise<{ previousNotificationItem: Notification | null, todayNotificationCount: number }>;
     
     getHostnames(): Promise<{ items: string[] }>;
+
+    validateRetentionPolicy(policy: RetentionPolicy | string): { default: number | undefined, rules: RetentionRule[] };
+    getRetentionPolicy(): Promise<{ item: { default: number, rules: RetentionRule[] } }>;
+    getDatabaseSize(): Promise<{ item: DatabaseSize }>;
+    enforceMaxDatabaseSize(): Promise<RetentionEvent | null>;
+    getArchives(): Promise<{ items: Archive[] }>;
+    queryArchive(filters?: ArchiveFilter): Promise<{ items: Log[] }>;
+    runRetention(options?: { dryRun?: boolean }, context?: ActionContext): Promise<{ logs: number, notifications: number, dryRun: boolean }>;
+
+    migrate(options?: { dryRun?: boolean }): Promise<{ items: Migration[], version: number, dryRun: boolean }>;
+    getDiagnostics(): Promise<{ item: Diagnostics }>;
+
+    close(): Promise<{}>;
   }
   
   export default ErrsoleSQLite;